@@ -3,61 +3,297 @@
 import fs from 'fs';
 import path from 'path';
 import yargs from 'yargs/yargs';
-import { hideBin } from 'yargs/helpers';
+import { hideBin, Parser } from 'yargs/helpers';
 import dotenv from 'dotenv';
 import open from 'open';
 
 // Import modules
 import { getConfig, saveConfig, createSampleEnvFile } from './src/config.js';
-import { createProxyAgent, detectSystemProxy } from './src/proxy.js';
-import { generateImagesWithImagen } from './src/imagen.js';
-import { generateImagesWithGemini } from './src/gemini.js';
+import { createProxyAgent, detectSystemProxy, runProxyCommand, maskProxyUrl } from './src/proxy.js';
+import { runGeneration, runImageEdit, runUpscale } from './src/runner.js';
+import { GEMINI_BACKENDS, getDefaultGeminiBackend } from './src/gemini.js';
+import { loadBatchJobs, runBatch } from './src/batch.js';
 import { runInteractiveMode } from './src/interactive.js';
-import { getServiceAccountKeyPath, getGeminiApiKey } from './src/auth.js';
-import { debug } from './src/utils.js';
+import { runSessionCommand } from './src/session.js';
+import { runCacheCommand } from './src/cache.js';
+import { runInspectCommand } from './src/metadata.js';
+import { createContactSheet, runSheetCommand } from './src/sheet.js';
+import { MOCK_SCENARIOS, runMockServerCommand } from './src/mock-server.js';
+import { EXIT_CODES, getExitCode, buildJsonResult } from './src/outcome.js';
+import { runHistoryCommand } from './src/history.js';
+import { runVaultCommand, VAULT_ENTRY_NAMES } from './src/vault.js';
+import { PROFILE_OPTIONS, resolveProfile, runProfileCommand } from './src/profile.js';
+import { unlockVaultIfNeeded } from './src/auth.js';
+import { debug, normalizeOptionKeys } from './src/utils.js';
+import { SUPPORTED_LANGUAGES, t, getLanguage, setLanguage, resolveLanguage, normalizeLanguage } from './src/i18n.js';
 
 // Load environment variables from .env file
 dotenv.config();
 
-// Create sample .env file if it doesn't exist
-createSampleEnvFile();
-
 // Get configuration
 const config = getConfig();
 
+// 在构建帮助文本之前确定语言：--lang > 配置文件 > 保存的配置 > LC_ALL / LC_MESSAGES / LANG
+const earlyArgs = Parser(hideBin(process.argv), { string: ['lang', 'config-file'], boolean: ['json'], alias: { 'config-file': ['f'] } });
+setLanguage(resolveLanguage([earlyArgs.lang, readConfigFileLanguage(earlyArgs.configFile), config.language]));
+
+// Create sample .env file if it doesn't exist
+createSampleEnvFile();
+
 // Parse command line arguments
-const argv = yargs(hideBin(process.argv))
-  .usage('用法: $0 [提示] [选项]')
+const cli = yargs(hideBin(process.argv))
+  .usage(t('cli.usage'))
+  .command('session <action> [name] [target]', t('cli.command.session'), (command) => command
+    .positional('action', {
+      describe: t('cli.positional.session.action'),
+      choices: ['list', 'show', 'fork', 'delete']
+    })
+    .positional('name', {
+      describe: t('cli.positional.session.name'),
+      type: 'string'
+    })
+    .positional('target', {
+      describe: t('cli.positional.session.target'),
+      type: 'string'
+    }))
+  .command('edit <image> [prompt]', t('cli.command.edit'), (command) => command
+    .positional('image', {
+      describe: t('cli.positional.edit.image'),
+      type: 'string'
+    })
+    .positional('prompt', {
+      describe: t('cli.positional.edit.prompt'),
+      type: 'string'
+    })
+    .option('edit-mode', {
+      alias: 'E',
+      type: 'string',
+      description: t('cli.option.edit-mode'),
+      choices: ['inpaint-insert', 'inpaint-remove', 'outpaint', 'bgswap'],
+      default: 'inpaint-insert'
+    })
+    .option('mask', {
+      alias: 'M',
+      type: 'string',
+      description: t('cli.option.mask')
+    })
+    .option('mask-mode', {
+      type: 'string',
+      description: t('cli.option.mask-mode'),
+      choices: ['background', 'foreground', 'semantic']
+    })
+    .option('mask-classes', {
+      type: 'array',
+      description: t('cli.option.mask-classes')
+    })
+    .option('mask-dilation', {
+      type: 'number',
+      description: t('cli.option.mask-dilation')
+    })
+    .option('outpaint-padding', {
+      type: 'string',
+      description: t('cli.option.outpaint-padding')
+    })
+    .option('edit-steps', {
+      type: 'number',
+      description: t('cli.option.edit-steps')
+    }))
+  .command('upscale <images..>', t('cli.command.upscale'), (command) => command
+    .positional('images', {
+      describe: t('cli.positional.upscale.images'),
+      type: 'string'
+    })
+    .option('factor', {
+      alias: 'F',
+      type: 'string',
+      description: t('cli.option.factor'),
+      choices: ['x2', 'x4'],
+      default: 'x2'
+    }))
+  .command('history [action] [id]', t('cli.command.history'), (command) => command
+    .positional('action', {
+      describe: t('cli.positional.history.action'),
+      choices: ['list', 'show', 'stats'],
+      default: 'list'
+    })
+    .positional('id', {
+      describe: t('cli.positional.history.id'),
+      type: 'string'
+    })
+    .option('search', {
+      alias: 'q',
+      type: 'string',
+      description: t('cli.option.search')
+    })
+    .option('since', {
+      type: 'string',
+      description: t('cli.option.since')
+    })
+    .option('until', {
+      type: 'string',
+      description: t('cli.option.until')
+    })
+    .option('outcome', {
+      type: 'string',
+      description: t('cli.option.outcome'),
+      choices: ['success', 'blocked', 'failed']
+    })
+    .option('limit', {
+      type: 'number',
+      description: t('cli.option.limit'),
+      default: 20
+    }))
+  .command('sheet <images..>', t('cli.command.sheet'), (command) => command
+    .positional('images', {
+      describe: t('cli.positional.sheet.images'),
+      type: 'string'
+    })
+    .option('output', {
+      type: 'string',
+      description: t('cli.option.output')
+    })
+    .option('columns', {
+      type: 'number',
+      description: t('cli.option.columns')
+    })
+    .option('thumb-size', {
+      type: 'number',
+      description: t('cli.option.thumb-size'),
+      default: 384
+    })
+    .option('title', {
+      type: 'string',
+      description: t('cli.option.title')
+    }))
+  .command('inspect <image>', t('cli.command.inspect'), (command) => command
+    .positional('image', {
+      describe: t('cli.positional.inspect.image'),
+      type: 'string'
+    }))
+  .command('cache <action>', t('cli.command.cache'), (command) => command
+    .positional('action', {
+      describe: t('cli.positional.cache.action'),
+      choices: ['stats', 'prune']
+    })
+    .option('older-than', {
+      type: 'string',
+      description: t('cli.option.older-than')
+    })
+    .option('max-size', {
+      type: 'string',
+      description: t('cli.option.max-size')
+    }))
+  .command('proxy <action> [target] [value]', t('cli.command.proxy'), (command) => command
+    .positional('action', {
+      describe: t('cli.positional.proxy.action'),
+      choices: ['show', 'set', 'clear', 'test']
+    })
+    .positional('target', {
+      describe: t('cli.positional.proxy.target'),
+      type: 'string'
+    })
+    .positional('value', {
+      describe: t('cli.positional.proxy.value'),
+      type: 'string'
+    })
+    .option('timeout', {
+      type: 'number',
+      description: t('cli.option.timeout'),
+      default: 10
+    }))
+  .command('vault <action> [name] [value]', t('cli.command.vault'), (command) => command
+    .positional('action', {
+      describe: t('cli.positional.vault.action'),
+      choices: ['add', 'list', 'rotate', 'remove', 'migrate']
+    })
+    .positional('name', {
+      describe: t('cli.positional.vault.name'),
+      choices: VAULT_ENTRY_NAMES
+    })
+    .positional('value', {
+      describe: t('cli.positional.vault.value'),
+      type: 'string'
+    }))
+  .command('profile <action> [name]', t('cli.command.profile'), (command) => command
+    .positional('action', {
+      describe: t('cli.positional.profile.action'),
+      choices: ['create', 'list', 'use', 'delete']
+    })
+    .positional('name', {
+      describe: t('cli.positional.profile.name'),
+      type: 'string'
+    }))
+  .command('mock-server', t('cli.command.mock-server'), (command) => command
+    .option('port', {
+      type: 'number',
+      description: t('cli.option.port'),
+      default: 8787
+    })
+    .option('host', {
+      type: 'string',
+      description: t('cli.option.host'),
+      default: '127.0.0.1'
+    })
+    .option('scenario', {
+      type: 'string',
+      description: t('cli.option.scenario'),
+      choices: MOCK_SCENARIOS,
+      default: 'images'
+    })
+    .option('fail-times', {
+      type: 'number',
+      description: t('cli.option.fail-times'),
+      default: 0
+    })
+    .option('write-key-file', {
+      type: 'string',
+      description: t('cli.option.write-key-file')
+    }))
   .positional('prompt', {
-    describe: '图像生成提示',
+    describe: t('cli.positional.prompt'),
     type: 'string'
   })
   // 核心选项
+  .option('profile', {
+    type: 'string',
+    description: t('cli.option.profile')
+  })
   .option('api', {
     alias: 't', // 't' 表示 API 类型
     type: 'string',
-    description: '用于图像生成的 API',
+    description: t('cli.option.api'),
     choices: ['imagen', 'gemini'],
     default: config.defaultApi
   })
   .option('model', {
     alias: 'm',
     type: 'string',
-    description: '模型 ID',
-    default: 'imagen-3.0-generate-002'
+    description: t('cli.option.model')
   })
   
   // 输入选项
   .option('reference-images', {
     alias: 'r',
     type: 'array',
-    description: 'Gemini 的参考图像路径（可以提供多个）',
+    description: t('cli.option.reference-images'),
+    demandOption: false
+  })
+  .option('session', {
+    alias: 'S',
+    type: 'string',
+    description: t('cli.option.session'),
     demandOption: false
   })
   .option('config-file', {
     alias: 'f',
     type: 'string',
-    description: '图像生成的 JSON 配置文件路径',
+    description: t('cli.option.config-file'),
+    demandOption: false
+  })
+  .option('batch', {
+    alias: 'B',
+    type: 'string',
+    description: t('cli.option.batch'),
     demandOption: false
   })
   
@@ -65,39 +301,72 @@ const argv = yargs(hideBin(process.argv))
   .option('output-dir', {
     alias: 'o',
     type: 'string',
-    description: '保存图像的输出目录',
+    description: t('cli.option.output-dir'),
     default: config.lastOutputDir
   })
   .option('json-dir', {
     alias: 'j',
     type: 'string',
-    description: '保存 JSON 文件（请求/响应）的目录',
+    description: t('cli.option.json-dir'),
     default: config.lastJsonDir
   })
+  .option('output-format', {
+    type: 'string',
+    description: t('cli.option.output-format'),
+    choices: ['png', 'jpeg']
+  })
+  .option('compression-quality', {
+    type: 'number',
+    description: t('cli.option.compression-quality')
+  })
   
   // 认证选项
   .option('project-id', {
     alias: 'P', // 大写的 'P' 以区别于提示
     type: 'string',
-    description: 'Google Cloud 项目 ID（默认为服务账户中的项目 ID）',
+    description: t('cli.option.project-id'),
     default: process.env.GOOGLE_CLOUD_PROJECT || ''
   })
   .option('key-file', {
     alias: 'k',
     type: 'string',
-    description: '服务账户 JSON 密钥文件路径（覆盖 GOOGLE_APPLICATION_CREDENTIALS）',
+    description: t('cli.option.key-file'),
     demandOption: false
   })
+  .option('adc', {
+    type: 'boolean',
+    description: t('cli.option.adc'),
+    default: false
+  })
+  .option('impersonate-service-account', {
+    type: 'string',
+    description: t('cli.option.impersonate-service-account')
+  })
+  .option('token-cache', {
+    type: 'boolean',
+    description: t('cli.option.token-cache'),
+    default: true
+  })
+  .option('vault-key-file', {
+    type: 'string',
+    description: t('cli.option.vault-key-file')
+  })
   .option('gemini-key', {
     alias: 'g',
     type: 'string',
-    description: 'Gemini API 密钥（覆盖 .env 中的 GEMINI_API_KEY）',
+    description: t('cli.option.gemini-key'),
     demandOption: false
   })
+  .option('gemini-backend', {
+    type: 'string',
+    description: t('cli.option.gemini-backend'),
+    choices: GEMINI_BACKENDS,
+    default: getDefaultGeminiBackend()
+  })
   .option('location', {
     alias: 'l',
     type: 'string',
-    description: 'API 位置',
+    description: t('cli.option.location'),
     default: process.env.GOOGLE_CLOUD_LOCATION || 'us-central1'
   })
   
@@ -105,95 +374,317 @@ const argv = yargs(hideBin(process.argv))
   .option('aspect-ratio', {
     alias: 'a',
     type: 'string',
-    description: '图像纵横比（仅限 Imagen）',
+    description: t('cli.option.aspect-ratio'),
     default: '1:1',
     choices: ['1:1', '16:9', '9:16', '3:4', '4:3']
   })
   .option('count', {
     alias: 'c',
     type: 'number',
-    description: '要生成的图像数量（仅限 Imagen）',
+    description: t('cli.option.count'),
     default: 1,
     choices: [1, 2, 3, 4]
   })
   .option('negative-prompt', {
     alias: 'n',
     type: 'string',
-    description: '负面提示（仅限 Imagen）',
+    description: t('cli.option.negative-prompt'),
     default: ''
   })
   .option('enhance', {
     alias: 'e',
     type: 'boolean',
-    description: '增强提示（仅限 Imagen）',
+    description: t('cli.option.enhance'),
     default: false
   })
   .option('person-generation', {
     alias: 'b', // 'b' 表示阻止人物生成
     type: 'string',
-    description: '人物生成（仅限 Imagen）',
+    description: t('cli.option.person-generation'),
     default: 'allow_adult',
     choices: ['block_all', 'block_children', 'allow_adult']
   })
   .option('safety', {
     alias: 's',
     type: 'string',
-    description: '安全性设置（仅限 Imagen）',
+    description: t('cli.option.safety'),
     default: 'block_few',
     choices: ['block_none', 'block_few', 'block_some', 'block_most']
   })
+  .option('var', {
+    alias: 'V',
+    type: 'string',
+    description: t('cli.option.var')
+  })
+  .option('matrix', {
+    type: 'string',
+    description: t('cli.option.matrix')
+  })
+  .option('temperature', {
+    type: 'number',
+    description: t('cli.option.temperature')
+  })
+  .option('top-p', {
+    type: 'number',
+    description: t('cli.option.top-p')
+  })
+  .option('top-k', {
+    type: 'number',
+    description: t('cli.option.top-k')
+  })
+  .option('seed', {
+    type: 'number',
+    description: t('cli.option.seed')
+  })
+  .option('seed-range', {
+    type: 'string',
+    description: t('cli.option.seed-range')
+  })
+  .option('candidate-count', {
+    type: 'number',
+    description: t('cli.option.candidate-count')
+  })
+  .option('max-output-tokens', {
+    type: 'number',
+    description: t('cli.option.max-output-tokens')
+  })
+  .option('upscale', {
+    alias: 'u',
+    type: 'string',
+    description: t('cli.option.upscale'),
+    choices: ['x2', 'x4']
+  })
+  .option('upscale-model', {
+    type: 'string',
+    description: t('cli.option.upscale-model'),
+    default: 'imagegeneration@002'
+  })
   .option('watermark', {
     alias: 'w',
     type: 'boolean',
-    description: '添加水印（仅限 Imagen）',
-    default: true
+    description: t('cli.option.watermark')
   })
   
   // 运行时选项
+  .option('concurrency', {
+    alias: 'C',
+    type: 'number',
+    description: t('cli.option.concurrency'),
+    default: 2
+  })
+  .option('max-retries', {
+    alias: 'R',
+    type: 'number',
+    description: t('cli.option.max-retries'),
+    default: 3
+  })
+  .option('contact-sheet', {
+    type: 'boolean',
+    description: t('cli.option.contact-sheet'),
+    default: false
+  })
+  .option('cache', {
+    type: 'boolean',
+    description: t('cli.option.cache'),
+    default: false
+  })
+  .option('refresh', {
+    type: 'boolean',
+    description: t('cli.option.refresh'),
+    default: false
+  })
+  .option('cache-dir', {
+    type: 'string',
+    description: t('cli.option.cache-dir')
+  })
+  .option('cache-max-size', {
+    type: 'string',
+    description: t('cli.option.cache-max-size'),
+    default: '1GB'
+  })
+  .option('json', {
+    type: 'boolean',
+    description: t('cli.option.json'),
+    default: false
+  })
+  .option('record', {
+    type: 'string',
+    description: t('cli.option.record'),
+    conflicts: 'replay'
+  })
+  .option('replay', {
+    type: 'string',
+    description: t('cli.option.replay')
+  })
+  .option('lang', {
+    type: 'string',
+    description: t('cli.option.lang'),
+    choices: SUPPORTED_LANGUAGES,
+    coerce: value => normalizeLanguage(value) || value
+  })
   .option('interactive', {
     alias: 'i',
     type: 'boolean',
-    description: '运行交互模式',
+    description: t('cli.option.interactive'),
     default: false
   })
   .option('debug', {
     alias: 'd',
     type: 'boolean',
-    description: '显示调试信息',
+    description: t('cli.option.debug'),
     default: false
   })
   .option('detect-proxy', {
     alias: 'x', // 'x' 表示代理检测
     type: 'boolean',
-    description: '强制检测系统代理设置',
+    description: t('cli.option.detect-proxy'),
     default: false
   })
   .option('no-proxy', {
     alias: 'N', // 大写的 'N' 表示“不”使用代理
     type: 'boolean',
-    description: '禁用代理使用',
+    description: t('cli.option.no-proxy'),
     default: false
   })
+  .option('proxy-rule', {
+    type: 'string',
+    description: t('cli.option.proxy-rule')
+  })
+  .locale(getLanguage() === 'zh-CN' ? 'zh_CN' : 'en')
+  // 参数校验失败（如无效的选项值）时使用验证错误的退出码；解析尚未完成，因此 --json 取自预解析的参数
+  .fail((message, error, yargsInstance) => {
+    if (!earlyArgs.json) {
+      yargsInstance.showHelp();
+      console.error(`\n${message || error.message}`);
+    }
+    exitWithError(message || error.message, 'validation', earlyArgs);
+  })
   .help()
-  .alias('help', 'h')
-  .parse();
+  .alias('help', 'h');
+
+const argv = cli.parse();
+
+// 由配置档案填入 argv 的参数；它们不算显式提供的命令行参数，因此 --config-file 仍可覆盖
+const profileKeys = new Set();
 
 // 主函数
 async function main() {
+  // JSON 模式下 stdout 只输出最终结果，其他输出全部写入 stderr
+  if (argv.json) {
+    console.log = console.error;
+    console.info = console.error;
+  }
+  
   try {
+    // 显式选择的语言保存为以后的默认语言
+    if (isExplicitCliArg('lang')) {
+      saveConfig({ language: argv.lang });
+    }
+    
+    // 配置档案的设置只填补没有显式提供的参数；--config-file 之后再覆盖它们
+    // （优先级：命令行参数 > --config-file > 配置档案 > 环境变量和 .env > 内置默认值）
+    if (!['profile', 'vault'].includes(argv._[0])) {
+      try {
+        const profile = resolveProfile(argv);
+        if (profile) {
+          Object.keys(profile.settings)
+            .filter(key => !isExplicitCliArg(key))
+            .forEach(key => {
+              argv[key] = profile.settings[key];
+              profileKeys.add(key);
+            });
+          argv.profile = profile.name;
+          debug(argv, t('main.profileLoaded', { name: profile.name }));
+        }
+      } catch (error) {
+        console.error(t('common.error', { message: error.message }));
+        exitWithError(error.message, 'validation');
+      }
+    }
+    
     // 如果启用了调试，则记录代理设置
     if (argv.debug) {
       const proxySettings = detectSystemProxy(argv);
-      debug(argv, '系统代理设置:');
-      debug(argv, `  HTTP_PROXY: ${proxySettings.httpProxy || '未设置'}`);
-      debug(argv, `  HTTPS_PROXY: ${proxySettings.httpsProxy || '未设置'}`);
-      debug(argv, `  NO_PROXY: ${proxySettings.noProxy || '未设置'}`);
+      debug(argv, t('main.proxySettings'));
+      debug(argv, `  HTTP_PROXY: ${maskProxyUrl(proxySettings.httpProxy) || t('common.notSet')}`);
+      debug(argv, `  HTTPS_PROXY: ${maskProxyUrl(proxySettings.httpsProxy) || t('common.notSet')}`);
+      debug(argv, `  NO_PROXY: ${proxySettings.noProxy || t('common.notSet')}`);
+      debug(argv, `  PROXY_RULES: ${process.env.PROXY_RULES || t('common.notSet')}`);
+    }
+    
+    // 会话管理命令
+    if (argv._[0] === 'session') {
+      const ok = runSessionCommand(argv, argv.jsonDir || config.lastJsonDir || './output');
+      process.exit(ok ? 0 : 1);
+    }
+    
+    // 生成历史命令（--api 仅在显式提供时作为筛选条件）
+    if (argv._[0] === 'history') {
+      const ok = runHistoryCommand(
+        { ...argv, api: isExplicitCliArg('api') ? argv.api : undefined },
+        argv.jsonDir || config.lastJsonDir || './output'
+      );
+      process.exit(ok ? 0 : 1);
+    }
+    
+    // 联系表命令
+    if (argv._[0] === 'sheet') {
+      process.exit(runSheetCommand(argv) ? 0 : 1);
+    }
+    
+    // 查看图像元数据
+    if (argv._[0] === 'inspect') {
+      process.exit(runInspectCommand(argv) ? 0 : 1);
+    }
+    
+    // 缓存管理命令
+    if (argv._[0] === 'cache') {
+      process.exit(runCacheCommand(argv) ? 0 : 1);
     }
     
+    // 代理设置管理和连通性测试
+    if (argv._[0] === 'proxy') {
+      process.exit(await runProxyCommand(argv) ? 0 : 1);
+    }
+    
+    // 配置档案管理（只有显式提供的参数才写入配置档案）
+    if (argv._[0] === 'profile') {
+      const settings = {};
+      [...PROFILE_OPTIONS, 'geminiKey']
+        .filter(key => isExplicitCliArg(key))
+        .forEach(key => {
+          settings[key] = argv[key];
+        });
+      try {
+        process.exit(await runProfileCommand(argv, settings) ? 0 : 1);
+      } catch (error) {
+        console.error(t('common.error', { message: error.message }));
+        exitWithError(error.message, error.category);
+      }
+    }
+    
+    // 加密凭据保管库管理
+    if (argv._[0] === 'vault') {
+      try {
+        process.exit(await runVaultCommand(argv) ? 0 : 1);
+      } catch (error) {
+        console.error(t('common.error', { message: error.message }));
+        exitWithError(error.message, error.category);
+      }
+    }
+    
+    // 模拟服务器（一直运行到被中断）
+    if (argv._[0] === 'mock-server') {
+      process.exit(await runMockServerCommand(argv) ? 0 : 1);
+    }
+    
+    // 子命令（如 edit）通过命令定义中的位置参数接收提示
+    const command = ['edit', 'upscale'].includes(argv._[0]) ? argv._[0] : null;
+    
     let options = { ...argv };
     
     // 从位置参数获取提示（如果提供）
-    if (argv._.length > 0) {
+    if (!command && argv._.length > 0) {
       options.prompt = argv._[0];
     }
     
@@ -202,20 +693,13 @@ async function main() {
       try {
         const configFilePath = path.resolve(options.configFile);
         if (!fs.existsSync(configFilePath)) {
-          console.error(`错误: 配置文件未在以下路径找到 ${configFilePath}`);
-          process.exit(1);
+          const message = t('main.configFileNotFound', { path: configFilePath });
+          console.error(t('common.error', { message }));
+          exitWithError(message, 'validation');
         }
         
         const fileContent = fs.readFileSync(configFilePath, 'utf8');
-        const fileConfig = JSON.parse(fileContent);
-        
-        // 合并文件配置与 CLI 选项，优先考虑显式 CLI 参数
-        // （显式提供的 CLI 参数覆盖文件配置）
-        const explicitCliArgs = Object.keys(argv).filter(key => 
-          argv.hasOwnProperty(key) && 
-          !['_', '$0'].includes(key) && 
-          yargs(hideBin(process.argv)).parsed.argv.hasOwnProperty(key)
-        );
+        const fileConfig = normalizeOptionKeys(JSON.parse(fileContent));
         
         options = {
           ...options,
@@ -223,21 +707,23 @@ async function main() {
         };
         
         // 恢复显式 CLI 参数以保持其优先级
-        explicitCliArgs.forEach(key => {
-          if (argv[key] !== undefined) {
+        // （显式提供的 CLI 参数覆盖文件配置）
+        Object.keys(fileConfig)
+          .filter(key => isExplicitCliArg(key))
+          .forEach(key => {
             options[key] = argv[key];
-          }
-        });
+          });
         
         // 确保位置参数优先
-        if (argv._.length > 0) {
+        if (!command && argv._.length > 0) {
           options.prompt = argv._[0];
         }
         
-        debug(argv, `从 ${configFilePath} 加载配置`);
+        debug(argv, t('main.configFileLoaded', { path: configFilePath }));
       } catch (error) {
-        console.error(`加载配置文件时出错: ${error.message}`);
-        process.exit(1);
+        const message = t('main.configFileError', { message: error.message });
+        console.error(t('common.error', { message }));
+        exitWithError(message, 'validation');
       }
     }
     
@@ -246,6 +732,14 @@ async function main() {
       options = await runInteractiveMode(argv, config);
     }
     
+    // 凭据只保存在加密保管库中时，在终端中询问保管库口令
+    try {
+      await unlockVaultIfNeeded(options, command);
+    } catch (error) {
+      console.error(t('common.error', { message: error.message }));
+      exitWithError(error.message, 'auth');
+    }
+    
     // 如果未显式提供 JSON 目录，则使用默认值
     if (!options.jsonDir) {
       options.jsonDir = config.lastJsonDir || './output';
@@ -256,126 +750,166 @@ async function main() {
       options.outputDir = config.lastOutputDir || './images';
     }
     
-    // 确定要使用的 API
-    const api = options.api || process.env.DEFAULT_API || 'imagen';
-    
-    // 验证每个 API 的必需参数
-    if (api === 'imagen') {
-      const keyFilePath = options.keyFile || getServiceAccountKeyPath();
-      
-      if (!keyFilePath) {
-        console.error('错误: Imagen API 需要服务账户密钥文件。');
-        console.error('请通过以下方式之一提供:');
-        console.error('  1. --key-file 参数');
-        console.error('  2. GOOGLE_APPLICATION_CREDENTIALS 环境变量');
-        console.error('  3. 当前目录下的 .service-account.json 文件');
-        process.exit(1);
+    // 批处理模式：逐个任务运行，单个任务失败不会中止整个批处理
+    if (options.batch) {
+      const batchFilePath = path.resolve(options.batch);
+      if (!fs.existsSync(batchFilePath)) {
+        const message = t('main.batchFileNotFound', { path: batchFilePath });
+        console.error(t('common.error', { message }));
+        exitWithError(message, 'validation');
       }
       
-      if (!options.prompt) {
-        console.error('错误: 提示是必需的。请作为第一个参数提供或使用交互模式。');
-        process.exit(1);
-      }
-      
-      console.log(`使用服务账户密钥文件: ${keyFilePath}`);
-      
-      if (!fs.existsSync(keyFilePath)) {
-        console.error(`错误: 密钥文件未在以下路径找到 ${keyFilePath}`);
-        process.exit(1);
-      }
-      
-      const keyFileContent = fs.readFileSync(keyFilePath, 'utf8');
-      let keyData;
-      
+      let jobs;
       try {
-        keyData = JSON.parse(keyFileContent);
+        jobs = loadBatchJobs(batchFilePath);
       } catch (error) {
-        console.error('解析服务账户密钥文件时出错:', error);
-        process.exit(1);
+        const message = t('main.batchFileError', { message: error.message });
+        console.error(t('common.error', { message }));
+        exitWithError(message, 'validation');
       }
       
-      // 使用提供的项目 ID 或服务账户中的项目 ID 或环境变量中的项目 ID
-      const projectId = options.projectId || keyData.project_id || process.env.GOOGLE_CLOUD_PROJECT;
-      
-      if (!projectId) {
-        console.error('错误: 项目 ID 在服务账户中未找到且未作为参数或环境变量提供');
-        process.exit(1);
-      }
-      
-      console.log(`使用项目 ID: ${projectId}`);
-      
-      const result = await generateImagesWithImagen({
-        ...options,
-        keyFile: keyFilePath,
-        projectId
-      }, argv);
-      
-      if (result.success) {
-        console.log('图像生成成功！');
-        // 打开输出目录
-        if (result.outputDir && result.images && result.images.length > 0) {
-          try {
-            await open(result.outputDir);
-          } catch (error) {
-            console.warn('无法自动打开输出目录');
-          }
-        }
-        
-        // 保存两个目录以备下次使用
-        saveConfig({ 
-          lastOutputDir: options.outputDir,
-          lastJsonDir: options.jsonDir 
-        });
-      }
+      const { prompt, batch, ...baseOptions } = options;
+      const summary = await runBatch(jobs, baseOptions, argv, { concurrency: options.concurrency });
       
-    } else if (api === 'gemini') {
-      const geminiKey = options.geminiKey || getGeminiApiKey();
+      saveConfig({ 
+        lastOutputDir: options.outputDir,
+        lastJsonDir: options.jsonDir 
+      });
       
-      if (!geminiKey) {
-        console.error('错误: Gemini API 需要 Gemini API 密钥。');
-        console.error('请通过以下方式之一提供:');
-        console.error('  1. --gemini-key 参数');
-        console.error('  2. GEMINI_API_KEY 环境变量');
-        console.error('  3. 上次运行的配置');
-        process.exit(1);
+      if (argv.json) {
+        printJson({ status: summary.failed > 0 ? 'failed' : 'success', exitCode: summary.failed > 0 ? EXIT_CODES.error : EXIT_CODES.success, ...summary });
       }
-      
-      if (!options.prompt) {
-        console.error('错误: 提示是必需的。请作为第一个参数提供或使用交互模式。');
-        process.exit(1);
+      process.exit(summary.failed > 0 ? EXIT_CODES.error : EXIT_CODES.success);
+    }
+    
+    let result;
+    if (command === 'edit') {
+      result = await runImageEdit(options, argv);
+    } else if (command === 'upscale') {
+      result = await runUpscale(options, argv);
+    } else {
+      result = await runGeneration(options, argv);
+    }
+    
+    const jsonContext = {
+      command: command || 'generate',
+      api: command ? 'imagen' : (options.api || process.env.DEFAULT_API || 'imagen'),
+      count: options.count
+    };
+    
+    if (!result.success) {
+      if (argv.json) {
+        printJson(buildJsonResult(result, jsonContext));
       }
-      
-      const result = await generateImagesWithGemini({
-        ...options,
-        geminiKey
-      }, argv);
-      
-      if (result.success) {
-        console.log('图像生成成功！');
-        // 打开输出目录
-        if (result.outputDir) {
-          try {
-            await open(result.outputDir);
-          } catch (error) {
-            console.warn('无法自动打开输出目录');
-          }
-        }
-        
-        // 保存两个目录以备下次使用
-        saveConfig({ 
-          lastOutputDir: options.outputDir,
-          lastJsonDir: options.jsonDir 
+      process.exit(getExitCode(result));
+    }
+    
+    console.log(command === 'upscale' ? t('main.upscaleSucceeded') : t('main.generateSucceeded'));
+    if (result.upscaled && result.upscaled.length > 0) {
+      console.log(t('main.upscaledCount', { count: result.upscaled.length }));
+    }
+    if (result.upscaleError) {
+      console.warn(t('common.warning', { message: result.upscaleError }));
+    }
+    if (result.combinations) {
+      result.combinations.forEach(item => {
+        console.log(`  ${item.label || item.prompt}: ${item.success ? t('main.imageCount', { count: item.images.length }) : t('main.itemFailed', { error: item.error })}`);
+      });
+    }
+    if (result.seeds) {
+      result.seeds.forEach(item => {
+        console.log(`  ${t('main.seedLabel', { seed: item.seed })}: ${item.success ? t('main.imageCount', { count: item.images.length }) : t('main.itemFailed', { error: item.error })}`);
+      });
+    }
+    if (options.contactSheet && result.images && result.images.length > 0) {
+      try {
+        const sheet = createContactSheet(result.images, {
+          output: path.join(options.outputDir, `${result.requestId || `run_${Date.now()}`}_sheet.png`),
+          title: options.prompt
         });
+        console.log(t('main.contactSheet', { path: sheet.path }));
+        jsonContext.contactSheet = sheet.path;
+      } catch (error) {
+        console.warn(t('main.contactSheetFailed', { message: error.message }));
       }
-    } else {
-      console.error(`错误: 未知 API: ${options.api}`);
-      process.exit(1);
+    }
+    // 打开输出目录（JSON 模式供脚本使用，不打开）
+    if (!argv.json && result.outputDir && result.images && result.images.length > 0) {
+      try {
+        await open(result.outputDir);
+      } catch (error) {
+        console.warn(t('main.openFailed'));
+      }
+    }
+    
+    // 保存两个目录以备下次使用
+    saveConfig({ 
+      lastOutputDir: options.outputDir,
+      lastJsonDir: options.jsonDir 
+    });
+    
+    if (argv.json) {
+      printJson(buildJsonResult(result, jsonContext));
     }
     
   } catch (error) {
-    console.error('错误:', error);
-    process.exit(1);
+    console.error(t('main.error'), error);
+    exitWithError(error.message);
+  }
+}
+
+/**
+ * 将结果以 JSON 写入 stdout（JSON 模式下 console.log 已改为写入 stderr）
+ * @param {Object} value - 结果
+ */
+function printJson(value) {
+  process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+}
+
+/**
+ * 以错误类别对应的退出码结束进程；JSON 模式下先输出错误结果
+ * @param {String} message - 错误消息
+ * @param {String} [category='error'] - 错误类别（EXIT_CODES 的键）
+ * @param {Object} [args=argv] - 命令行参数（yargs 解析完成之前使用预解析的参数）
+ */
+function exitWithError(message, category = 'error', args = argv) {
+  if (args.json) {
+    const command = ['edit', 'upscale'].includes(args._[0]) ? args._[0] : 'generate';
+    printJson(buildJsonResult({ success: false, error: message, errorCategory: category }, { command }));
   }
+  process.exit(EXIT_CODES[category]);
+}
+
+/**
+ * 读取配置文件中的语言设置（在解析命令行之前调用，出错时忽略，由 main 报告）
+ * @param {String} [configFile] - 配置文件路径
+ * @returns {String|undefined} 语言
+ */
+function readConfigFileLanguage(configFile) {
+  if (!configFile) {
+    return undefined;
+  }
+  
+  try {
+    return normalizeOptionKeys(JSON.parse(fs.readFileSync(path.resolve(configFile), 'utf8'))).lang;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * 判断选项是否在命令行中显式提供（而不是来自默认值或配置档案）
+ * @param {String} key - camelCase 选项名
+ * @returns {Boolean} 是否显式提供
+ */
+function isExplicitCliArg(key) {
+  if (argv[key] === undefined || profileKeys.has(key)) {
+    return false;
+  }
+  
+  const defaulted = cli.parsed ? cli.parsed.defaulted : {};
+  const kebabKey = key.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+  return !defaulted[key] && !defaulted[kebabKey];
 }
 
 // 执行
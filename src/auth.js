@@ -1,9 +1,24 @@
 import fs from 'fs';
+import crypto from 'crypto';
 import path from 'path';
 import os from 'os';
-import { GoogleAuth } from 'google-auth-library';
+import { GoogleAuth, Impersonated } from 'google-auth-library';
 import { getConfig } from './config.js';
-import { createProxyAgent, detectSystemProxy } from './proxy.js';
+import { createProxyAgentResolver, resolveProxyRoute, fetchWithProxy, maskProxyUrl } from './proxy.js';
+import { getLogger, ensureConfigDirectory } from './utils.js';
+import { hasVaultEntry, canUnlockVault, readVaultSecret, unlockVaultInteractively, getProfileEntryName } from './vault.js';
+import { getErrorCategory } from './outcome.js';
+import { t } from './i18n.js';
+
+/**
+ * OAuth token endpoint that google-auth-library (gtoken) exchanges service account JWTs at
+ */
+export const GOOGLE_TOKEN_ENDPOINT = 'https://www.googleapis.com/oauth2/v4/token';
+
+const TOKEN_SCOPES = ['https://www.googleapis.com/auth/cloud-platform'];
+
+// Cached tokens are refreshed this long before they expire, like google-auth-library does
+const TOKEN_EXPIRY_MARGIN_MS = 5 * 60 * 1000;
 
 /**
  * Get Google Cloud service account key file path
@@ -44,15 +59,28 @@ export function getServiceAccountKeyPath() {
 
 /**
  * Get Gemini API key
+ * @param {Object} [options] - Options (`profile`, `vaultKeyFile`) for reading the encrypted vault
  * @returns {String|null} API key or null if not found
  */
-export function getGeminiApiKey() {
-  // Environment variable takes precedence
+export function getGeminiApiKey(options = {}) {
+  // The selected profile's own key takes precedence, so switching profiles needs no .env edits
+  const profileKey = options.profile ? readStoredSecret(getProfileEntryName('gemini-api-key', options.profile), options) : null;
+  if (profileKey) {
+    return profileKey;
+  }
+  
+  // Then the environment variable
   if (process.env.GEMINI_API_KEY) {
     return process.env.GEMINI_API_KEY;
   }
   
-  // Check for stored key in config
+  // Then the encrypted vault
+  const vaultKey = readStoredSecret('gemini-api-key', options);
+  if (vaultKey) {
+    return vaultKey;
+  }
+  
+  // Check for a plaintext key stored in config by older versions (see `vault migrate`)
   const config = getConfig();
   const storedKey = config.geminiApiKey;
   if (storedKey) {
@@ -63,58 +91,357 @@ export function getGeminiApiKey() {
 }
 
 /**
- * Get access token for Google Cloud API with proxy support
- * @param {String} keyFilePath - Path to service account key file
- * @param {Object} argv - Command line arguments for proxy configuration
+ * Get the service account key kept in the encrypted vault: the selected profile's own, then the shared one
+ * @param {Object} [options] - Options (`profile`, `vaultKeyFile`)
+ * @param {Object} [lookup] - Lookup options
+ * @param {Boolean} [lookup.profileOnly=false] - Only look at the profile's own key
+ * @returns {Object|null} Parsed key or null if the vault has none
+ */
+export function getStoredServiceAccount(options = {}, { profileOnly = false } = {}) {
+  const names = [
+    options.profile && getProfileEntryName('service-account', options.profile),
+    !profileOnly && 'service-account'
+  ].filter(Boolean);
+  
+  for (const name of names) {
+    const content = readStoredSecret(name, options);
+    if (content) {
+      return JSON.parse(content);
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Ask for the vault passphrase in a terminal when a credential for this run is only available from the vault
+ * @param {Object} options - Run options (`api`, `geminiBackend`, `geminiKey`, `keyFile`, `adc`, `upscale`, `replay`, `json`, `profile`, `vaultKeyFile`)
+ * @param {String} [command] - Subcommand ('edit' and 'upscale' always use Imagen)
+ * @returns {Promise<void>}
+ */
+export async function unlockVaultIfNeeded(options, command) {
+  if (!process.stdin.isTTY || options.json || options.replay || canUnlockVault(options)) {
+    return;
+  }
+  
+  const api = command ? 'imagen' : options.api || process.env.DEFAULT_API || 'imagen';
+  const inProfile = name => options.profile && hasVaultEntry(getProfileEntryName(name, options.profile));
+  const vertexGemini = api === 'gemini' && options.geminiBackend === 'vertex';
+  const needsGemini = api === 'gemini' && !vertexGemini && !options.geminiKey &&
+    (inProfile('gemini-api-key') || (!process.env.GEMINI_API_KEY && hasVaultEntry('gemini-api-key')));
+  const needsImagen = (api === 'imagen' || vertexGemini || options.upscale) && !options.keyFile && !options.adc &&
+    (inProfile('service-account') || (!getServiceAccountKeyPath() && hasVaultEntry('service-account')));
+  
+  if (needsGemini || needsImagen) {
+    await unlockVaultInteractively();
+  }
+}
+
+/**
+ * Get the Application Default Credentials file written by `gcloud auth application-default login`
+ * @returns {String|null} Path to the file or null if it does not exist
+ */
+export function getDefaultCredentialsPath() {
+  const configDir = process.env.CLOUDSDK_CONFIG || (os.platform() === 'win32'
+    ? path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), 'gcloud')
+    : path.join(os.homedir(), '.config', 'gcloud'));
+  const adcPath = path.join(configDir, 'application_default_credentials.json');
+  
+  return fs.existsSync(adcPath) ? adcPath : null;
+}
+
+/**
+ * Look up the project ID known to Application Default Credentials
+ * (the gcloud file's quota project, environment, gcloud config or metadata server)
+ * @returns {Promise<String|null>} Project ID or null if none could be determined
+ */
+export async function getDefaultProjectId() {
+  const adcPath = getDefaultCredentialsPath();
+  
+  try {
+    const quotaProjectId = adcPath && JSON.parse(fs.readFileSync(adcPath, 'utf8')).quota_project_id;
+    if (quotaProjectId) {
+      return quotaProjectId;
+    }
+    
+    return await new GoogleAuth({ scopes: TOKEN_SCOPES }).getProjectId();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get access token for Google Cloud API with proxy support.
+ * Tokens are cached on disk per credentials, impersonation target and scopes until shortly before they expire.
+ * @param {String|Object|null} keyFilePath - Path to a credentials file, the parsed key itself, or null for Application Default Credentials
+ * @param {Object} argv - Command line arguments for proxy, impersonation and token cache configuration
  * @returns {Promise<String>} Access token
  */
 export async function getAccessToken(keyFilePath, argv) {
+  const logger = getLogger(argv);
+  
   try {
-    console.log('正在检查代理设置...');
-    const proxySettings = detectSystemProxy(argv);
+    // Replayed responses need no credentials
+    if (argv.replay) {
+      logger.log(t('auth.replay'));
+      return 'replay';
+    }
     
-    // Apply proxy settings to environment if provided
-    const originalHttpProxy = process.env.HTTP_PROXY;
-    const originalHttpsProxy = process.env.HTTPS_PROXY;
+    const impersonate = argv.impersonateServiceAccount || process.env.GOOGLE_IMPERSONATE_SERVICE_ACCOUNT || null;
+    const cacheKey = argv.tokenCache !== false ? getTokenCacheKey(keyFilePath, impersonate) : null;
+    const cachedToken = cacheKey ? readCachedToken(cacheKey) : null;
     
-    if (proxySettings.httpsProxy) {
-      console.log(`使用代理进行身份验证：${proxySettings.httpsProxy}`);
-      process.env.HTTPS_PROXY = proxySettings.httpsProxy;
-      process.env.HTTP_PROXY = proxySettings.httpProxy || proxySettings.httpsProxy;
-    } else if (process.env.SYSTEM_PROXY) {
-      console.log(`使用系统指定的代理：${process.env.SYSTEM_PROXY}`);
-      process.env.HTTPS_PROXY = process.env.SYSTEM_PROXY;
-      process.env.HTTP_PROXY = process.env.SYSTEM_PROXY;
-    } else {
-      console.log('没有为身份验证配置代理');
+    if (cachedToken) {
+      logger.log(t('auth.usingCachedToken', { time: new Date(cachedToken.expiresAt).toLocaleTimeString() }));
+      return cachedToken.accessToken;
     }
     
-    // Configure GoogleAuth to use our proxy settings
-    const auth = new GoogleAuth({
-      keyFile: keyFilePath,
-      scopes: ['https://www.googleapis.com/auth/cloud-platform'],
-    });
-    
-    // Get client and token
-    const client = await auth.getClient();
-    const token = await client.getAccessToken();
+    let token;
     
-    // Restore original proxy settings
-    if (originalHttpsProxy) {
-      process.env.HTTPS_PROXY = originalHttpsProxy;
+    // A token endpoint override (e.g. the built-in mock server) replaces Google's OAuth endpoint
+    if (process.env.GOOGLE_TOKEN_URL) {
+      if (!keyFilePath || impersonate) {
+        throw new Error(t('auth.tokenUrlNeedsKey'));
+      }
+      logger.log(t('auth.tokenUrl', { url: process.env.GOOGLE_TOKEN_URL }));
+      token = await requestServiceAccountToken(keyFilePath, process.env.GOOGLE_TOKEN_URL, argv);
     } else {
-      delete process.env.HTTPS_PROXY;
+      logger.log(t('auth.checkingProxy'));
+      const route = resolveProxyRoute(argv, GOOGLE_TOKEN_ENDPOINT);
+      
+      if (route.proxy) {
+        logger.log(t('auth.usingProxy', { proxy: maskProxyUrl(route.proxy) }));
+      } else if (route.source === 'rule' || route.source === 'no-proxy') {
+        logger.log(t('auth.proxyBypassed', { pattern: route.pattern }));
+      } else {
+        logger.log(t('auth.noProxy'));
+      }
+      
+      if (impersonate) {
+        logger.log(t('auth.impersonating', { account: impersonate }));
+      }
+      
+      token = await requestGoogleToken(keyFilePath, impersonate, argv);
     }
     
-    if (originalHttpProxy) {
-      process.env.HTTP_PROXY = originalHttpProxy;
-    } else {
-      delete process.env.HTTP_PROXY;
+    if (cacheKey) {
+      writeCachedToken(cacheKey, token, logger);
     }
     
-    return token.token;
+    return token.accessToken;
   } catch (error) {
-    console.error('获取访问令牌时出错：', error);
+    logger.error(t('auth.tokenError'), error);
+    // Anything but a network failure here is a credential problem
+    if (!getErrorCategory(error)) {
+      error.category = 'auth';
+    }
     throw error;
   }
 }
+
+/**
+ * Drop the cached token for a set of credentials, e.g. after the API rejected it
+ * @param {String|Object|null} keyFilePath - Credentials passed to getAccessToken
+ * @param {Object} argv - Command line arguments
+ */
+export function discardCachedToken(keyFilePath, argv) {
+  if (argv.replay || argv.tokenCache === false) {
+    return;
+  }
+  
+  const impersonate = argv.impersonateServiceAccount || process.env.GOOGLE_IMPERSONATE_SERVICE_ACCOUNT || null;
+  const cacheKey = getTokenCacheKey(keyFilePath, impersonate);
+  const entries = readTokenCache();
+  
+  if (entries[cacheKey]) {
+    delete entries[cacheKey];
+    writeTokenCache(entries);
+  }
+}
+
+/**
+ * Mint a token through google-auth-library: a credentials file, or ADC (gcloud user credentials,
+ * workload identity federation, metadata server), optionally impersonating a service account
+ * @param {String|Object|null} keyFilePath - Credentials file path, parsed key, or null for ADC
+ * @param {String|null} impersonate - Service account email to impersonate
+ * @param {Object} argv - Command line arguments for proxy configuration
+ * @returns {Promise<{ accessToken: String, expiresAt: Number }>} Token and its expiry (epoch ms)
+ */
+async function requestGoogleToken(keyFilePath, impersonate, argv) {
+  // Token requests pick their agent per URL, with the same proxy rules and NO_PROXY as API calls
+  const clientOptions = { transporterOptions: { agent: createProxyAgentResolver(argv) } };
+  const credentials = typeof keyFilePath === 'string'
+    ? { keyFile: keyFilePath }
+    : keyFilePath ? { credentials: keyFilePath } : {};
+  
+  const auth = new GoogleAuth({ ...credentials, scopes: TOKEN_SCOPES, clientOptions });
+  let client = await auth.getClient();
+  
+  if (impersonate) {
+    client = new Impersonated({
+      ...clientOptions,
+      sourceClient: client,
+      targetPrincipal: impersonate,
+      targetScopes: TOKEN_SCOPES,
+      lifetime: 3600
+    });
+  }
+  
+  const { token } = await client.getAccessToken();
+  
+  return { accessToken: token, expiresAt: client.credentials.expiry_date || Date.now() + 3600 * 1000 };
+}
+
+/**
+ * Exchange a signed service account JWT for an access token at a given OAuth token endpoint
+ * @param {String|Object} keyFilePath - Path to service account key file, or the parsed key itself
+ * @param {String} tokenUrl - Token endpoint URL
+ * @param {Object} argv - Command line arguments for proxy configuration
+ * @returns {Promise<{ accessToken: String, expiresAt: Number }>} Token and its expiry (epoch ms)
+ */
+async function requestServiceAccountToken(keyFilePath, tokenUrl, argv) {
+  const key = typeof keyFilePath === 'string' ? JSON.parse(fs.readFileSync(keyFilePath, 'utf8')) : keyFilePath;
+  if (!key.client_email || !key.private_key) {
+    throw new Error(t('auth.keyIncomplete'));
+  }
+  
+  const now = Math.floor(Date.now() / 1000);
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode({
+    iss: key.client_email,
+    scope: TOKEN_SCOPES.join(' '),
+    aud: tokenUrl,
+    iat: now,
+    exp: now + 3600
+  })}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(unsigned), key.private_key).toString('base64url');
+  
+  const response = await fetchWithProxy(tokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion: `${unsigned}.${signature}`
+    }).toString()
+  }, argv, { record: false });
+  
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || !body.access_token) {
+    throw new Error(t('auth.tokenEndpointError', { status: response.status, reason: body.error_description || body.error || t('auth.missingAccessToken') }));
+  }
+  
+  return { accessToken: body.access_token, expiresAt: Date.now() + (body.expires_in || 3600) * 1000 };
+}
+
+/**
+ * Read a vault entry; a locked vault or a wrong passphrase is reported and treated as a missing credential
+ * @param {String} name - Vault entry name
+ * @param {Object} options - Options (`vaultKeyFile`)
+ * @returns {String|null} Secret or null
+ */
+function readStoredSecret(name, options) {
+  try {
+    return readVaultSecret(name, options);
+  } catch (error) {
+    console.warn(t('common.warning', { message: error.message }));
+    return null;
+  }
+}
+
+/**
+ * Derive the token cache key from the credentials' content, impersonation target, scopes and token endpoint,
+ * so editing or replacing a key file never reuses a token minted for the old one
+ * @param {String|Object|null} keyFilePath - Credentials file path, parsed key, or null for ADC
+ * @param {String|null} impersonate - Service account email to impersonate
+ * @returns {String} Cache key (sha256 hex)
+ */
+function getTokenCacheKey(keyFilePath, impersonate) {
+  let source;
+  
+  if (typeof keyFilePath === 'string') {
+    source = fs.existsSync(keyFilePath) ? fs.readFileSync(keyFilePath, 'utf8') : keyFilePath;
+  } else if (keyFilePath) {
+    source = JSON.stringify(keyFilePath);
+  } else {
+    // ADC from the gcloud file, or from the environment (metadata server, workload identity)
+    const adcPath = getDefaultCredentialsPath();
+    source = adcPath ? fs.readFileSync(adcPath, 'utf8') : 'adc';
+  }
+  
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      source,
+      impersonate,
+      scopes: TOKEN_SCOPES,
+      tokenUrl: process.env.GOOGLE_TOKEN_URL || GOOGLE_TOKEN_ENDPOINT
+    }))
+    .digest('hex');
+}
+
+/**
+ * Read a cached token that is still valid
+ * @param {String} cacheKey - Token cache key
+ * @returns {Object|null} `{ accessToken, expiresAt }` or null on a miss
+ */
+function readCachedToken(cacheKey) {
+  const entry = readTokenCache()[cacheKey];
+  
+  if (!entry || entry.expiresAt - TOKEN_EXPIRY_MARGIN_MS <= Date.now()) {
+    return null;
+  }
+  
+  return entry;
+}
+
+/**
+ * Store a token, dropping entries that have expired
+ * @param {String} cacheKey - Token cache key
+ * @param {Object} token - `{ accessToken, expiresAt }`
+ * @param {Object} logger - Logger
+ */
+function writeCachedToken(cacheKey, token, logger) {
+  const entries = readTokenCache();
+  
+  Object.keys(entries)
+    .filter(key => entries[key].expiresAt <= Date.now())
+    .forEach(key => delete entries[key]);
+  entries[cacheKey] = token;
+  
+  try {
+    writeTokenCache(entries);
+  } catch (error) {
+    // Caching is an optimisation; the token is still usable for this run
+    logger.warn(t('common.warning', { message: t('auth.tokenCacheWriteError', { message: error.message }) }));
+  }
+}
+
+/**
+ * Path of the token cache file in the config directory
+ * @returns {String} Token cache path
+ */
+function getTokenCachePath() {
+  return path.join(ensureConfigDirectory(), 'tokens.json');
+}
+
+/**
+ * Read all token cache entries; a missing or damaged file is an empty cache
+ * @returns {Object} Entries keyed by cache key
+ */
+function readTokenCache() {
+  try {
+    return JSON.parse(fs.readFileSync(getTokenCachePath(), 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Write the token cache, readable by the current user only
+ * @param {Object} entries - Entries keyed by cache key
+ */
+function writeTokenCache(entries) {
+  const cachePath = getTokenCachePath();
+  fs.writeFileSync(cachePath, JSON.stringify(entries, null, 2), { mode: 0o600 });
+  fs.chmodSync(cachePath, 0o600);
+}
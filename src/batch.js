@@ -0,0 +1,280 @@
+import fs from 'fs';
+import path from 'path';
+import { runGeneration } from './runner.js';
+import { getRunOutcome } from './history.js';
+import { normalizeOptionKeys, saveFile } from './utils.js';
+import { getResultCategory } from './outcome.js';
+import { t } from './i18n.js';
+
+/**
+ * Load batch jobs from a JSONL or CSV file.
+ * JSONL: one JSON object per line (a bare JSON string is treated as the prompt).
+ * CSV: first row is the header; `reference-images` cells may list several paths separated by `;`.
+ * Keys may be written as in the CLI (`aspect-ratio`) or camelCase (`aspectRatio`).
+ * @param {string} filePath - Path to the batch file
+ * @returns {Array<Object>} Normalized job definitions
+ */
+export function loadBatchJobs(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8').replace(/^﻿/, '');
+  const ext = path.extname(filePath).toLowerCase();
+
+  const rawJobs = ext === '.csv' ? parseCsvJobs(content) : parseJsonlJobs(content);
+
+  const jobs = rawJobs.map((rawJob, index) => {
+    const job = normalizeOptionKeys(rawJob);
+
+    if (typeof job.referenceImages === 'string') {
+      job.referenceImages = job.referenceImages.split(';').map(item => item.trim()).filter(Boolean);
+    }
+
+    for (const key of ['count', 'seed']) {
+      if (typeof job[key] === 'string' && job[key] !== '') {
+        job[key] = parseInt(job[key], 10);
+      }
+    }
+
+    for (const key of ['enhance', 'watermark']) {
+      if (typeof job[key] === 'string' && job[key] !== '') {
+        job[key] = job[key].toLowerCase() === 'true';
+      }
+    }
+
+    // Empty CSV cells mean "no override"
+    for (const key of Object.keys(job)) {
+      if (job[key] === '') {
+        delete job[key];
+      }
+    }
+
+    job.id = String(job.id || index + 1);
+    return job;
+  });
+
+  // Output files are named after the ID, so IDs that are equal once made file-safe would overwrite each other
+  const seen = new Map();
+  jobs.forEach(job => {
+    const safeId = getSafeJobId(job.id);
+    if (seen.has(safeId)) {
+      throw new Error(t('batch.duplicateId', { id: job.id, other: seen.get(safeId) }));
+    }
+    seen.set(safeId, job.id);
+  });
+
+  return jobs;
+}
+
+/**
+ * Run batch jobs with bounded concurrency and write a summary to the JSON directory.
+ * A failing job never stops the remaining jobs.
+ * @param {Array<Object>} jobs - Jobs returned by loadBatchJobs
+ * @param {Object} baseOptions - Options shared by every job (CLI and config file)
+ * @param {Object} argv - Command line arguments
+ * @param {Object} [batchOptions] - Batch settings
+ * @param {number} [batchOptions.concurrency=2] - Maximum number of jobs running at once
+ * @returns {Promise<Object>} Batch summary
+ */
+export async function runBatch(jobs, baseOptions, argv, batchOptions = {}) {
+  const concurrency = Math.max(1, parseInt(batchOptions.concurrency, 10) || 2);
+  const batchId = `batch_${Date.now()}`;
+  const results = new Array(jobs.length);
+  let nextIndex = 0;
+
+  console.log(t('batch.start', { count: jobs.length, concurrency }));
+
+  const worker = async () => {
+    while (nextIndex < jobs.length) {
+      const index = nextIndex++;
+      const job = jobs[index];
+      const options = { ...baseOptions, ...job };
+      const api = options.api || process.env.DEFAULT_API || 'imagen';
+      const safeId = getSafeJobId(job.id);
+
+      console.log(t('batch.jobStart', { index: index + 1, total: jobs.length, id: job.id, prompt: options.prompt || t('batch.noPrompt') }));
+
+      let result;
+      try {
+        result = await runGeneration({ ...options, requestId: `${api}_${batchId}_${safeId}` }, argv);
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+
+      results[index] = summarizeJob(job, options, api, result);
+      console.log(t('batch.jobDone', { index: index + 1, total: jobs.length, id: job.id, status: describeStatus(results[index].status) }));
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, jobs.length) }, worker));
+
+  const summary = {
+    batchId,
+    total: jobs.length,
+    succeeded: results.filter(item => item.status === 'success').length,
+    blocked: results.filter(item => item.status === 'blocked').length,
+    failed: results.filter(item => item.status === 'failed').length,
+    jobs: results
+  };
+
+  const jsonDir = baseOptions.jsonDir || './output';
+  summary.summaryFile = path.join(jsonDir, `${batchId}_summary.json`);
+  saveFile(summary.summaryFile, JSON.stringify(summary, null, 2));
+
+  printBatchSummary(summary);
+
+  return summary;
+}
+
+/**
+ * Reduce a generation result to a summary entry
+ * @param {Object} job - Job definition
+ * @param {Object} options - Effective job options
+ * @param {string} api - API used for the job
+ * @param {Object} result - Generation result
+ * @returns {Object} Summary entry
+ */
+function summarizeJob(job, options, api, result) {
+  return {
+    id: job.id,
+    api,
+    prompt: options.prompt,
+    status: getRunOutcome(result),
+    images: result.images || [],
+    error: result.success ? undefined : result.error,
+    errorCategory: getResultCategory(result) || undefined,
+    details: result.details
+  };
+}
+
+/**
+ * Human readable job status
+ * @param {string} status - Job status
+ * @returns {string} Status text
+ */
+function describeStatus(status) {
+  if (status === 'success') return t('batch.statusSuccess');
+  if (status === 'blocked') return t('batch.statusBlocked');
+  return t('batch.statusFailed');
+}
+
+/**
+ * Print batch summary to the console
+ * @param {Object} summary - Batch summary
+ */
+function printBatchSummary(summary) {
+  console.log('');
+  console.log(t('batch.summary'));
+  console.log(t('batch.summaryTotal', { count: summary.total }));
+  console.log(t('batch.summarySucceeded', { count: summary.succeeded }));
+  console.log(t('batch.summaryBlocked', { count: summary.blocked }));
+  console.log(t('batch.summaryFailed', { count: summary.failed }));
+
+  summary.jobs
+    .filter(item => item.status !== 'success')
+    .forEach(item => {
+      console.log(t('batch.summaryJob', { id: item.id, status: describeStatus(item.status), error: item.error || t('batch.unknownError') }));
+    });
+
+  console.log(t('batch.summarySaved', { path: summary.summaryFile }));
+}
+
+/**
+ * Parse JSONL content into raw job objects
+ * @param {string} content - File content
+ * @returns {Array<Object>} Raw jobs
+ */
+function parseJsonlJobs(content) {
+  const jobs = [];
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      return;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(t('batch.invalidJsonLine', { line: index + 1, message: error.message }));
+    }
+
+    jobs.push(typeof parsed === 'string' ? { prompt: parsed } : parsed);
+  });
+
+  return jobs;
+}
+
+/**
+ * Parse CSV content (RFC 4180 quoting) into raw job objects keyed by the header row
+ * @param {string} content - File content
+ * @returns {Array<Object>} Raw jobs
+ */
+function parseCsvJobs(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmptyRows = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  if (nonEmptyRows.length === 0) {
+    return [];
+  }
+
+  const header = nonEmptyRows[0].map(cell => cell.trim());
+  if (!header.includes('prompt')) {
+    throw new Error(t('batch.csvMissingPrompt'));
+  }
+
+  return nonEmptyRows.slice(1).map(cells => {
+    const job = {};
+    header.forEach((name, index) => {
+      if (name) {
+        job[name] = (cells[index] || '').trim();
+      }
+    });
+    return job;
+  });
+}
+
+/**
+ * Make a job ID safe for use in file names
+ * @param {string} id - Job ID
+ * @returns {string} File-safe ID
+ */
+function getSafeJobId(id) {
+  return id.replace(/[^\w.-]+/g, '_');
+}
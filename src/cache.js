@@ -0,0 +1,382 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { ensureConfigDirectory } from './utils.js';
+import { t } from './i18n.js';
+
+const DEFAULT_MAX_CACHE_SIZE = '1GB';
+
+/**
+ * Resolve cache settings from generation options.
+ * The directory is only resolved when the cache is enabled, so runs without `--cache` never touch the config directory.
+ * @param {Object} options - Generation options (`cache`, `refresh`, `cacheDir`, `cacheMaxSize`)
+ * @param {Object} [argv] - Command line arguments or library runtime (for the logger)
+ * @returns {{ enabled: boolean, refresh: boolean, dir: string|undefined, maxSize: number }} Cache settings
+ */
+export function getCacheSettings(options = {}, argv = options) {
+  const enabled = options.cache === true;
+
+  return {
+    enabled,
+    refresh: options.refresh === true,
+    dir: enabled ? options.cacheDir || path.join(ensureConfigDirectory(argv), 'cache') : undefined,
+    maxSize: parseSize(options.cacheMaxSize || DEFAULT_MAX_CACHE_SIZE)
+  };
+}
+
+/**
+ * Hash the normalized request (endpoint without API key, body with sorted keys).
+ * Reference and input images are part of the body, so their bytes are part of the key.
+ * @param {string} url - Request URL
+ * @param {Object} requestData - Request body
+ * @returns {string} Cache key (sha256 hex)
+ */
+export function getCacheKey(url, requestData) {
+  const parsedUrl = new URL(url);
+  parsedUrl.searchParams.delete('key');
+
+  return crypto
+    .createHash('sha256')
+    .update(stableStringify({ endpoint: parsedUrl.toString(), body: requestData }))
+    .digest('hex');
+}
+
+/**
+ * Read a cached API response, re-inserting the stored images as base64
+ * @param {Object} settings - Cache settings
+ * @param {string} key - Cache key
+ * @returns {Object|null} Response JSON, or null on a miss
+ */
+export function readCachedResponse(settings, key) {
+  const entryDir = getEntryDir(settings, key);
+  const metaPath = path.join(entryDir, 'meta.json');
+
+  if (!fs.existsSync(metaPath)) {
+    return null;
+  }
+
+  try {
+    const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+    const response = restoreImages(meta.response, entryDir);
+
+    // Touch the entry so size-based eviction drops the least recently used entries first
+    const now = new Date();
+    fs.utimesSync(metaPath, now, now);
+
+    return response;
+  } catch (error) {
+    // A damaged entry is treated as a miss and overwritten by the next successful request
+    return null;
+  }
+}
+
+/**
+ * Store an API response: images are decoded into files, the rest goes into meta.json.
+ * A failed write (full disk, read-only cache directory) only warns: the response has already been paid for.
+ * @param {Object} settings - Cache settings
+ * @param {string} key - Cache key
+ * @param {Object} response - Response JSON
+ * @param {Object} [info] - Extra metadata to record (api, model, prompt)
+ * @param {Object} [logger=console] - Logger for the warning
+ * @returns {boolean} Whether the response was cached
+ */
+export function writeCachedResponse(settings, key, response, info = {}, logger = console) {
+  const entryDir = getEntryDir(settings, key);
+
+  try {
+    storeEntry(settings, entryDir, key, response, info);
+    return true;
+  } catch (error) {
+    logger.warn(t('common.warning', { message: t('cache.writeFailed', { message: error.message }) }));
+    // Leave no half-written entry behind
+    try {
+      fs.rmSync(entryDir, { recursive: true, force: true });
+    } catch {
+      // The directory may not be writable at all
+    }
+    return false;
+  }
+}
+
+/**
+ * Remove cache entries older than a given age and/or beyond a total size cap
+ * (least recently used entries are evicted first)
+ * @param {Object} settings - Cache settings
+ * @param {Object} criteria - Prune criteria
+ * @param {number} [criteria.olderThan] - Maximum entry age in milliseconds
+ * @param {number} [criteria.maxSize] - Maximum total size in bytes
+ * @returns {{ removed: number, freed: number, remaining: number, size: number }} Prune statistics
+ */
+export function pruneCache(settings, criteria = {}) {
+  const entries = listEntries(settings);
+  const now = Date.now();
+  const stats = { removed: 0, freed: 0, remaining: 0, size: 0 };
+  const kept = [];
+
+  for (const entry of entries) {
+    if (criteria.olderThan !== undefined && now - entry.createdAt > criteria.olderThan) {
+      removeEntry(entry, stats);
+    } else {
+      kept.push(entry);
+    }
+  }
+
+  let totalSize = kept.reduce((sum, entry) => sum + entry.size, 0);
+
+  if (criteria.maxSize !== undefined && totalSize > criteria.maxSize) {
+    kept.sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+
+    while (kept.length > 0 && totalSize > criteria.maxSize) {
+      const entry = kept.shift();
+      totalSize -= entry.size;
+      removeEntry(entry, stats);
+    }
+  }
+
+  stats.remaining = kept.length;
+  stats.size = totalSize;
+  return stats;
+}
+
+/**
+ * Run the `cache` command (prune, stats)
+ * @param {Object} argv - Command line arguments
+ * @returns {boolean} Whether the command succeeded
+ */
+export function runCacheCommand(argv) {
+  const settings = getCacheSettings({ ...argv, cache: true }, argv);
+
+  try {
+    if (argv.action === 'stats') {
+      const entries = listEntries(settings);
+      const size = entries.reduce((sum, entry) => sum + entry.size, 0);
+      console.log(t('cache.dir', { dir: settings.dir }));
+      console.log(t('cache.entries', { count: entries.length }));
+      console.log(t('cache.size', { size: formatSize(size), max: formatSize(settings.maxSize) }));
+      return true;
+    }
+
+    if (argv.action === 'prune') {
+      if (!argv.olderThan && !argv.maxSize) {
+        console.error(t('common.error', { message: t('cache.pruneNeedsLimit') }));
+        return false;
+      }
+
+      const stats = pruneCache(settings, {
+        olderThan: argv.olderThan ? parseDuration(argv.olderThan) : undefined,
+        maxSize: argv.maxSize ? parseSize(argv.maxSize) : undefined
+      });
+      console.log(t('cache.pruned', { count: stats.removed, freed: formatSize(stats.freed) }));
+      console.log(t('cache.remaining', { count: stats.remaining, size: formatSize(stats.size) }));
+      return true;
+    }
+
+    console.error(t('common.error', { message: t('cache.unknownAction', { action: argv.action }) }));
+    return false;
+  } catch (error) {
+    console.error(t('common.error', { message: error.message }));
+    return false;
+  }
+}
+
+/**
+ * Parse a duration such as "7d", "12h", "30m", "90s" or plain milliseconds
+ * @param {string|number} value - Duration
+ * @returns {number} Duration in milliseconds
+ */
+export function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?$/i);
+  if (!match) {
+    throw new Error(t('cache.invalidDuration', { value }));
+  }
+
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+  return parseFloat(match[1]) * units[(match[2] || 'ms').toLowerCase()];
+}
+
+/**
+ * Parse a size such as "500MB", "2GB", "100k" or plain bytes
+ * @param {string|number} value - Size
+ * @returns {number} Size in bytes
+ */
+export function parseSize(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([kmgt]?)i?b?$/i);
+  if (!match) {
+    throw new Error(t('cache.invalidSize', { value }));
+  }
+
+  const exponent = ['', 'k', 'm', 'g', 't'].indexOf(match[2].toLowerCase());
+  return Math.round(parseFloat(match[1]) * 1024 ** exponent);
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human readable size
+ */
+function formatSize(bytes) {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${Math.ceil(bytes / 1024)} KB`;
+}
+
+/**
+ * Get the directory of a cache entry (sharded by the first two hex characters)
+ * @param {Object} settings - Cache settings
+ * @param {string} key - Cache key
+ * @returns {string} Entry directory
+ */
+function getEntryDir(settings, key) {
+  return path.join(settings.dir, key.slice(0, 2), key);
+}
+
+/**
+ * List all cache entries with their size and timestamps
+ * @param {Object} settings - Cache settings
+ * @returns {Array<Object>} Entries
+ */
+function listEntries(settings) {
+  if (!fs.existsSync(settings.dir)) {
+    return [];
+  }
+
+  const entries = [];
+
+  for (const shard of fs.readdirSync(settings.dir)) {
+    const shardDir = path.join(settings.dir, shard);
+    if (!fs.statSync(shardDir).isDirectory()) continue;
+
+    for (const key of fs.readdirSync(shardDir)) {
+      const entryDir = path.join(shardDir, key);
+      const metaPath = path.join(entryDir, 'meta.json');
+      if (!fs.existsSync(metaPath)) continue;
+
+      const metaStat = fs.statSync(metaPath);
+      let createdAt = metaStat.birthtimeMs || metaStat.mtimeMs;
+      try {
+        createdAt = Date.parse(JSON.parse(fs.readFileSync(metaPath, 'utf8')).createdAt) || createdAt;
+      } catch (error) {
+        // Fall back to the file timestamps
+      }
+
+      const size = fs.readdirSync(entryDir)
+        .reduce((sum, file) => sum + fs.statSync(path.join(entryDir, file)).size, 0);
+
+      entries.push({ dir: entryDir, createdAt, lastUsedAt: metaStat.mtimeMs, size });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Delete a cache entry and update prune statistics
+ * @param {Object} entry - Cache entry
+ * @param {Object} stats - Prune statistics
+ */
+function removeEntry(entry, stats) {
+  fs.rmSync(entry.dir, { recursive: true, force: true });
+  stats.removed++;
+  stats.freed += entry.size;
+}
+
+/**
+ * Replace base64 image data in a response with file references
+ * @param {any} value - Response JSON (or part of it)
+ * @param {Function} store - `(base64Data, mimeType) => fileName`
+ * @returns {any} Copy with images replaced by `{ $cacheFile }` markers
+ */
+function extractImages(value, store) {
+  if (Array.isArray(value)) {
+    return value.map(item => extractImages(item, store));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (key === 'bytesBase64Encoded' && typeof item === 'string') {
+      copy[key] = { $cacheFile: store(item, value.mimeType) };
+    } else if (key === 'data' && typeof item === 'string' && value.mimeType) {
+      // Gemini inlineData parts
+      copy[key] = { $cacheFile: store(item, value.mimeType) };
+    } else {
+      copy[key] = extractImages(item, store);
+    }
+  }
+  return copy;
+}
+
+/**
+ * Re-insert cached image files as base64
+ * @param {any} value - Stored response (or part of it)
+ * @param {string} entryDir - Entry directory
+ * @returns {any} Response with base64 image data
+ */
+function restoreImages(value, entryDir) {
+  if (Array.isArray(value)) {
+    return value.map(item => restoreImages(item, entryDir));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (typeof value.$cacheFile === 'string') {
+    return fs.readFileSync(path.join(entryDir, path.basename(value.$cacheFile))).toString('base64');
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = restoreImages(item, entryDir);
+  }
+  return copy;
+}
+
+/**
+ * JSON.stringify with object keys sorted, so equivalent requests hash identically
+ * @param {any} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).filter(key => value[key] !== undefined).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Write a cache entry's image files and meta.json, then enforce the size cap
+ * @param {Object} settings - Cache settings
+ * @param {string} entryDir - Entry directory
+ * @param {string} key - Cache key
+ * @param {Object} response - Response JSON
+ * @param {Object} info - Extra metadata to record
+ */
+function storeEntry(settings, entryDir, key, response, info) {
+  fs.mkdirSync(entryDir, { recursive: true });
+
+  const files = [];
+  const stripped = extractImages(response, (base64Data, mimeType) => {
+    const ext = (mimeType || 'image/png').split('/')[1] || 'png';
+    const file = `image_${files.length}.${ext}`;
+    fs.writeFileSync(path.join(entryDir, file), Buffer.from(base64Data, 'base64'));
+    files.push(file);
+    return file;
+  });
+
+  const meta = {
+    key,
+    createdAt: new Date().toISOString(),
+    ...info,
+    files,
+    response: stripped
+  };
+  fs.writeFileSync(path.join(entryDir, 'meta.json'), JSON.stringify(meta, null, 2));
+
+  if (settings.maxSize > 0) {
+    pruneCache(settings, { maxSize: settings.maxSize });
+  }
+}
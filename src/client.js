@@ -0,0 +1,167 @@
+import fs from 'fs';
+import path from 'path';
+import { generateImagesWithImagen } from './imagen.js';
+import { generateImagesWithGemini, getDefaultGeminiBackend } from './gemini.js';
+import { getServiceAccountKeyPath, getGeminiApiKey, getStoredServiceAccount } from './auth.js';
+import { t, setLanguage, resolveLanguage } from './i18n.js';
+
+/**
+ * Logger used when the caller does not provide one: the library stays quiet by default
+ */
+const silentLogger = {
+  log() {},
+  info() {},
+  warn() {},
+  error() {},
+  debug() {}
+};
+
+/**
+ * Create a programmatic image generation client.
+ * Unlike the CLI it never writes `.env`, never exits the process and only reads or writes
+ * the `conf` store when `useConfigStore` is true.
+ * @param {Object} [clientOptions] - Client options
+ * @param {Object} [clientOptions.credentials] - Credentials
+ * @param {String} [clientOptions.credentials.keyFile] - Service account key file path (Vertex AI)
+ * @param {Object} [clientOptions.credentials.serviceAccount] - Parsed service account key (Vertex AI)
+ * @param {String} [clientOptions.credentials.projectId] - Google Cloud project ID (Vertex AI)
+ * @param {String} [clientOptions.credentials.location] - API location (Vertex AI)
+ * @param {String} [clientOptions.credentials.geminiApiKey] - Gemini API key (Gemini Developer API)
+ * @param {Boolean} [clientOptions.credentials.useDefaultCredentials=false] - Use Application Default Credentials when no key is given (Vertex AI)
+ * @param {String} [clientOptions.credentials.impersonateServiceAccount] - Service account email to impersonate (Vertex AI)
+ * @param {String} [clientOptions.geminiBackend] - 'developer' or 'vertex' for Gemini requests (default from GOOGLE_GENAI_USE_VERTEXAI); Vertex AI uses the service account credentials
+ * @param {String|Boolean} [clientOptions.proxy] - Proxy URL, or false to disable; detected from the environment when omitted
+ * @param {Array<String>} [clientOptions.proxyRules] - Per-host proxies as `pattern=proxy` (`direct` bypasses proxies); checked before NO_PROXY and `proxy`
+ * @param {Object} [clientOptions.logger] - console-like logger (log/warn/error); silent when omitted
+ * @param {Boolean} [clientOptions.useConfigStore=false] - Allow reading/writing the CLI's stored proxy settings and keys
+ * @param {String} [clientOptions.vaultKeyFile] - Key file that opens the credential vault (else IMAGEN_VAULT_KEY_FILE or IMAGEN_VAULT_PASSPHRASE)
+ * @param {Boolean} [clientOptions.tokenCache] - Cache access tokens in the CLI's config directory (defaults to `useConfigStore`)
+ * @param {Boolean} [clientOptions.debug=false] - Emit debug messages through the logger
+ * @param {String} [clientOptions.language] - Language of messages and errors ('en' or 'zh-CN'); taken from LC_ALL, LC_MESSAGES or LANG when omitted
+ * @returns {{ generate: Function }} Image client
+ */
+export function createImageClient(clientOptions = {}) {
+  const {
+    credentials = {},
+    proxy,
+    proxyRules,
+    logger = silentLogger,
+    useConfigStore = false,
+    vaultKeyFile,
+    geminiBackend = getDefaultGeminiBackend(),
+    tokenCache = useConfigStore,
+    debug = false
+  } = clientOptions;
+
+  // Messages are looked up in one process-wide language, so each request selects this client's language again
+  const language = resolveLanguage([clientOptions.language]);
+
+  // The generators take a yargs-like runtime object; build one that carries the client settings
+  const runtime = {
+    logger,
+    proxy,
+    proxyRules,
+    useConfigStore,
+    tokenCache,
+    impersonateServiceAccount: credentials.impersonateServiceAccount,
+    debug,
+    detectProxy: false
+  };
+
+  /**
+   * Generate images
+   * @param {Object} request - Generation request; accepts the same option names as the CLI in camelCase
+   * @param {String} request.prompt - Image generation prompt
+   * @param {String} [request.api='imagen'] - 'imagen' or 'gemini'
+   * @param {String} [request.geminiBackend] - Overrides the client's Gemini backend for this request
+   * @param {Array<String|Object>} [request.referenceImages] - Paths or `{ data: Buffer, mimeType }` (Gemini)
+   * @param {String} [request.outputDir] - Also write images here; nothing is written to disk when omitted
+   * @param {String} [request.jsonDir] - Directory for request/response JSON (defaults to outputDir)
+   * @returns {Promise<Object>} Result with `images: [{ data: Buffer, mimeType, path }]` plus metadata
+   */
+  async function generate(request = {}) {
+    const { api = 'imagen', prompt, outputDir, jsonDir } = request;
+    setLanguage(language);
+
+    if (!prompt) {
+      return { success: false, api, error: t('client.promptRequired'), invalidOptions: true, images: [] };
+    }
+
+    const saveOptions = outputDir
+      ? { saveFiles: true, outputDir, jsonDir: jsonDir || outputDir }
+      : { saveFiles: false };
+
+    let result;
+
+    // Imagen, and Gemini through Vertex AI, authenticate with service account credentials
+    const vertex = api === 'imagen' || (api === 'gemini' && (request.geminiBackend || geminiBackend) === 'vertex');
+    let vertexOptions;
+
+    if (vertex) {
+      const keyFile = credentials.serviceAccount ||
+        credentials.keyFile ||
+        (useConfigStore ? getServiceAccountKeyPath() || getStoredServiceAccount({ vaultKeyFile }) : process.env.GOOGLE_APPLICATION_CREDENTIALS);
+
+      if (!keyFile && !credentials.useDefaultCredentials) {
+        return { success: false, api, error: t(api === 'imagen' ? 'client.imagenCredentialsRequired' : 'client.vertexCredentialsRequired'), invalidOptions: true, images: [] };
+      }
+
+      // Without a key, keyData stays null and the token comes from Application Default Credentials
+      let keyData = null;
+      try {
+        keyData = typeof keyFile === 'string'
+          ? JSON.parse(fs.readFileSync(path.resolve(keyFile), 'utf8'))
+          : keyFile || null;
+      } catch (error) {
+        return { success: false, api, error: t('client.keyReadError', { message: error.message }), invalidOptions: true, images: [] };
+      }
+
+      const projectId = request.projectId || credentials.projectId || (keyData && keyData.project_id) || process.env.GOOGLE_CLOUD_PROJECT;
+      if (!projectId) {
+        return { success: false, api, error: t('client.projectIdRequired'), invalidOptions: true, images: [] };
+      }
+
+      vertexOptions = {
+        location: credentials.location || process.env.GOOGLE_CLOUD_LOCATION || 'us-central1',
+        ...request,
+        ...saveOptions,
+        keyFile: keyData,
+        projectId
+      };
+    }
+
+    if (api === 'imagen') {
+      result = await generateImagesWithImagen(vertexOptions, runtime);
+    } else if (api === 'gemini' && vertex) {
+      result = await generateImagesWithGemini({ ...vertexOptions, geminiBackend: 'vertex' }, runtime);
+    } else if (api === 'gemini') {
+      const geminiKey = credentials.geminiApiKey ||
+        (useConfigStore ? getGeminiApiKey({ vaultKeyFile }) : process.env.GEMINI_API_KEY);
+
+      if (!geminiKey) {
+        return { success: false, api, error: t('client.geminiKeyRequired'), invalidOptions: true, images: [] };
+      }
+
+      result = await generateImagesWithGemini({
+        ...request,
+        ...saveOptions,
+        geminiKey,
+        geminiBackend: 'developer'
+      }, runtime);
+    } else {
+      return { success: false, api, error: t('client.unknownApi', { api }), invalidOptions: true, images: [] };
+    }
+
+    const { outputs = [], images: files = [], ...rest } = result;
+
+    return {
+      ...rest,
+      api,
+      prompt,
+      images: outputs,
+      files
+    };
+  }
+
+  return { generate };
+}
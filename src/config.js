@@ -2,41 +2,72 @@ import fs from 'fs';
 import path from 'path';
 import Conf from 'conf';
 import { fileURLToPath } from 'url';
+import { t } from './i18n.js';
 
 // 获取 ES 模块中的 __dirname 等价物
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// 初始化配置存储
-const configStore = new Conf({
-  projectName: 'imagen-gemini-cli',
-  defaults: {
-    proxySettings: null, // 将存储检测到的代理设置
-    lastOutputDir: './images',
-    lastJsonDir: './output',
-    defaultApi: process.env.DEFAULT_API || 'imagen',
-    geminiApiKey: null
+// 配置存储在首次使用时才初始化，这样仅导入模块（例如作为库使用时）不会创建配置文件
+let configStore = null;
+
+/**
+ * 获取（并在需要时初始化）配置存储
+ * @returns {Conf} 配置存储
+ */
+function getStore() {
+  if (!configStore) {
+    configStore = new Conf({
+      projectName: 'imagen-gemini-cli',
+      defaults: {
+        proxySettings: null, // 将存储检测到的代理设置
+        lastOutputDir: './images',
+        lastJsonDir: './output',
+        defaultApi: process.env.DEFAULT_API || 'imagen',
+        geminiApiKey: null,
+        language: null, // 未设置时按 LANG 等环境变量选择
+        profiles: {}, // 命名配置档案：名称 -> 设置
+        activeProfile: null // 通过 `profile use` 选择的默认配置档案
+      }
+    });
   }
-});
+  
+  return configStore;
+}
 
 /**
  * 获取当前配置
  */
 export function getConfig() {
+  const configStore = getStore();
+  
   return {
     proxySettings: configStore.get('proxySettings'),
     lastOutputDir: configStore.get('lastOutputDir'),
     lastJsonDir: configStore.get('lastJsonDir'),
     defaultApi: configStore.get('defaultApi'),
-    geminiApiKey: configStore.get('geminiApiKey')
+    geminiApiKey: configStore.get('geminiApiKey'),
+    language: configStore.get('language'),
+    profiles: configStore.get('profiles'),
+    activeProfile: configStore.get('activeProfile')
   };
 }
 
+/**
+ * 获取配置存储文件的路径
+ * @returns {String} 配置文件路径
+ */
+export function getConfigPath() {
+  return getStore().path;
+}
+
 /**
  * 保存配置值
  * @param {Object} config - 要保存的配置值
  */
 export function saveConfig(config) {
+  const configStore = getStore();
+  
   if (config.proxySettings !== undefined) {
     configStore.set('proxySettings', config.proxySettings);
   }
@@ -49,13 +80,27 @@ export function saveConfig(config) {
     configStore.set('defaultApi', config.defaultApi);
   }
   
-  if (config.geminiApiKey) {
+  // null 会删除明文保存的密钥（迁移到加密保管库之后）
+  if (config.geminiApiKey !== undefined) {
     configStore.set('geminiApiKey', config.geminiApiKey);
   }
   
   if (config.lastJsonDir) {
     configStore.set('lastJsonDir', config.lastJsonDir);
   }
+  
+  if (config.language) {
+    configStore.set('language', config.language);
+  }
+  
+  if (config.profiles !== undefined) {
+    configStore.set('profiles', config.profiles);
+  }
+  
+  // null 表示不再使用默认配置档案
+  if (config.activeProfile !== undefined) {
+    configStore.set('activeProfile', config.activeProfile);
+  }
 }
 
 /**
@@ -83,6 +128,6 @@ DEFAULT_API=imagen  # 或 'gemini'
 `;
     
     fs.writeFileSync(envPath, sampleEnv);
-    console.log(`已在 ${envPath} 创建示例 .env 文件`);
+    console.log(t('config.sampleEnvCreated', { path: envPath }));
   }
 }
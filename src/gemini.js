@@ -1,9 +1,55 @@
 import fs from 'fs';
 import path from 'path';
 import { HttpsProxyAgent } from 'https-proxy-agent';
-import { saveConfig } from './config.js';
 import { createProxyAgent, fetchWithProxy } from './proxy.js';
-import { getMimeType, imageToBase64, debug, maskBase64Content, saveFile, maskAndSaveJson } from './utils.js';
+import { getAccessToken, discardCachedToken } from './auth.js';
+import {
+  getMimeType,
+  getApiBaseUrl,
+  getVertexBaseUrl,
+  getImageExtension,
+  resolveOutputFormat,
+  parseCompressionQuality,
+  imageToBase64,
+  debug,
+  getLogger,
+  maskBase64Content,
+  saveFile,
+  maskAndSaveJson
+} from './utils.js';
+import { convertImage } from './image.js';
+import { createValidationError, getErrorCategory } from './outcome.js';
+import { t } from './i18n.js';
+import { getCacheSettings, getCacheKey, readCachedResponse, writeCachedResponse } from './cache.js';
+import { loadOrCreateSession, getSessionContents, appendSessionTurn, saveSession } from './session.js';
+
+/**
+ * Model used when none is given
+ */
+export const DEFAULT_GEMINI_MODEL = 'gemini-2.0-flash-exp-image-generation';
+
+/**
+ * Model used on Vertex AI when none is given (the experimental model is only served by the Gemini Developer API)
+ */
+export const DEFAULT_VERTEX_GEMINI_MODEL = 'gemini-2.0-flash-preview-image-generation';
+
+/**
+ * Where Gemini requests go: the Gemini Developer API (API key) or Vertex AI (service account / ADC)
+ */
+export const GEMINI_BACKENDS = ['developer', 'vertex'];
+
+/**
+ * Backend used when none is given; GOOGLE_GENAI_USE_VERTEXAI selects Vertex AI, as in Google's own SDKs
+ * @returns {string} 'developer' or 'vertex'
+ */
+export function getDefaultGeminiBackend() {
+  return /^(true|1)$/i.test(process.env.GOOGLE_GENAI_USE_VERTEXAI || '') ? 'vertex' : 'developer';
+}
+
+/**
+ * Sampling options accepted from flags / config file, mapped to generationConfig fields
+ */
+const GENERATION_CONFIG_OPTIONS = ['temperature', 'topP', 'topK', 'seed', 'candidateCount', 'maxOutputTokens'];
 
 /**
  * Process Gemini API response
@@ -11,70 +57,167 @@ import { getMimeType, imageToBase64, debug, maskBase64Content, saveFile, maskAnd
  * @param {string} requestId - Request identifier
  * @param {string} outputDir - Output directory
  * @param {string} jsonDir - JSON output directory
+ * @param {Object} [settings] - Processing settings
+ * @param {boolean} [settings.saveFiles=true] - Write images and the response JSON to disk
+ * @param {Object} [settings.logger=console] - Logger
+ * @param {Object} [settings.metadata] - Generation metadata to embed in the saved images
+ * @param {string} [settings.outputMimeType] - Convert images to this format ('image/png' or 'image/jpeg')
+ * @param {number} [settings.compressionQuality] - JPEG quality used when converting to JPEG
  * @returns {Object} Processing result
  */
-function processGeminiResponse(result, requestId, outputDir, jsonDir) {
+function processGeminiResponse(result, requestId, outputDir, jsonDir, settings = {}) {
+  const { saveFiles = true, logger = console, outputMimeType, compressionQuality } = settings;
+  const metadata = { api: 'gemini', requestId, createdAt: new Date().toISOString(), ...settings.metadata };
+  
   // Save masked response for debugging
-  const responseFilename = path.join(jsonDir, `${requestId}_response.json`);
-  maskAndSaveJson(result, responseFilename);
+  const responseFilename = saveFiles ? path.join(jsonDir, `${requestId}_response.json`) : undefined;
+  if (saveFiles) {
+    maskAndSaveJson(result, responseFilename, { logger });
+  }
 
-  // Check for safety block
-  if (result.candidates && 
-      result.candidates.length > 0 && 
-      result.candidates[0].finishReason === "IMAGE_SAFETY") {
-    console.error("由于安全问题，图像生成被阻止。提示可能触发了安全过滤器。");
+  const candidates = result.candidates || [];
+  const multiple = candidates.length > 1;
+  
+  // Check for safety block (only a failure when every candidate was blocked)
+  const blockedCandidates = candidates.filter(candidate => candidate.finishReason === "IMAGE_SAFETY");
+  if (candidates.length > 0 && blockedCandidates.length === candidates.length) {
+    logger.error(t('gemini.safetyBlockedHint'));
     return { 
       success: false, 
-      error: "由于安全问题，图像生成被阻止",
+      error: t('gemini.safetyBlocked'),
       safetyBlock: true,
       responseFile: responseFilename
     };
   }
+  if (blockedCandidates.length > 0) {
+    logger.warn(t('gemini.candidatesBlocked', { count: blockedCandidates.length }));
+  }
   
-  // Extract and save images
+  // Extract and save images; text parts are kept in order with references to the images around them
   const savedImagePaths = [];
+  const outputs = [];
+  const candidateSummaries = [];
+  const transcript = [];
   
   try {
-    // Navigate through the Gemini API response structure
-    if (result.candidates && result.candidates.length > 0) {
-      const candidate = result.candidates[0];
-      if (candidate.content && candidate.content.parts) {
+    // Navigate through the Gemini API response structure; every candidate is kept
+    if (candidates.length > 0) {
+      candidates.forEach((candidate, candidateIndex) => {
+        const summary = { index: candidateIndex, finishReason: candidate.finishReason, images: [] };
+        const entries = [];
+        candidateSummaries.push(summary);
+        transcript.push({ candidate: candidateIndex, entries });
+        
+        if (!candidate.content || !candidate.content.parts) {
+          if (candidate.finishReason !== "IMAGE_SAFETY") {
+            logger.warn(t('gemini.candidateMissingParts', { candidate: candidateIndex + 1 }));
+          }
+          return;
+        }
+        
         const parts = candidate.content.parts;
+        const prefix = multiple ? `${requestId}_candidate${candidateIndex + 1}` : requestId;
         
         let imageCount = 0;
         for (let i = 0; i < parts.length; i++) {
           const part = parts[i];
+          
+          if (typeof part.text === 'string' && part.text.trim()) {
+            entries.push({ text: part.text.trim() });
+            logger.log(multiple
+              ? t('gemini.candidateText', { candidate: candidateIndex + 1, text: part.text.trim() })
+              : t('gemini.text', { text: part.text.trim() }));
+          }
+          
           // Check for inlineData field (note the camelCase in the response)
           if (part.inlineData && part.inlineData.data) {
             imageCount++;
-            const imageData = part.inlineData.data;
-            const imageType = part.inlineData.mimeType || 'image/png';
-            const ext = imageType.split("/")[1];
+            let imageType = part.inlineData.mimeType || 'image/png';
+            let data = Buffer.from(part.inlineData.data, 'base64');
+            
+            // Convert to the requested output format so Imagen and Gemini runs produce the same files
+            if (outputMimeType && outputMimeType !== imageType) {
+              try {
+                data = convertImage(data, outputMimeType, compressionQuality);
+                imageType = outputMimeType;
+              } catch (error) {
+                logger.warn(t('gemini.convertFailed', { from: imageType, to: outputMimeType, message: error.message }));
+              }
+            }
             
             // Save image with a unique index to prevent overwriting
-            const imageFilename = path.join(outputDir, `${requestId}_generated_${imageCount}.${ext}`);
-            saveFile(imageFilename, imageData, { isBase64: true });
+            const imageFilename = path.join(outputDir, `${prefix}_generated_${imageCount}.${getImageExtension(imageType)}`);
             
-            savedImagePaths.push(imageFilename);
+            if (saveFiles) {
+              saveFile(imageFilename, data, {
+                logger,
+                metadata: multiple ? { ...metadata, candidate: candidateIndex + 1 } : metadata
+              });
+              savedImagePaths.push(imageFilename);
+              summary.images.push(imageFilename);
+            }
+            
+            outputs.push({ data, mimeType: imageType, path: saveFiles ? imageFilename : undefined, candidate: candidateIndex });
+            entries.push({ image: imageFilename });
           }
         }
         
-        if (imageCount === 0) {
-          console.warn("响应中未找到图像，请检查响应 JSON 文件");
+        const texts = entries.filter(entry => entry.text).map(entry => entry.text);
+        if (texts.length > 0) {
+          summary.text = texts.join('\n\n');
         }
-      } else {
-        console.warn("响应结构缺少 content 或 parts 字段");
-      }
+        
+        if (imageCount === 0 && candidate.finishReason !== "IMAGE_SAFETY") {
+          logger.warn(multiple
+            ? t('gemini.candidateNoImages', { candidate: candidateIndex + 1 })
+            : t('gemini.noImages'));
+        }
+      });
     } else {
-      console.warn("响应缺少 candidates 字段");
+      logger.warn(t('gemini.noCandidates'));
     }
   } catch (error) {
-    console.error('处理响应时出错：', error);
+    logger.error(t('gemini.processError'), error);
     return { 
       success: true, 
       outputDir,
+      requestId,
       images: savedImagePaths,
-      warning: '处理响应的某些部分时出错'
+      outputs,
+      candidates: candidateSummaries,
+      text: joinCandidateText(candidateSummaries),
+      warning: t('gemini.processWarning')
+    };
+  }
+  
+  // Save the text parts as Markdown next to the images, so the image links resolve
+  const text = joinCandidateText(candidateSummaries);
+  let textFile;
+  if (saveFiles && text) {
+    textFile = saveFile(
+      path.join(outputDir, `${requestId}_response.md`),
+      buildTranscriptMarkdown(transcript, { prompt: metadata.prompt, multiple, outputDir }),
+      { logger }
+    );
+  }
+  
+  // A reply without any image (such as a refusal in text) is a failed run; the model's text gives the reason
+  if (outputs.length === 0) {
+    if (text) {
+      logger.error(t('gemini.textOnlyHint'));
+    }
+    return {
+      success: false,
+      error: text ? t('gemini.textOnly', { text }) : t('gemini.noImages'),
+      outputDir,
+      jsonDir,
+      requestId,
+      images: [],
+      outputs,
+      candidates: candidateSummaries,
+      text,
+      textFile,
+      jsonFiles: saveFiles ? { response: responseFilename } : undefined
     };
   }
   
@@ -82,53 +225,79 @@ function processGeminiResponse(result, requestId, outputDir, jsonDir) {
     success: true,
     outputDir,
     jsonDir,
+    requestId,
     images: savedImagePaths,
-    jsonFiles: {
-      response: responseFilename
-    }
+    outputs,
+    candidates: candidateSummaries,
+    text,
+    textFile,
+    jsonFiles: saveFiles ? { response: responseFilename } : undefined
   };
 }
 
 /**
  * Generate images with Gemini API
  * @param {Object} options - Generation options
+ * @param {String} [options.geminiBackend] - 'developer' (uses options.geminiKey) or 'vertex' (uses options.keyFile, projectId and location)
+ * @param {Array<String|Object>} [options.referenceImages] - Image paths, or `{ data: Buffer, mimeType }` objects
+ * @param {Boolean} [options.saveFiles=true] - Write images and request/response JSON to disk
+ * @param {String} [options.session] - Session name; its stored history is replayed and extended
+ * @param {String} [options.model] - Gemini model ID (default: DEFAULT_GEMINI_MODEL, or DEFAULT_VERTEX_GEMINI_MODEL on Vertex AI)
+ * @param {Number} [options.temperature] - Sampling temperature (likewise topP, topK, seed, candidateCount, maxOutputTokens)
+ * @param {String} [options.outputFormat] - Convert images to 'png' or 'jpeg' (with options.compressionQuality)
  * @param {Object} argv - Command line arguments
- * @returns {Promise<Object>} Generation result
+ * @returns {Promise<Object>} Generation result; `outputs` holds each image as a Buffer, `text` the model's text parts
  */
 export async function generateImagesWithGemini(options, argv) {
+  const logger = getLogger(argv);
+  
   try {
+    const vertex = (options.geminiBackend || getDefaultGeminiBackend()) === 'vertex';
     const {
       geminiKey,
+      keyFile,
+      projectId,
+      location = 'us-central1',
       prompt,
+      model = vertex ? DEFAULT_VERTEX_GEMINI_MODEL : DEFAULT_GEMINI_MODEL,
       referenceImages = [],
       outputDir = './images',
-      jsonDir = './output'
+      jsonDir = './output',
+      saveFiles = true
     } = options;
     
-    // Save both directories for next time
-    saveConfig({ 
-      lastOutputDir: outputDir,
-      lastJsonDir: jsonDir 
-    });
+    const outputMimeType = resolveOutputFormat(options.outputFormat);
+    const compressionQuality = parseCompressionQuality(options.compressionQuality);
     
-    // Create output directory if it doesn't exist
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
+    if (saveFiles) {
+      // Create output directory if it doesn't exist
+      if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+      }
+      
+      // Create JSON directory if it doesn't exist
+      if (!fs.existsSync(jsonDir)) {
+        fs.mkdirSync(jsonDir, { recursive: true });
+      }
     }
     
-    // Create JSON directory if it doesn't exist
-    if (!fs.existsSync(jsonDir)) {
-      fs.mkdirSync(jsonDir, { recursive: true });
-    }
+    // Load the conversation history for multi-turn sessions
+    const session = options.session ? loadOrCreateSession(jsonDir, options.session) : null;
     
     // Generate request ID
     const timestamp = Date.now();
     let requestId;
     
-    if (referenceImages.length === 0) {
+    if (options.requestId) {
+      requestId = options.requestId;
+    } else if (session) {
+      requestId = `gemini_${session.name}_turn${session.turns.length / 2 + 1}_${timestamp}`;
+    } else if (referenceImages.length === 0) {
       requestId = `gemini_text_to_image_${timestamp}`;
     } else {
-      const firstFileName = path.basename(referenceImages[0], path.extname(referenceImages[0]));
+      const firstFileName = typeof referenceImages[0] === 'string'
+        ? path.basename(referenceImages[0], path.extname(referenceImages[0]))
+        : 'image';
       if (referenceImages.length > 1) {
         requestId = `gemini_${firstFileName}_and_${referenceImages.length-1}_more_${timestamp}`;
       } else {
@@ -147,7 +316,7 @@ export async function generateImagesWithGemini(options, argv) {
             { text: prompt }
           ]
         }],
-        generationConfig: { responseModalities: ["Text", "Image"] }
+        generationConfig: buildGenerationConfig(options)
       };
     } else {
       // Image modification mode
@@ -156,8 +325,9 @@ export async function generateImagesWithGemini(options, argv) {
       // Add all images to request
       for (const imagePath of referenceImages) {
         try {
-          const base64Image = imageToBase64(imagePath);
-          const mimeType = getMimeType(imagePath);
+          const isPath = typeof imagePath === 'string';
+          const base64Image = isPath ? imageToBase64(imagePath) : Buffer.from(imagePath.data).toString('base64');
+          const mimeType = isPath ? getMimeType(imagePath) : (imagePath.mimeType || 'image/png');
           
           parts.push({
             inline_data: {
@@ -166,8 +336,9 @@ export async function generateImagesWithGemini(options, argv) {
             }
           });
         } catch (error) {
-          console.error(`Error processing image ${imagePath}:`, error);
-          return { success: false, error: `Failed to process image: ${imagePath}` };
+          const imageLabel = typeof imagePath === 'string' ? imagePath : '[Buffer]';
+          logger.error(t('gemini.referenceImageError', { image: imageLabel }), error);
+          return { success: false, error: t('gemini.referenceImageFailed', { image: imageLabel }), errorCategory: 'validation' };
         }
       }
       
@@ -175,26 +346,47 @@ export async function generateImagesWithGemini(options, argv) {
         contents: [{
           parts: parts
         }],
-        generationConfig: { responseModalities: ["Text", "Image"] }
+        generationConfig: buildGenerationConfig(options)
       };
     }
     
+    // Replay the session history before the new user turn
+    const userContent = { role: 'user', parts: requestData.contents[0].parts };
+    if (session) {
+      requestData.contents = [...getSessionContents(session), userContent];
+      logger.log(t('gemini.usingSession', { name: session.name, turns: session.turns.length / 2 }));
+    } else if (vertex) {
+      // Vertex AI rejects contents without a role
+      requestData.contents = [userContent];
+    }
+    
     // Log what we're doing
-    console.log(`使用 Gemini API 生成图像${referenceImages.length > 0 ? '（带参考）' : ''}`);
-    console.log('提示：', prompt);
+    logger.log(referenceImages.length > 0 ? t('gemini.generatingWithReferences') : t('gemini.generating'));
+    logger.log(t('gemini.prompt'), prompt);
     if (referenceImages.length > 0) {
-      console.log(`使用 ${referenceImages.length} 个参考图像`);
+      logger.log(t('gemini.referenceCount', { count: referenceImages.length }));
     }
     
     // Save request for debugging (without base64 data)
-    const requestFilename = path.join(jsonDir, `${requestId}_request.json`);
-    maskAndSaveJson(requestData, requestFilename);
+    const requestFilename = saveFiles ? path.join(jsonDir, `${requestId}_request.json`) : undefined;
+    if (saveFiles) {
+      maskAndSaveJson(requestData, requestFilename, { logger });
+    }
     
-    // Configure API URL
-    const apiDomain = process.env.GEMINI_API_DOMAIN || 'generativelanguage.googleapis.com';
-    const apiUrl = `https://${apiDomain}/v1beta/models/gemini-2.0-flash-exp-image-generation:generateContent?key=${geminiKey}`;
+    // Configure API URL (Vertex AI authenticates with a bearer token instead of the key parameter)
+    let apiUrl;
+    if (vertex) {
+      apiUrl = `${getVertexBaseUrl(location)}/v1/projects/${projectId}/locations/${location}/publishers/google/models/${model}:generateContent`;
+      logger.log(t('gemini.vertexEndpoint', { projectId, location, model }));
+    } else {
+      const apiDomain = process.env.GEMINI_API_DOMAIN || 'generativelanguage.googleapis.com';
+      apiUrl = `${getApiBaseUrl(apiDomain)}/v1beta/models/${model}:generateContent?key=${geminiKey}`;
+      logger.log(t('gemini.endpoint', { domain: apiDomain, model }));
+    }
     
-    console.log(`使用 Gemini API 端点：${apiDomain}`);
+    // Identical requests (including session history) can be answered from the local cache (opt-in)
+    const cache = getCacheSettings(options, argv);
+    const cacheKey = cache.enabled ? getCacheKey(apiUrl, requestData) : null;
     
     // Configure fetch options
     const fetchOptions = {
@@ -205,56 +397,179 @@ export async function generateImagesWithGemini(options, argv) {
       body: JSON.stringify(requestData)
     };
     
-    // Send request
-    console.log('正在向 Gemini API 发送请求...');
     try {
-      // Use the new fetchWithProxy wrapper
-      const response = await fetchWithProxy(apiUrl, fetchOptions, argv, { requestId, outputDir });
+      let result = cacheKey && !cache.refresh ? readCachedResponse(cache, cacheKey) : null;
+      const cached = !!result;
       
-      // Check response status
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error(`API 返回错误：${response.status}`);
-        console.error(`错误详细信息：${errorText}`);
-        
-        // Save error response
-        const errorFilename = path.join(jsonDir, `${requestId}_error.json`);
-        try {
-          const errorJson = await response.json();
-          saveFile(errorFilename, JSON.stringify(errorJson, null, 2));
-        } catch {
-          saveFile(errorFilename, errorText);
+      if (cached) {
+        logger.log(t('common.usingCache', { key: cacheKey.slice(0, 12) }));
+      } else {
+        if (vertex) {
+          logger.log(t('gemini.gettingToken'));
+          fetchOptions.headers['Authorization'] = `Bearer ${await getAccessToken(keyFile, argv)}`;
         }
         
-        console.error(`错误信息已保存到：${errorFilename}`);
-        return { 
-          success: false, 
-          error: `API 错误：${response.status}`,
-          jsonFiles: {
-            request: requestFilename,
-            error: errorFilename
+        // Send request
+        logger.log(t('gemini.sendingRequest'));
+        
+        // Use the new fetchWithProxy wrapper
+        const response = await fetchWithProxy(apiUrl, fetchOptions, argv, { requestId, outputDir, maxRetries: options.maxRetries });
+        
+        // Check response status
+        if (!response.ok) {
+          // A revoked or rejected token must not be served from the token cache again
+          if (vertex && response.status === 401) {
+            discardCachedToken(keyFile, argv);
+          }
+          const errorText = await response.text();
+          logger.error(t('gemini.apiErrorStatus', { status: response.status }));
+          logger.error(t('gemini.apiErrorDetails', { details: errorText }));
+        
+          // Save error response
+          let errorFilename;
+          if (saveFiles) {
+            errorFilename = path.join(jsonDir, `${requestId}_error.json`);
+            try {
+              saveFile(errorFilename, JSON.stringify(JSON.parse(errorText), null, 2), { logger });
+            } catch {
+              saveFile(errorFilename, errorText, { logger });
+            }
+          
+            logger.error(t('gemini.errorSaved', { file: errorFilename }));
           }
-        };
+        
+          return { 
+            success: false, 
+            error: t('gemini.apiError', { status: response.status }),
+            details: errorText,
+            statusCode: response.status,
+            jsonFiles: saveFiles ? {
+              request: requestFilename,
+              error: errorFilename
+            } : undefined
+          };
+        }
+        
+        // Parse response
+        result = await response.json();
+        
+        if (cacheKey) {
+          writeCachedResponse(cache, cacheKey, result, { api: 'gemini', model, prompt }, logger);
+        }
       }
       
-      // Parse response
-      const result = await response.json();
-      
       // Save masked response for debugging (if debug is enabled)
-      if (argv.debug) {
+      if (argv.debug && saveFiles) {
         const debugResponseFilename = path.join(jsonDir, `${requestId}_response_debug.json`);
-        maskAndSaveJson(result, debugResponseFilename);
+        maskAndSaveJson(result, debugResponseFilename, { logger });
       }
       
       // Process response
-      return processGeminiResponse(result, requestId, outputDir, jsonDir);
+      const processed = {
+        requestId,
+        model,
+        ...processGeminiResponse(result, requestId, outputDir, jsonDir, {
+          saveFiles,
+          logger,
+          metadata: { prompt, model, seed: options.seed, session: session ? session.name : undefined },
+          outputMimeType,
+          compressionQuality
+        })
+      };
+      if (cached) {
+        processed.cached = true;
+      }
+      
+      // Record the exchange so the next turn can build on it
+      if (session && processed.success) {
+        // Continue the conversation from the first candidate that produced content
+        const candidate = (result.candidates || []).find(item => item.content && item.content.parts && item.content.parts.length > 0);
+        if (appendSessionTurn(session, userContent, candidate && candidate.content, { requestId, images: processed.images })) {
+          const sessionFile = saveSession(jsonDir, session);
+          logger.log(t('gemini.sessionUpdated', { file: sessionFile }));
+        } else {
+          logger.warn(t('gemini.sessionTurnSkipped', { name: session.name }));
+        }
+        processed.session = session.name;
+      }
+      
+      return processed;
       
     } catch (error) {
-      console.error('使用 Gemini 生成图像时出错：', error);
-      return { success: false, error: error.message };
+      logger.error(t('gemini.generateError'), error);
+      return { success: false, error: error.message, errorCategory: getErrorCategory(error) };
     }
   } catch (error) {
-    console.error('使用 Gemini 生成图像时出错：', error);
-    return { success: false, error: error.message };
+    logger.error(t('gemini.generateError'), error);
+    return { success: false, error: error.message, errorCategory: getErrorCategory(error) };
   }
 }
+
+/**
+ * Build the generationConfig for a request from the sampling options that are set
+ * @param {Object} options - Generation options
+ * @returns {Object} generationConfig
+ */
+function buildGenerationConfig(options) {
+  const generationConfig = { responseModalities: ["Text", "Image"] };
+  
+  GENERATION_CONFIG_OPTIONS.forEach(key => {
+    if (options[key] === undefined || options[key] === null || options[key] === '') {
+      return;
+    }
+    
+    const value = Number(options[key]);
+    if (Number.isNaN(value)) {
+      throw createValidationError(t('gemini.notANumber', { key, value: options[key] }));
+    }
+    generationConfig[key] = value;
+  });
+  
+  return generationConfig;
+}
+
+/**
+ * Join the text of every candidate
+ * @param {Array<Object>} candidateSummaries - Candidate summaries from processGeminiResponse
+ * @returns {string|undefined} Text, or undefined when the model returned none
+ */
+function joinCandidateText(candidateSummaries) {
+  const texts = candidateSummaries.filter(summary => summary.text).map(summary => summary.text);
+  return texts.length > 0 ? texts.join('\n\n') : undefined;
+}
+
+/**
+ * Render the model's text parts and images, in response order, as Markdown
+ * @param {Array<{ candidate: number, entries: Array<Object> }>} transcript - Text and image entries per candidate
+ * @param {Object} settings - Rendering settings
+ * @param {string} [settings.prompt] - Prompt shown at the top
+ * @param {boolean} [settings.multiple] - Add a heading per candidate
+ * @param {string} settings.outputDir - Directory the Markdown file is saved in (image links are relative to it)
+ * @returns {string} Markdown
+ */
+function buildTranscriptMarkdown(transcript, settings) {
+  const lines = [`# ${t('gemini.transcriptTitle')}`, ''];
+  
+  if (settings.prompt) {
+    lines.push(`> ${String(settings.prompt).replace(/\n/g, '\n> ')}`, '');
+  }
+  
+  transcript.forEach(({ candidate, entries }) => {
+    if (entries.length === 0) {
+      return;
+    }
+    if (settings.multiple) {
+      lines.push(`## ${t('gemini.transcriptCandidate', { candidate: candidate + 1 })}`, '');
+    }
+    entries.forEach(entry => {
+      if (entry.text) {
+        lines.push(entry.text, '');
+      } else {
+        const link = path.relative(settings.outputDir, entry.image).split(path.sep).join('/');
+        lines.push(`![${path.basename(entry.image)}](${encodeURI(link)})`, '');
+      }
+    });
+  });
+  
+  return lines.join('\n');
+}
@@ -0,0 +1,392 @@
+import fs from 'fs';
+import path from 'path';
+import { parseDuration } from './cache.js';
+import { t } from './i18n.js';
+
+/**
+ * Options recorded as the parameters of a run (when set)
+ */
+const RECORDED_PARAMETERS = [
+  'aspectRatio',
+  'count',
+  'negativePrompt',
+  'enhance',
+  'personGeneration',
+  'safety',
+  'watermark',
+  'seed',
+  'temperature',
+  'topP',
+  'topK',
+  'candidateCount',
+  'maxOutputTokens',
+  'outputFormat',
+  'compressionQuality',
+  'location',
+  'referenceImages',
+  'session',
+  'image',
+  'images',
+  'mask',
+  'editMode',
+  'maskMode',
+  'maskClasses',
+  'factor',
+  'upscale',
+  'cache'
+];
+
+/**
+ * Get the history file path
+ * @param {string} jsonDir - JSON output directory
+ * @returns {string} History file path
+ */
+export function getHistoryPath(jsonDir) {
+  return path.join(jsonDir || './output', 'history.jsonl');
+}
+
+/**
+ * Classify a generation result
+ * @param {Object} result - Generation result
+ * @returns {'success'|'blocked'|'failed'} Outcome
+ */
+export function getRunOutcome(result) {
+  if (result.success) {
+    return 'success';
+  }
+  if (result.blocked || result.safetyBlock || result.raiFiltered) {
+    return 'blocked';
+  }
+  return 'failed';
+}
+
+/**
+ * Append a finished run to the history store (one JSON object per line)
+ * @param {string} jsonDir - JSON output directory
+ * @param {string} command - 'generate', 'edit' or 'upscale'
+ * @param {Object} options - Run options
+ * @param {Object} result - Generation result
+ * @returns {Object} History entry
+ */
+export function recordHistory(jsonDir, command, options, result) {
+  const api = command === 'generate' ? (options.api || process.env.DEFAULT_API || 'imagen') : 'imagen';
+  const outcome = getRunOutcome(result);
+
+  const parameters = {};
+  RECORDED_PARAMETERS.forEach(key => {
+    if (options[key] !== undefined && options[key] !== '') {
+      parameters[key] = options[key];
+    }
+  });
+
+  const entry = {
+    id: result.requestId || options.requestId || `${api}_${command}_${Date.now()}`,
+    timestamp: new Date().toISOString(),
+    command,
+    api,
+    model: result.model || (command === 'upscale' ? options.upscaleModel : options.model),
+    prompt: options.prompt,
+    parameters,
+    outcome,
+    images: result.images || [],
+    upscaled: result.upscaled,
+    generated: result.generated,
+    // When every image was filtered, the response carries no count: all requested images were blocked
+    blockedImages: result.raiFiltered
+      ? Number(options.count) || 1
+      : (typeof result.blocked === 'number' ? result.blocked : result.blockedCount),
+    blockReason: outcome === 'blocked' ? (result.details || result.error) : undefined,
+    error: result.success ? undefined : result.error,
+    statusCode: result.statusCode,
+    cached: result.cached,
+    jsonFiles: result.jsonFiles
+  };
+
+  const historyPath = getHistoryPath(jsonDir);
+  fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+  fs.appendFileSync(historyPath, `${JSON.stringify(entry)}\n`);
+
+  return entry;
+}
+
+/**
+ * Load all history entries, oldest first (unreadable lines are skipped)
+ * @param {string} jsonDir - JSON output directory
+ * @returns {Array<Object>} History entries
+ */
+export function loadHistory(jsonDir) {
+  const historyPath = getHistoryPath(jsonDir);
+  if (!fs.existsSync(historyPath)) {
+    return [];
+  }
+
+  return fs.readFileSync(historyPath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Filter history entries
+ * @param {Array<Object>} entries - History entries
+ * @param {Object} filters - Filters
+ * @param {string} [filters.search] - Case-insensitive text the prompt must contain
+ * @param {string} [filters.since] - Earliest date (ISO date or a duration such as 7d)
+ * @param {string} [filters.until] - Latest date (ISO date or a duration such as 1d)
+ * @param {string} [filters.api] - API
+ * @param {string} [filters.outcome] - Outcome
+ * @returns {Array<Object>} Matching entries
+ */
+export function filterHistory(entries, filters = {}) {
+  const search = filters.search ? String(filters.search).toLowerCase() : null;
+  const since = filters.since ? parseDate(filters.since) : null;
+  const until = filters.until ? parseDate(filters.until, true) : null;
+
+  return entries.filter(entry => {
+    const time = Date.parse(entry.timestamp);
+    if (search && !String(entry.prompt || '').toLowerCase().includes(search)) return false;
+    if (since !== null && time < since) return false;
+    if (until !== null && time > until) return false;
+    if (filters.api && entry.api !== filters.api) return false;
+    if (filters.outcome && entry.outcome !== filters.outcome) return false;
+    return true;
+  });
+}
+
+/**
+ * Aggregate statistics over history entries
+ * @param {Array<Object>} entries - History entries
+ * @returns {Object} Statistics: totals per outcome, per API, per model and per safety level
+ */
+export function getHistoryStats(entries) {
+  const stats = {
+    total: entries.length,
+    outcomes: { success: 0, blocked: 0, failed: 0 },
+    images: 0,
+    byApi: {},
+    byModel: {},
+    bySafety: {}
+  };
+
+  const count = (group, key) => {
+    group[key] = group[key] || { runs: 0, blocked: 0 };
+    return group[key];
+  };
+
+  entries.forEach(entry => {
+    stats.outcomes[entry.outcome] = (stats.outcomes[entry.outcome] || 0) + 1;
+    stats.images += (entry.images || []).length;
+
+    const blocked = entry.outcome === 'blocked' ? 1 : 0;
+    [
+      count(stats.byApi, entry.api || t('history.unknown')),
+      count(stats.byModel, entry.model || t('history.defaultModel'))
+    ].forEach(group => {
+      group.runs++;
+      group.blocked += blocked;
+    });
+
+    // Safety levels only exist for Imagen generation; partially filtered runs count their images
+    if (entry.api === 'imagen' && entry.command === 'generate') {
+      const safety = count(stats.bySafety, (entry.parameters && entry.parameters.safety) || 'block_few');
+      safety.runs++;
+      safety.blocked += blocked;
+      safety.images = (safety.images || 0) + (entry.generated || 0);
+      safety.blockedImages = (safety.blockedImages || 0) + (entry.blockedImages || 0);
+    }
+  });
+
+  return stats;
+}
+
+/**
+ * Run the `history` command (list, show, stats)
+ * @param {Object} argv - Command line arguments (filters: search, since, until, api, outcome, limit)
+ * @param {string} jsonDir - JSON output directory
+ * @returns {boolean} Whether the command succeeded
+ */
+export function runHistoryCommand(argv, jsonDir) {
+  const { action = 'list', id } = argv;
+
+  try {
+    const entries = filterHistory(loadHistory(jsonDir), argv);
+
+    switch (action) {
+      case 'list': {
+        if (entries.length === 0) {
+          console.log(t('history.none', { path: getHistoryPath(jsonDir) }));
+          return true;
+        }
+        const limit = argv.limit > 0 ? argv.limit : entries.length;
+        entries.slice(-limit).reverse().forEach(entry => {
+          console.log(`${entry.timestamp}  ${entry.id}  ${entry.api}  ${describeOutcome(entry.outcome)}  ${t('history.imageCount', { count: (entry.images || []).length })}  ${truncate(entry.prompt, 60)}`);
+        });
+        if (entries.length > limit) {
+          console.log(t('history.truncated', { total: entries.length, limit }));
+        }
+        return true;
+      }
+
+      case 'show': {
+        if (!id) {
+          console.error(t('common.error', { message: t('history.idRequired') }));
+          return false;
+        }
+        const entry = [...entries].reverse().find(item => item.id === id || item.id.includes(id));
+        if (!entry) {
+          console.error(t('common.error', { message: t('history.notFound', { id }) }));
+          return false;
+        }
+        printEntry(entry);
+        return true;
+      }
+
+      case 'stats':
+        printStats(getHistoryStats(entries));
+        return true;
+
+      default:
+        console.error(t('common.error', { message: t('history.unknownAction', { action }) }));
+        return false;
+    }
+  } catch (error) {
+    console.error(t('common.error', { message: error.message }));
+    return false;
+  }
+}
+
+/**
+ * Parse a filter date: an absolute date, or a duration meaning "this long ago"
+ * @param {string} value - Date or duration
+ * @param {boolean} [endOfDay=false] - Treat a bare date (YYYY-MM-DD) as the end of that day
+ * @returns {number} Timestamp in milliseconds
+ */
+function parseDate(value, endOfDay = false) {
+  const text = String(value).trim();
+
+  if (/^\d+(\.\d+)?\s*(ms|s|m|h|d|w)$/i.test(text)) {
+    return Date.now() - parseDuration(text);
+  }
+
+  const time = Date.parse(text);
+  if (Number.isNaN(time)) {
+    throw new Error(t('history.invalidDate', { value }));
+  }
+
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text) ? time + 86400000 - 1 : time;
+}
+
+/**
+ * Human readable outcome
+ * @param {string} outcome - Outcome
+ * @returns {string} Outcome text
+ */
+function describeOutcome(outcome) {
+  if (outcome === 'success') return t('history.outcomeSuccess');
+  if (outcome === 'blocked') return t('history.outcomeBlocked');
+  return t('history.outcomeFailed');
+}
+
+/**
+ * Shorten text for single-line output
+ * @param {string} text - Text
+ * @param {number} length - Maximum length
+ * @returns {string} Shortened text
+ */
+function truncate(text, length) {
+  const value = String(text || '').replace(/\s+/g, ' ');
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+/**
+ * Format a rate as a percentage
+ * @param {number} part - Part
+ * @param {number} total - Total
+ * @returns {string} Percentage
+ */
+function percent(part, total) {
+  return total > 0 ? `${(part / total * 100).toFixed(1)}%` : '-';
+}
+
+/**
+ * Print one history entry
+ * @param {Object} entry - History entry
+ */
+function printEntry(entry) {
+  console.log(t('history.id', { id: entry.id }));
+  console.log(t('history.time', { time: entry.timestamp }));
+  console.log(t('history.command', { command: entry.command }));
+  console.log(t('history.api', { api: entry.api }));
+  console.log(t('history.model', { model: entry.model || t('history.defaultModel') }));
+  console.log(t('history.prompt', { prompt: entry.prompt || '' }));
+  console.log(t(entry.cached ? 'history.outcomeCached' : 'history.outcome', { outcome: describeOutcome(entry.outcome) }));
+
+  if (entry.blockReason) {
+    console.log(t('history.blockReason', { reason: entry.blockReason }));
+  }
+  if (entry.error && entry.outcome !== 'blocked') {
+    console.log(t(entry.statusCode ? 'history.errorWithStatus' : 'history.error', { error: entry.error, status: entry.statusCode }));
+  }
+  if (entry.blockedImages) {
+    console.log(t('history.blockedImages', { count: entry.blockedImages }));
+  }
+
+  const parameters = Object.entries(entry.parameters || {});
+  if (parameters.length > 0) {
+    console.log(t('history.parameters'));
+    parameters.forEach(([key, value]) => {
+      console.log(`  ${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+    });
+  }
+
+  if (entry.images && entry.images.length > 0) {
+    console.log(t('history.images'));
+    entry.images.forEach(image => console.log(`  ${image}`));
+  }
+  if (entry.upscaled && entry.upscaled.length > 0) {
+    console.log(t('history.upscaled'));
+    entry.upscaled.forEach(image => console.log(`  ${image}`));
+  }
+  if (entry.jsonFiles) {
+    console.log(t('history.jsonFiles'));
+    Object.values(entry.jsonFiles).filter(Boolean).forEach(file => console.log(`  ${file}`));
+  }
+}
+
+/**
+ * Print aggregate statistics
+ * @param {Object} stats - Statistics from getHistoryStats
+ */
+function printStats(stats) {
+  console.log(t('history.statsRuns', { count: stats.total }));
+  console.log(`  ${t('history.statsSuccess', { count: stats.outcomes.success })}`);
+  console.log(`  ${t('history.statsBlocked', { count: stats.outcomes.blocked, rate: percent(stats.outcomes.blocked, stats.total) })}`);
+  console.log(`  ${t('history.statsFailed', { count: stats.outcomes.failed })}`);
+  console.log(t('history.statsImages', { count: stats.images }));
+
+  const printGroup = (title, group) => {
+    const keys = Object.keys(group);
+    if (keys.length === 0) return;
+    console.log('');
+    console.log(title);
+    keys.sort().forEach(key => {
+      const item = group[key];
+      let line = `  ${t('history.groupLine', { key, runs: item.runs, rate: percent(item.blocked, item.runs) })}`;
+      if (item.images !== undefined) {
+        line += t('history.groupImageRate', { rate: percent(item.blockedImages, item.images + item.blockedImages) });
+      }
+      console.log(line);
+    });
+  };
+
+  printGroup(t('history.byApi'), stats.byApi);
+  printGroup(t('history.byModel'), stats.byModel);
+  printGroup(t('history.bySafety'), stats.bySafety);
+}
@@ -0,0 +1,91 @@
+import en from './locales/en.js';
+import zhCN from './locales/zh-CN.js';
+
+/**
+ * Message catalogs per language
+ */
+const CATALOGS = {
+  en,
+  'zh-CN': zhCN
+};
+
+/**
+ * Supported languages
+ */
+export const SUPPORTED_LANGUAGES = Object.keys(CATALOGS);
+
+/**
+ * Language used when nothing selects one (the CLI's original language)
+ */
+export const DEFAULT_LANGUAGE = 'zh-CN';
+
+let currentLanguage = DEFAULT_LANGUAGE;
+
+/**
+ * Map a language tag or locale (`zh`, `zh_CN.UTF-8`, `en-US`) to a supported language
+ * @param {string} [value] - Language tag or locale
+ * @returns {string|null} Supported language, or null when the value names none
+ */
+export function normalizeLanguage(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+
+  const tag = value.trim().split('.')[0].replace('_', '-').toLowerCase();
+  if (tag.startsWith('zh')) {
+    return 'zh-CN';
+  }
+  if (tag === 'en' || tag.startsWith('en-')) {
+    return 'en';
+  }
+  return null;
+}
+
+/**
+ * Pick the language from explicit choices (in priority order), then the locale environment
+ * variables (LC_ALL, LC_MESSAGES, LANG), then the default
+ * @param {Array<string>} [choices=[]] - Candidate languages, highest priority first (e.g. --lang, config)
+ * @param {Object} [env=process.env] - Environment
+ * @returns {string} Supported language
+ */
+export function resolveLanguage(choices = [], env = process.env) {
+  for (const choice of choices) {
+    const language = normalizeLanguage(choice);
+    if (language) {
+      return language;
+    }
+  }
+
+  // The first locale variable that is set decides, as in POSIX; C and POSIX select the default
+  const locale = env.LC_ALL || env.LC_MESSAGES || env.LANG;
+  return normalizeLanguage(locale) || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Set the language of all messages
+ * @param {string} language - Language tag or locale
+ * @returns {string} Language now in use (unchanged when the value names no supported language)
+ */
+export function setLanguage(language) {
+  currentLanguage = normalizeLanguage(language) || currentLanguage;
+  return currentLanguage;
+}
+
+/**
+ * Get the language of all messages
+ * @returns {string} Language
+ */
+export function getLanguage() {
+  return currentLanguage;
+}
+
+/**
+ * Look up a message in the current language, falling back to the default catalog
+ * @param {string} key - Message key
+ * @param {Object} [params] - Values for `{name}` placeholders
+ * @returns {string} Message (the key itself when no catalog has it)
+ */
+export function t(key, params = {}) {
+  const template = CATALOGS[currentLanguage][key] ?? CATALOGS[DEFAULT_LANGUAGE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+}
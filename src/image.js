@@ -0,0 +1,318 @@
+import { PNG } from 'pngjs';
+import jpeg from 'jpeg-js';
+import { GLYPH_WIDTH, GLYPH_HEIGHT, getGlyph } from './font.js';
+
+/**
+ * Detect an image MIME type from its leading bytes
+ * @param {Buffer} buffer - Image data
+ * @returns {string|null} MIME type, or null if unknown
+ */
+export function detectImageMimeType(buffer) {
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return 'image/png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (buffer.length >= 6 && buffer.toString('ascii', 0, 3) === 'GIF') {
+    return 'image/gif';
+  }
+  return null;
+}
+
+/**
+ * Decode a PNG or JPEG image into RGBA pixels
+ * @param {Buffer} buffer - Encoded image
+ * @returns {{ width: number, height: number, data: Buffer }} RGBA bitmap
+ */
+export function decodeImage(buffer) {
+  const mimeType = detectImageMimeType(buffer);
+
+  if (mimeType === 'image/png') {
+    const png = PNG.sync.read(buffer);
+    return { width: png.width, height: png.height, data: png.data };
+  }
+
+  if (mimeType === 'image/jpeg') {
+    const decoded = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+    return { width: decoded.width, height: decoded.height, data: Buffer.from(decoded.data) };
+  }
+
+  throw new Error(`Unsupported image format for pixel operations: ${mimeType || 'unknown'} (PNG and JPEG are supported)`);
+}
+
+/**
+ * Encode an RGBA bitmap as PNG
+ * @param {{ width: number, height: number, data: Buffer }} bitmap - RGBA bitmap
+ * @returns {Buffer} PNG data
+ */
+export function encodePng(bitmap) {
+  const png = new PNG({ width: bitmap.width, height: bitmap.height });
+  bitmap.data.copy(png.data);
+  return PNG.sync.write(png);
+}
+
+/**
+ * Encode an RGBA bitmap as JPEG; transparent pixels are flattened onto white
+ * @param {{ width: number, height: number, data: Buffer }} bitmap - RGBA bitmap
+ * @param {number} [quality=75] - JPEG quality (0-100)
+ * @returns {Buffer} JPEG data
+ */
+export function encodeJpeg(bitmap, quality = 75) {
+  const data = Buffer.alloc(bitmap.data.length);
+  for (let i = 0; i < data.length; i += 4) {
+    const alpha = bitmap.data[i + 3] / 255;
+    data[i] = Math.round(bitmap.data[i] * alpha + 255 * (1 - alpha));
+    data[i + 1] = Math.round(bitmap.data[i + 1] * alpha + 255 * (1 - alpha));
+    data[i + 2] = Math.round(bitmap.data[i + 2] * alpha + 255 * (1 - alpha));
+    data[i + 3] = 255;
+  }
+  return Buffer.from(jpeg.encode({ width: bitmap.width, height: bitmap.height, data }, quality).data);
+}
+
+/**
+ * Re-encode a PNG or JPEG image as another format
+ * @param {Buffer} buffer - Encoded image
+ * @param {string} mimeType - Target MIME type: 'image/png' or 'image/jpeg'
+ * @param {number} [quality] - JPEG quality (0-100)
+ * @returns {Buffer} Encoded image (the input itself when it already has the target format)
+ */
+export function convertImage(buffer, mimeType, quality) {
+  if (detectImageMimeType(buffer) === mimeType) {
+    return buffer;
+  }
+
+  const bitmap = decodeImage(buffer);
+  if (mimeType === 'image/png') {
+    return encodePng(bitmap);
+  }
+  if (mimeType === 'image/jpeg') {
+    return encodeJpeg(bitmap, quality);
+  }
+
+  throw new Error(`Unsupported target format: ${mimeType} (PNG and JPEG are supported)`);
+}
+
+/**
+ * Create a blank RGBA bitmap filled with one colour
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Array<number>} [rgba=[0, 0, 0, 255]] - Fill colour
+ * @returns {{ width: number, height: number, data: Buffer }} RGBA bitmap
+ */
+export function createBitmap(width, height, rgba = [0, 0, 0, 255]) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = rgba[0];
+    data[i + 1] = rgba[1];
+    data[i + 2] = rgba[2];
+    data[i + 3] = rgba[3];
+  }
+  return { width, height, data };
+}
+
+/**
+ * Copy one bitmap onto another
+ * @param {Object} target - Destination bitmap (modified in place)
+ * @param {Object} source - Source bitmap
+ * @param {number} left - Destination x offset
+ * @param {number} top - Destination y offset
+ */
+export function drawBitmap(target, source, left, top) {
+  for (let y = 0; y < source.height; y++) {
+    const targetY = top + y;
+    if (targetY < 0 || targetY >= target.height) continue;
+
+    for (let x = 0; x < source.width; x++) {
+      const targetX = left + x;
+      if (targetX < 0 || targetX >= target.width) continue;
+
+      const sourceIndex = (y * source.width + x) * 4;
+      const targetIndex = (targetY * target.width + targetX) * 4;
+      source.data.copy(target.data, targetIndex, sourceIndex, sourceIndex + 4);
+    }
+  }
+}
+
+/**
+ * Fill a rectangle with one colour
+ * @param {Object} target - Bitmap (modified in place)
+ * @param {number} left - X offset
+ * @param {number} top - Y offset
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Array<number>} rgba - Fill colour
+ */
+export function fillRect(target, left, top, width, height, rgba) {
+  const x0 = Math.max(0, left);
+  const y0 = Math.max(0, top);
+  const x1 = Math.min(target.width, left + width);
+  const y1 = Math.min(target.height, top + height);
+
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const index = (y * target.width + x) * 4;
+      target.data[index] = rgba[0];
+      target.data[index + 1] = rgba[1];
+      target.data[index + 2] = rgba[2];
+      target.data[index + 3] = rgba[3];
+    }
+  }
+}
+
+/**
+ * Resize a bitmap by averaging the source pixels covered by each target pixel
+ * (a box filter: good for the large reductions used for thumbnails)
+ * @param {Object} source - Source bitmap
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {{ width: number, height: number, data: Buffer }} Resized bitmap
+ */
+export function resizeBitmap(source, width, height) {
+  const target = createBitmap(width, height, [0, 0, 0, 0]);
+  const scaleX = source.width / width;
+  const scaleY = source.height / height;
+
+  for (let y = 0; y < height; y++) {
+    const sy0 = Math.floor(y * scaleY);
+    const sy1 = Math.max(sy0 + 1, Math.min(source.height, Math.floor((y + 1) * scaleY)));
+
+    for (let x = 0; x < width; x++) {
+      const sx0 = Math.floor(x * scaleX);
+      const sx1 = Math.max(sx0 + 1, Math.min(source.width, Math.floor((x + 1) * scaleX)));
+      const sums = [0, 0, 0, 0];
+
+      for (let sy = sy0; sy < sy1; sy++) {
+        for (let sx = sx0; sx < sx1; sx++) {
+          const index = (sy * source.width + sx) * 4;
+          sums[0] += source.data[index];
+          sums[1] += source.data[index + 1];
+          sums[2] += source.data[index + 2];
+          sums[3] += source.data[index + 3];
+        }
+      }
+
+      const count = (sy1 - sy0) * (sx1 - sx0);
+      const index = (y * width + x) * 4;
+      for (let channel = 0; channel < 4; channel++) {
+        target.data[index + channel] = Math.round(sums[channel] / count);
+      }
+    }
+  }
+
+  return target;
+}
+
+/**
+ * Alpha-blend one bitmap onto another (unlike drawBitmap, which copies pixels)
+ * @param {Object} target - Destination bitmap (modified in place)
+ * @param {Object} source - Source bitmap
+ * @param {number} left - Destination x offset
+ * @param {number} top - Destination y offset
+ */
+export function blendBitmap(target, source, left, top) {
+  for (let y = 0; y < source.height; y++) {
+    const targetY = top + y;
+    if (targetY < 0 || targetY >= target.height) continue;
+
+    for (let x = 0; x < source.width; x++) {
+      const targetX = left + x;
+      if (targetX < 0 || targetX >= target.width) continue;
+
+      const sourceIndex = (y * source.width + x) * 4;
+      const targetIndex = (targetY * target.width + targetX) * 4;
+      const alpha = source.data[sourceIndex + 3] / 255;
+
+      for (let channel = 0; channel < 3; channel++) {
+        target.data[targetIndex + channel] = Math.round(
+          source.data[sourceIndex + channel] * alpha + target.data[targetIndex + channel] * (1 - alpha)
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Width in pixels of a line of text drawn with drawText
+ * @param {string} text - Text
+ * @param {number} [scale=1] - Pixel scale
+ * @returns {number} Width
+ */
+export function measureText(text, scale = 1) {
+  const length = Array.from(text).length;
+  return length > 0 ? (length * (GLYPH_WIDTH + 1) - 1) * scale : 0;
+}
+
+/**
+ * Draw one line of text with the built-in 5x7 ASCII font
+ * @param {Object} target - Bitmap (modified in place)
+ * @param {string} text - Text (characters outside ASCII are drawn as '?')
+ * @param {number} left - X offset
+ * @param {number} top - Y offset
+ * @param {Object} [style] - Text style
+ * @param {Array<number>} [style.color=[0, 0, 0, 255]] - Text colour
+ * @param {number} [style.scale=1] - Pixel scale
+ */
+export function drawText(target, text, left, top, style = {}) {
+  const { color = [0, 0, 0, 255], scale = 1 } = style;
+  let x = left;
+
+  for (const char of text) {
+    const glyph = getGlyph(char);
+
+    for (let column = 0; column < GLYPH_WIDTH; column++) {
+      for (let row = 0; row < GLYPH_HEIGHT; row++) {
+        if (glyph[column] & (1 << row)) {
+          fillRect(target, x + column * scale, top + row * scale, scale, scale, color);
+        }
+      }
+    }
+
+    x += (GLYPH_WIDTH + 1) * scale;
+  }
+}
+
+/**
+ * Parse an outpainting padding specification: "N" or "top,right,bottom,left"
+ * @param {string|number} value - Padding specification in pixels
+ * @returns {{ top: number, right: number, bottom: number, left: number }} Padding
+ */
+export function parsePadding(value) {
+  const parts = String(value).split(',').map(part => parseInt(part.trim(), 10));
+
+  if (parts.some(part => Number.isNaN(part) || part < 0) || ![1, 2, 4].includes(parts.length)) {
+    throw new Error(`Invalid padding "${value}": use N, "vertical,horizontal" or "top,right,bottom,left"`);
+  }
+
+  if (parts.length === 1) {
+    return { top: parts[0], right: parts[0], bottom: parts[0], left: parts[0] };
+  }
+  if (parts.length === 2) {
+    return { top: parts[0], right: parts[1], bottom: parts[0], left: parts[1] };
+  }
+  return { top: parts[0], right: parts[1], bottom: parts[2], left: parts[3] };
+}
+
+/**
+ * Pad an image for outpainting and build the matching mask.
+ * The original pixels keep a black mask; the new border is white so the model fills it in.
+ * @param {Buffer} buffer - Encoded base image (PNG or JPEG)
+ * @param {{ top: number, right: number, bottom: number, left: number }} padding - Padding in pixels
+ * @returns {{ image: Buffer, mask: Buffer, width: number, height: number }} Padded PNG image and PNG mask
+ */
+export function createOutpaintCanvas(buffer, padding) {
+  const base = decodeImage(buffer);
+  const width = base.width + padding.left + padding.right;
+  const height = base.height + padding.top + padding.bottom;
+
+  const canvas = createBitmap(width, height, [0, 0, 0, 255]);
+  drawBitmap(canvas, base, padding.left, padding.top);
+
+  const mask = createBitmap(width, height, [255, 255, 255, 255]);
+  drawBitmap(mask, createBitmap(base.width, base.height, [0, 0, 0, 255]), padding.left, padding.top);
+
+  return { image: encodePng(canvas), mask: encodePng(mask), width, height };
+}
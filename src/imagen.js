@@ -1,20 +1,60 @@
 import fs from 'fs';
 import path from 'path';
-import { saveConfig } from './config.js';
-import { getAccessToken } from './auth.js';
+import { getAccessToken, discardCachedToken } from './auth.js';
 import { fetchWithProxy } from './proxy.js';
-import { debug, maskBase64Content, saveFile, maskAndSaveJson } from './utils.js';
+import {
+  debug,
+  getLogger,
+  maskBase64Content,
+  saveFile,
+  maskAndSaveJson,
+  imageToBase64,
+  getVertexBaseUrl,
+  getImageExtension,
+  resolveOutputFormat,
+  parseCompressionQuality
+} from './utils.js';
+import { createOutpaintCanvas, parsePadding } from './image.js';
+import { readImageMetadataFile } from './metadata.js';
+import { getCacheSettings, getCacheKey, readCachedResponse, writeCachedResponse } from './cache.js';
+import { createValidationError, getErrorCategory } from './outcome.js';
+import { t } from './i18n.js';
+
+/**
+ * Imagen edit modes accepted on the command line, mapped to API values
+ */
+export const EDIT_MODES = {
+  'inpaint-insert': 'EDIT_MODE_INPAINT_INSERTION',
+  'inpaint-remove': 'EDIT_MODE_INPAINT_REMOVAL',
+  'outpaint': 'EDIT_MODE_OUTPAINT',
+  'bgswap': 'EDIT_MODE_BGSWAP'
+};
+
+/**
+ * Automatic mask modes accepted on the command line, mapped to API values
+ */
+export const MASK_MODES = {
+  'user': 'MASK_MODE_USER_PROVIDED',
+  'background': 'MASK_MODE_BACKGROUND',
+  'foreground': 'MASK_MODE_FOREGROUND',
+  'semantic': 'MASK_MODE_SEMANTIC'
+};
 
 /**
  * Generate images with Imagen API
  * @param {Object} options - Generation options
+ * @param {String|Object} options.keyFile - Service account key file path or parsed key
+ * @param {Boolean} [options.saveFiles=true] - Write images and request/response JSON to disk
+ * @param {String} [options.outputFormat] - Output format: 'png' (API default) or 'jpeg'
+ * @param {Number} [options.compressionQuality] - JPEG compression quality (0-100)
  * @param {Object} argv - Command line arguments
- * @returns {Promise<Object>} Generation result
+ * @returns {Promise<Object>} Generation result; `outputs` holds each image as a Buffer
  */
 export async function generateImagesWithImagen(options, argv) {
+  const logger = getLogger(argv);
+  
   try {
     const {
-      keyFile,
       projectId,
       prompt,
       location = 'us-central1',
@@ -24,24 +64,20 @@ export async function generateImagesWithImagen(options, argv) {
       enhance = false,
       personGeneration = 'allow_adult',
       safety = 'block_few',
-      watermark = true,
-      outputDir = './images',
-      jsonDir = './output',
+      seed,
       model = 'imagen-3.0-generate-002'
     } = options;
     
-    // Save both directories for next time
-    saveConfig({ 
-      lastOutputDir: outputDir,
-      lastJsonDir: jsonDir 
-    });
-    
-    // Get access token
-    console.log('正在获取访问令牌...');
-    const accessToken = await getAccessToken(keyFile, argv);
-    
-    // Prepare request
-    const apiEndpoint = `${location}-aiplatform.googleapis.com`;
+    // The API only accepts a seed when the watermark is off, so a seed turns the default watermark off
+    const watermark = options.watermark !== undefined ? options.watermark : seed === undefined;
+    if (seed !== undefined) {
+      if (!Number.isInteger(Number(seed)) || Number(seed) < 0 || Number(seed) > 4294967295) {
+        throw createValidationError(t('imagen.invalidSeed', { seed }));
+      }
+      if (watermark) {
+        throw createValidationError(t('imagen.seedNeedsNoWatermark'));
+      }
+    }
     
     const requestData = {
       endpoint: `projects/${projectId}/locations/${location}/publishers/google/models/${model}`,
@@ -63,10 +99,297 @@ export async function generateImagesWithImagen(options, argv) {
       }
     };
     
-    const requestUrl = `https://${apiEndpoint}/v1/projects/${projectId}/locations/${location}/publishers/google/models/${model}:predict`;
+    if (seed !== undefined) {
+      requestData.parameters.seed = Number(seed);
+    }
+    
+    const outputOptions = buildOutputOptions(options, logger);
+    if (outputOptions) {
+      requestData.parameters.outputOptions = outputOptions;
+    }
+    
+    logger.log(t('imagen.generating'), prompt);
+    if (seed !== undefined) {
+      logger.log(t('imagen.usingSeed', { seed }));
+    }
+    
+    // Generate a requestId for this request (batch mode supplies its own)
+    const requestId = options.requestId || `imagen_${Date.now()}`;
     
-    console.log(`正在发送请求到：${requestUrl}`);
-    console.log('使用提示生成图像：', prompt);
+    return await runImagenPrediction(requestData, { ...options, model, requestId }, argv);
+    
+  } catch (error) {
+    logger.error(t('imagen.generateError'), error);
+    return { success: false, error: error.message, errorCategory: getErrorCategory(error) };
+  }
+}
+
+/**
+ * Edit an existing image with the Imagen capability model (inpainting, outpainting, background swap)
+ * @param {Object} options - Edit options
+ * @param {String} options.image - Base image path
+ * @param {String} [options.mask] - Mask image path (white = area to edit)
+ * @param {String} [options.editMode='inpaint-insert'] - One of EDIT_MODES
+ * @param {String} [options.maskMode] - One of MASK_MODES, for automatically generated masks
+ * @param {Array<Number>} [options.maskClasses] - Segmentation class IDs for the semantic mask mode
+ * @param {Number} [options.maskDilation] - Mask dilation (0-1)
+ * @param {String|Number} [options.outpaintPadding] - Padding added around the image when outpainting without a mask
+ * @param {Number} [options.editSteps] - Number of base sampling steps
+ * @param {Object} argv - Command line arguments
+ * @returns {Promise<Object>} Generation result
+ */
+export async function editImageWithImagen(options, argv) {
+  const logger = getLogger(argv);
+  
+  // Fixed before anything can fail, so a failed edit is recorded under the same ID and model
+  const model = options.model || 'imagen-3.0-capability-001';
+  const baseName = path.basename(options.image || 'image', path.extname(options.image || '')).replace(/[^\w.-]+/g, '_');
+  const requestId = options.requestId || `imagen_edit_${baseName}_${Date.now()}`;
+  
+  try {
+    const {
+      projectId,
+      prompt = '',
+      image,
+      mask,
+      editMode = 'inpaint-insert',
+      maskMode,
+      maskClasses,
+      maskDilation,
+      outpaintPadding,
+      editSteps,
+      location = 'us-central1',
+      count = 1,
+      negativePrompt = '',
+      personGeneration = 'allow_adult',
+      safety = 'block_few',
+      watermark = true
+    } = options;
+    
+    if (!EDIT_MODES[editMode]) {
+      throw createValidationError(t('imagen.unknownEditMode', { mode: editMode, choices: Object.keys(EDIT_MODES).join(', ') }));
+    }
+    
+    let baseImage = imageToBase64(image);
+    let maskImage = mask ? imageToBase64(mask) : null;
+    
+    // Outpainting without a mask: pad the canvas and mark the new border as the area to fill
+    if (editMode === 'outpaint' && !maskImage) {
+      if (!outpaintPadding) {
+        throw createValidationError(t('imagen.outpaintNeedsMask'));
+      }
+      
+      const canvas = createOutpaintCanvas(fs.readFileSync(image), parsePadding(outpaintPadding));
+      baseImage = canvas.image.toString('base64');
+      maskImage = canvas.mask.toString('base64');
+      logger.log(t('imagen.canvasExpanded', { width: canvas.width, height: canvas.height }));
+    }
+    
+    // Background swap defaults to an automatic background mask
+    const resolvedMaskMode = maskImage ? 'user' : (maskMode || (editMode === 'bgswap' ? 'background' : null));
+    if (!resolvedMaskMode) {
+      throw createValidationError(t('imagen.editNeedsMask'));
+    }
+    if (!MASK_MODES[resolvedMaskMode]) {
+      throw createValidationError(t('imagen.unknownMaskMode', { mode: resolvedMaskMode, choices: Object.keys(MASK_MODES).join(', ') }));
+    }
+    
+    const maskImageConfig = { maskMode: MASK_MODES[resolvedMaskMode] };
+    if (maskDilation !== undefined) {
+      maskImageConfig.dilation = maskDilation;
+    } else if (editMode === 'outpaint') {
+      maskImageConfig.dilation = 0.03;
+    }
+    if (resolvedMaskMode === 'semantic') {
+      if (!maskClasses || maskClasses.length === 0) {
+        throw createValidationError(t('imagen.semanticNeedsClasses'));
+      }
+      maskImageConfig.maskClasses = maskClasses.map(value => parseInt(value, 10));
+    }
+    
+    const maskReference = {
+      referenceType: 'REFERENCE_TYPE_MASK',
+      referenceId: 2,
+      maskImageConfig
+    };
+    if (maskImage) {
+      maskReference.referenceImage = { bytesBase64Encoded: maskImage };
+    }
+    
+    const parameters = {
+      editMode: EDIT_MODES[editMode],
+      sampleCount: count,
+      negativePrompt: negativePrompt,
+      personGeneration: personGeneration,
+      safetySetting: safety,
+      addWatermark: watermark,
+      includeRaiReason: true,
+      language: "auto",
+    };
+    if (editSteps) {
+      parameters.editConfig = { baseSteps: editSteps };
+    }
+    
+    const outputOptions = buildOutputOptions(options, logger);
+    if (outputOptions) {
+      parameters.outputOptions = outputOptions;
+    }
+    
+    const requestData = {
+      endpoint: `projects/${projectId}/locations/${location}/publishers/google/models/${model}`,
+      instances: [
+        {
+          prompt: prompt,
+          referenceImages: [
+            {
+              referenceType: 'REFERENCE_TYPE_RAW',
+              referenceId: 1,
+              referenceImage: { bytesBase64Encoded: baseImage }
+            },
+            maskReference
+          ]
+        }
+      ],
+      parameters
+    };
+    
+    logger.log(t('imagen.editing', { mode: editMode, image }));
+    if (prompt) {
+      logger.log(t('imagen.editPrompt'), prompt);
+    }
+    
+    return await runImagenPrediction(requestData, {
+      ...options,
+      model,
+      requestId,
+      metadata: { editMode, editedFrom: path.basename(image) }
+    }, argv);
+    
+  } catch (error) {
+    logger.error(t('imagen.editError'), error.message);
+    return { requestId, model, success: false, error: error.message, errorCategory: getErrorCategory(error) };
+  }
+}
+
+/**
+ * Upscale an existing image with the Imagen upscale capability.
+ * The result is saved next to the original as `<name>_<factor>.<ext>` unless upscaleOutputDir is given.
+ * @param {Object} options - Upscale options
+ * @param {String} options.image - Image path
+ * @param {String} [options.factor='x2'] - Upscale factor: 'x2' or 'x4'
+ * @param {String} [options.upscaleModel='imagegeneration@002'] - Upscale model ID
+ * @param {String} [options.upscaleOutputDir] - Directory for upscaled images (defaults to the original's directory)
+ * @param {Object} argv - Command line arguments
+ * @returns {Promise<Object>} Generation result
+ */
+export async function upscaleImageWithImagen(options, argv) {
+  const logger = getLogger(argv);
+  
+  // Fixed before anything can fail, so a failed upscale is recorded under the same ID and model
+  const upscaleModel = options.upscaleModel || 'imagegeneration@002';
+  const baseName = path.basename(options.image || 'image', path.extname(options.image || ''));
+  const requestId = `imagen_upscale_${baseName.replace(/[^\w.-]+/g, '_')}_${Date.now()}`;
+  
+  try {
+    const {
+      projectId,
+      image,
+      factor = 'x2',
+      location = 'us-central1'
+    } = options;
+    
+    const upscaleFactor = /^x?[24]$/.test(String(factor)) ? `x${String(factor).replace('x', '')}` : null;
+    if (!upscaleFactor) {
+      throw createValidationError(t('imagen.invalidFactor', { factor }));
+    }
+    
+    const requestData = {
+      endpoint: `projects/${projectId}/locations/${location}/publishers/google/models/${upscaleModel}`,
+      instances: [
+        {
+          prompt: '',
+          image: { bytesBase64Encoded: imageToBase64(image) }
+        }
+      ],
+      parameters: {
+        sampleCount: 1,
+        mode: 'upscale',
+        upscaleConfig: { upscaleFactor }
+      }
+    };
+    
+    const outputOptions = buildOutputOptions(options, logger);
+    if (outputOptions) {
+      requestData.parameters.outputOptions = outputOptions;
+    }
+    
+    logger.log(t('imagen.upscaling', { factor: upscaleFactor, image }));
+    
+    const outputDir = options.upscaleOutputDir || path.dirname(image);
+    
+    // Carry the original image's metadata over so the upscaled file still says how it was made
+    const metadata = {
+      ...readImageMetadataFile(image),
+      upscaleModel,
+      upscaleFactor,
+      upscaledFrom: path.basename(image),
+      upscaleRequestId: requestId
+    };
+    
+    return await runImagenPrediction(requestData, {
+      ...options,
+      model: upscaleModel,
+      requestId,
+      outputDir,
+      count: 1,
+      metadata,
+      filename: (index, ext) => path.join(outputDir, `${baseName}_${upscaleFactor}${index > 0 ? `_${index}` : ''}.${ext}`)
+    }, argv);
+    
+  } catch (error) {
+    logger.error(t('imagen.upscaleError'), error.message);
+    return { requestId, model: upscaleModel, success: false, error: error.message, errorCategory: getErrorCategory(error) };
+  }
+}
+
+/**
+ * Send an Imagen `:predict` request and turn the predictions into saved images.
+ * Shared by generation and editing so auth, proxy, error and RAI-filter handling stay identical.
+ * @param {Object} requestData - Request body
+ * @param {Object} options - Request options (keyFile, projectId, location, model, requestId, outputDir, jsonDir, count, saveFiles)
+ * @param {Object} argv - Command line arguments
+ * @returns {Promise<Object>} Generation result
+ */
+async function runImagenPrediction(requestData, options, argv) {
+  const logger = getLogger(argv);
+  const {
+    keyFile,
+    projectId,
+    location = 'us-central1',
+    model,
+    requestId,
+    outputDir = './images',
+    jsonDir = './output',
+    saveFiles = true
+  } = options;
+  
+  // Prepare request (IMAGEN_API_DOMAIN redirects to another host, such as the mock server)
+  const requestUrl = `${getVertexBaseUrl(location)}/v1/projects/${projectId}/locations/${location}/publishers/google/models/${model}:predict`;
+  
+  // Identical requests can be answered from the local cache (opt-in)
+  const cache = getCacheSettings(options, argv);
+  const cacheKey = cache.enabled ? getCacheKey(requestUrl, requestData) : null;
+  let result = cacheKey && !cache.refresh ? readCachedResponse(cache, cacheKey) : null;
+  const cached = !!result;
+  
+  if (cached) {
+    logger.log(t('common.usingCache', { key: cacheKey.slice(0, 12) }));
+  } else {
+    // Get access token
+    logger.log(t('imagen.gettingToken'));
+    const accessToken = await getAccessToken(keyFile, argv);
+    
+    logger.log(t('imagen.sendingRequest', { url: requestUrl }));
     
     // Configure fetch options
     const fetchOptions = {
@@ -78,64 +401,28 @@ export async function generateImagesWithImagen(options, argv) {
       body: JSON.stringify(requestData)
     };
     
-    // Generate a requestId for this request
-    const requestId = `imagen_${Date.now()}`;
-    
     // Make request using our fetch wrapper
-    const response = await fetchWithProxy(requestUrl, fetchOptions, argv, { requestId, outputDir });
+    const response = await fetchWithProxy(requestUrl, fetchOptions, argv, { requestId, outputDir, maxRetries: options.maxRetries });
     
     if (!response.ok) {
-      let errorMessage = '';
-      let errorDetail = '';
-      
-      try {
-        const errorJson = await response.json();
-        
-        if (errorJson.error) {
-          errorMessage = errorJson.error.message || '';
-          errorDetail = errorJson.error.status || '';
-          
-          // Check if this is a safety filter block
-          if (response.status === 400 && errorMessage.includes('safety filter threshold prohibited')) {
-            console.error('⚠️ 安全过滤器阻止了此提示：');
-            console.error('  → ' + errorMessage);
-            console.error('尝试调整您的提示或更改安全设置。');
-            
-            return { 
-              success: false, 
-              error: '安全过滤器阻止了此提示', 
-              blocked: true,
-              details: errorMessage,
-              statusCode: response.status
-            };
-          }
-          
-          // Check if this is a person generation permission error
-          if (response.status === 400 && errorMessage.includes('You have chosen the \'Allow (All ages)\' option for Person Generation, but this option is not available to you')) {
-            console.error('⚠️ 人物生成权限错误：');
-            console.error('  → ' + errorMessage);
-            console.error('尝试使用 "allow_adult" 而不是 "allow_all_ages" 作为 personGeneration 参数。');
-            
-            return { 
-              success: false, 
-              error: '人物生成权限错误', 
-              permissionIssue: true,
-              details: errorMessage,
-              statusCode: response.status
-            };
-          }
-        }
-      } catch (e) {
-        // Fallback to text if JSON parsing fails
-        errorMessage = await response.text();
+      // A revoked or rejected token must not be served from the token cache again
+      if (response.status === 401) {
+        discardCachedToken(keyFile, argv);
       }
-      
-      console.error(`错误 ${response.status}: ${errorMessage}`);
-      return { success: false, error: errorMessage, details: errorDetail, statusCode: response.status };
+      return { requestId, model, ...(await handleImagenError(response, logger)) };
     }
     
-    const result = await response.json();
+    result = await response.json();
     
+    if (cacheKey) {
+      writeCachedResponse(cache, cacheKey, result, { api: 'imagen', model, prompt: requestData.instances[0].prompt }, logger);
+    }
+  }
+  
+  let requestFilename;
+  let responseFilename;
+  
+  if (saveFiles) {
     // Create output directory if it doesn't exist
     if (!fs.existsSync(outputDir)) {
       fs.mkdirSync(outputDir, { recursive: true });
@@ -146,135 +433,270 @@ export async function generateImagesWithImagen(options, argv) {
       fs.mkdirSync(jsonDir, { recursive: true });
     }
     
-    // Save request for debugging
-    const requestFilename = path.join(jsonDir, `${requestId}_request.json`);
-    saveFile(requestFilename, JSON.stringify(requestData, null, 2));
+    // Save request for debugging (input images masked)
+    requestFilename = path.join(jsonDir, `${requestId}_request.json`);
+    maskAndSaveJson(requestData, requestFilename, { logger });
     
     // Save masked response for debugging
-    const responseFilename = path.join(jsonDir, `${requestId}_response.json`);
-    maskAndSaveJson(result, responseFilename);
-    
-    // Process and save images
-    if (result && result.predictions && result.predictions.length > 0) {
-      const savedImagePaths = [];
-      let generatedCount = 0;
-      let blockedCount = 0;
+    responseFilename = path.join(jsonDir, `${requestId}_response.json`);
+    maskAndSaveJson(result, responseFilename, { logger });
+  }
+  
+  const jsonFiles = saveFiles ? { request: requestFilename, response: responseFilename } : undefined;
+  const processed = { requestId, model, ...processImagenPredictions(result, { ...options, jsonFiles }, logger) };
+  
+  return cached ? { ...processed, cached: true } : processed;
+}
+
+/**
+ * Turn an Imagen error response into a result, recognising safety blocks and permission issues
+ * @param {Object} response - Fetch response
+ * @param {Object} logger - Logger
+ * @returns {Promise<Object>} Failed generation result
+ */
+async function handleImagenError(response, logger) {
+  let errorMessage = '';
+  let errorDetail = '';
+  const errorText = await response.text();
+  
+  try {
+    const errorJson = JSON.parse(errorText);
+    
+    if (errorJson.error) {
+      errorMessage = errorJson.error.message || '';
+      errorDetail = errorJson.error.status || '';
       
-      // First pass: Check for RAI filtered reasons in any prediction
-      for (let i = 0; i < result.predictions.length; i++) {
-        const prediction = result.predictions[i];
+      // Check if this is a safety filter block
+      if (response.status === 400 && errorMessage.includes('safety filter threshold prohibited')) {
+        logger.error(t('imagen.promptBlockedHeading'));
+        logger.error('  → ' + errorMessage);
+        logger.error(t('imagen.promptBlockedHint'));
         
-        // Check if this prediction is a RAI filter message
-        if (prediction.raiFilteredReason) {
-          // If it indicates ALL images were filtered
-          if (prediction.raiFilteredReason.includes("Unable to show generated images. All images were filtered out")) {
-            console.error('⚠️ 责任人工智能过滤器阻止了所有图像：');
-            console.error('  → ' + prediction.raiFilteredReason);
-            console.error('尝试重新表述您的提示或调整安全设置。');
-            
-            return { 
-              success: false, 
-              error: '责任人工智能过滤了内容', 
-              blocked: true,
-              raiFiltered: true,
-              details: prediction.raiFilteredReason
-            };
-          }
-          
-          // Extract the number of filtered images if possible
-          const match = prediction.raiFilteredReason.match(/filtered out (\d+) generated images/);
-          if (match && match[1]) {
-            const filteredCount = parseInt(match[1], 10);
-            blockedCount += filteredCount;
-            console.log(`⚠️ ${filteredCount} 张图像被责任人工智能安全过滤器过滤掉。`);
-            console.log('  → ' + prediction.raiFilteredReason);
-          } else {
-            console.log('⚠️ 某些图像被责任人工智能过滤：');
-            console.log('  → ' + prediction.raiFilteredReason);
-          }
-        }
+        return { 
+          success: false, 
+          error: t('imagen.promptBlocked'), 
+          blocked: true,
+          details: errorMessage,
+          statusCode: response.status
+        };
       }
       
-      // Second pass: Process actual images
-      for (let i = 0; i < result.predictions.length; i++) {
-        const prediction = result.predictions[i];
-        
-        // Skip if this prediction is a RAI filter message
-        if (prediction.raiFilteredReason) {
-          continue;
-        }
+      // Check if this is a person generation permission error
+      if (response.status === 400 && errorMessage.includes('You have chosen the \'Allow (All ages)\' option for Person Generation, but this option is not available to you')) {
+        logger.error(t('imagen.personGenerationHeading'));
+        logger.error('  → ' + errorMessage);
+        logger.error(t('imagen.personGenerationHint'));
         
-        // Handle the standard format with images array
-        if (prediction.images && prediction.images.length > 0) {
-          console.log(`在标准格式中找到 ${prediction.images.length} 张图像`);
-          
-          prediction.images.forEach((img, index) => {
-            if (img.bytesBase64Encoded) {
-              const filename = path.join(outputDir, `${requestId}_${i}_${index}.png`);
-              
-              // Decode base64 and save image
-              saveFile(filename, img.bytesBase64Encoded, { isBase64: true });
-              
-              savedImagePaths.push(filename);
-              generatedCount++;
-            }
-          });
-        } 
-        // Handle direct base64 encoded format
-        else if (prediction.bytesBase64Encoded) {
-          const imageType = prediction.mimeType || 'image/png';
-          const ext = imageType.split('/')[1] || 'png';
-          const filename = path.join(outputDir, `${requestId}_${i}.${ext}`);
-          
-          // Decode base64 and save image
-          saveFile(filename, prediction.bytesBase64Encoded, { isBase64: true });
-          
-          savedImagePaths.push(filename);
-          generatedCount++;
-        } 
+        return { 
+          success: false, 
+          error: t('imagen.personGeneration'), 
+          permissionIssue: true,
+          details: errorMessage,
+          statusCode: response.status
+        };
       }
+    }
+  } catch (e) {
+    // Fallback to text if JSON parsing fails
+    errorMessage = errorText;
+  }
+  
+  logger.error(t('imagen.apiError', { status: response.status, message: errorMessage }));
+  return { success: false, error: errorMessage, details: errorDetail, statusCode: response.status };
+}
+
+/**
+ * Extract images from Imagen predictions, reporting RAI-filtered results
+ * @param {Object} result - Response JSON
+ * @param {Object} options - Processing options (requestId, model, count, outputDir, saveFiles, jsonFiles)
+ * @param {Function} [options.filename] - Custom output path builder `(index, ext) => path`
+ * @param {Object} [options.metadata] - Extra metadata to embed in the saved images
+ * @param {Object} logger - Logger
+ * @returns {Object} Generation result
+ */
+function processImagenPredictions(result, options, logger) {
+  const {
+    requestId,
+    model,
+    count = 1,
+    outputDir = './images',
+    saveFiles = true,
+    jsonFiles,
+    filename: buildFilename
+  } = options;
+  
+  // Generation details embedded in every saved image (callers can add or override fields)
+  const metadata = {
+    api: 'imagen',
+    prompt: options.prompt,
+    negativePrompt: options.negativePrompt,
+    model,
+    seed: options.seed,
+    requestId,
+    createdAt: new Date().toISOString(),
+    ...options.metadata
+  };
+  
+  // Process and save images
+  if (result && result.predictions && result.predictions.length > 0) {
+    const savedImagePaths = [];
+    const outputs = [];
+    const raiReasons = [];
+    let generatedCount = 0;
+    let blockedCount = 0;
+    
+    // Keep the decoded image and, unless disabled, write it to disk
+    const collectImage = (base64Data, mimeType, defaultFilename) => {
+      const data = Buffer.from(base64Data, 'base64');
+      const filename = buildFilename
+        ? buildFilename(outputs.length, getImageExtension(mimeType))
+        : defaultFilename;
       
-      // Log summary message about generated images
-      const totalRequested = options.count;
-      const totalGenerated = generatedCount;
-      const totalBlocked = blockedCount;
-      
-      let blockedMessage = totalBlocked > 0 ? 
-        `（${totalBlocked} 张被安全过滤器阻止）` : 
-        "，没有被阻止的";
+      if (saveFiles) {
+        saveFile(filename, data, { logger, metadata });
+        savedImagePaths.push(filename);
+      }
       
-      console.log(`生成了 ${totalGenerated} 张图像${blockedMessage}`);
+      outputs.push({ data, mimeType, path: saveFiles ? filename : undefined });
+      generatedCount++;
+    };
+    
+    // First pass: Check for RAI filtered reasons in any prediction
+    for (let i = 0; i < result.predictions.length; i++) {
+      const prediction = result.predictions[i];
       
-      // Report if there's a discrepancy between requested and accounted for
-      const totalAccountedFor = totalGenerated + totalBlocked;
-      if (totalAccountedFor < totalRequested) {
-        console.log(`注意：您请求了 ${totalRequested} 张图像，但只有 ${totalAccountedFor} 张被计算在内。`);
+      // Check if this prediction is a RAI filter message
+      if (prediction.raiFilteredReason) {
+        raiReasons.push(prediction.raiFilteredReason);
+        
+        // If it indicates ALL images were filtered
+        if (prediction.raiFilteredReason.includes("Unable to show generated images. All images were filtered out")) {
+          logger.error(t('imagen.allFilteredHeading'));
+          logger.error('  → ' + prediction.raiFilteredReason);
+          logger.error(t('imagen.allFilteredHint'));
+          
+          return { 
+            success: false, 
+            error: t('imagen.allFiltered'), 
+            blocked: true,
+            raiFiltered: true,
+            details: prediction.raiFilteredReason,
+            raiReasons
+          };
+        }
+        
+        // Extract the number of filtered images if possible
+        const match = prediction.raiFilteredReason.match(/filtered out (\d+) generated images/);
+        if (match && match[1]) {
+          const filteredCount = parseInt(match[1], 10);
+          blockedCount += filteredCount;
+          logger.log(t('imagen.someFilteredCount', { count: filteredCount }));
+          logger.log('  → ' + prediction.raiFilteredReason);
+        } else {
+          logger.log(t('imagen.someFiltered'));
+          logger.log('  → ' + prediction.raiFilteredReason);
+        }
       }
+    }
+    
+    // Second pass: Process actual images
+    for (let i = 0; i < result.predictions.length; i++) {
+      const prediction = result.predictions[i];
       
-      if (savedImagePaths.length > 0) {
-        return {
-          success: true,
-          outputDir,
-          images: savedImagePaths,
-          generated: totalGenerated,
-          blocked: totalBlocked
-        };
-      } else {
-        console.error('没有保存任何图像。');
-        return { 
-          success: false, 
-          error: '没有保存任何图像',
-          blocked: totalBlocked > 0,
-          blockedCount: totalBlocked
-        };
+      // Skip if this prediction is a RAI filter message
+      if (prediction.raiFilteredReason) {
+        continue;
       }
-    } else {
-      console.error('响应中未找到预测。');
-      return { success: false, error: 'No predictions found in response', jsonFiles: { request: requestFilename, response: responseFilename } };
+      
+      // Handle the standard format with images array
+      if (prediction.images && prediction.images.length > 0) {
+        logger.log(t('imagen.foundImages', { count: prediction.images.length }));
+        
+        prediction.images.forEach((img, index) => {
+          if (img.bytesBase64Encoded) {
+            const imageType = img.mimeType || 'image/png';
+            const filename = path.join(outputDir, `${requestId}_${i}_${index}.${getImageExtension(imageType)}`);
+            
+            // Decode base64 and save image
+            collectImage(img.bytesBase64Encoded, imageType, filename);
+          }
+        });
+      } 
+      // Handle direct base64 encoded format
+      else if (prediction.bytesBase64Encoded) {
+        const imageType = prediction.mimeType || 'image/png';
+        const filename = path.join(outputDir, `${requestId}_${i}.${getImageExtension(imageType)}`);
+        
+        // Decode base64 and save image
+        collectImage(prediction.bytesBase64Encoded, imageType, filename);
+      } 
     }
     
-  } catch (error) {
-    console.error('使用 Imagen 生成图像时出错：', error);
-    return { success: false, error: error.message };
+    // Log summary message about generated images
+    const totalRequested = count;
+    const totalGenerated = generatedCount;
+    const totalBlocked = blockedCount;
+    
+    logger.log(totalBlocked > 0
+      ? t('imagen.generatedWithBlocked', { count: totalGenerated, blocked: totalBlocked })
+      : t('imagen.generated', { count: totalGenerated }));
+    
+    // Report if there's a discrepancy between requested and accounted for
+    const totalAccountedFor = totalGenerated + totalBlocked;
+    if (totalAccountedFor < totalRequested) {
+      logger.log(t('imagen.countMismatch', { requested: totalRequested, accounted: totalAccountedFor }));
+    }
+    
+    if (outputs.length > 0) {
+      return {
+        success: true,
+        outputDir,
+        requestId,
+        model,
+        images: savedImagePaths,
+        outputs,
+        generated: totalGenerated,
+        blocked: totalBlocked,
+        raiReasons: raiReasons.length > 0 ? raiReasons : undefined,
+        jsonFiles
+      };
+    } else {
+      logger.error(t('imagen.noImagesSaved'));
+      return { 
+        success: false, 
+        error: t('imagen.noImagesSaved'),
+        blocked: totalBlocked > 0,
+        blockedCount: totalBlocked,
+        raiReasons: raiReasons.length > 0 ? raiReasons : undefined
+      };
+    }
+  } else {
+    logger.error(t('imagen.noPredictions'));
+    return { success: false, error: t('imagen.noPredictions'), jsonFiles };
+  }
+}
+
+/**
+ * Build the `outputOptions` request parameter from the outputFormat / compressionQuality options
+ * @param {Object} options - Request options
+ * @param {Object} logger - Logger
+ * @returns {Object|undefined} Output options, or undefined to keep the API default (PNG)
+ */
+function buildOutputOptions(options, logger) {
+  const mimeType = resolveOutputFormat(options.outputFormat);
+  let compressionQuality = parseCompressionQuality(options.compressionQuality);
+  
+  if (compressionQuality !== undefined && mimeType !== 'image/jpeg') {
+    logger.warn(t('common.qualityIgnored'));
+    compressionQuality = undefined;
+  }
+  if (!mimeType) {
+    return undefined;
+  }
+  
+  const outputOptions = { mimeType };
+  if (compressionQuality !== undefined) {
+    outputOptions.compressionQuality = compressionQuality;
   }
+  return outputOptions;
 }
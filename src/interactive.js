@@ -2,8 +2,9 @@ import fs from 'fs';
 import inquirer from 'inquirer';
 import path from 'path';
 import { saveConfig } from './config.js';
-import { getServiceAccountKeyPath, getGeminiApiKey } from './auth.js';
-import { ensureConfigDirectory } from './utils.js';
+import { getServiceAccountKeyPath, getGeminiApiKey, getStoredServiceAccount, getDefaultCredentialsPath, unlockVaultIfNeeded } from './auth.js';
+import { storeVaultSecret } from './vault.js';
+import { t } from './i18n.js';
 import fileTreeSelectionPrompt from 'inquirer-file-tree-selection-prompt';
 
 // 向 inquirer 注册文件树选择提示
@@ -22,7 +23,7 @@ export async function runInteractiveMode(argv, config) {
       {
         type: 'list',
         name: 'api',
-        message: '您想使用哪个 API？',
+        message: t('interactive.api'),
         choices: [
           { title: 'Google Imagen 3', value: 'imagen' },
           { title: 'Google Gemini 2.0', value: 'gemini' },
@@ -34,19 +35,42 @@ export async function runInteractiveMode(argv, config) {
     // 将所选 API 存储为默认值，以备下次使用
     saveConfig({ defaultApi: api });
 
-    let apiKey, keyFilePath, projectId;
+    let apiKey, keyFilePath, projectId, useAdc;
 
-    if (api === 'imagen') {
-      // 对于 Imagen，我们需要服务账户
-      keyFilePath = getServiceAccountKeyPath();
+    if (api === 'imagen' || argv.geminiBackend === 'vertex') {
+      // 对于 Imagen 以及通过 Vertex AI 调用的 Gemini，我们需要服务账户
+      keyFilePath = argv.adc ? null : getServiceAccountKeyPath();
+      useAdc = argv.adc;
+
+      // 没有密钥文件时先查找加密保管库中的服务账户
+      await unlockVaultIfNeeded({ ...argv, api });
+      const storedKey = keyFilePath || useAdc ? null : getStoredServiceAccount(argv);
 
-      if (!keyFilePath) {
+      // 没有密钥文件但存在 gcloud 应用默认凭据时，询问是否直接使用
+      if (!keyFilePath && !storedKey && !useAdc && getDefaultCredentialsPath()) {
+        ({ useAdc } = await inquirer.prompt([
+          {
+            type: 'confirm',
+            name: 'useAdc',
+            message: t('interactive.useAdc', { path: getDefaultCredentialsPath() }),
+            default: true
+          }
+        ]));
+      }
+
+      if (storedKey) {
+        console.log(t('interactive.usingVaultKey', { email: storedKey.client_email }));
+        projectId = argv.projectId || storedKey.project_id || process.env.GOOGLE_CLOUD_PROJECT;
+      } else if (useAdc) {
+        console.log(t('interactive.usingAdc'));
+        projectId = argv.projectId || process.env.GOOGLE_CLOUD_PROJECT;
+      } else if (!keyFilePath) {
         // 如果未找到密钥文件，请使用文件选择器询问
         const { useFilePicker } = await inquirer.prompt([
           {
             type: 'confirm',
             name: 'useFilePicker',
-            message: '您想使用文件选择器来选择您的服务账户密钥文件吗？',
+            message: t('interactive.keyFilePicker'),
             default: true
           }
         ]);
@@ -56,7 +80,7 @@ export async function runInteractiveMode(argv, config) {
             {
               type: 'file-tree-selection',
               name: 'keyFileInput',
-              message: '选择您的 Google Cloud 服务账户 JSON 密钥文件：',
+              message: t('interactive.selectKeyFile'),
               onlyShowValid: true,
               validate: (item) => {
                 return item && (!fs.lstatSync(item).isDirectory() &&
@@ -70,10 +94,10 @@ export async function runInteractiveMode(argv, config) {
             {
               type: 'input',
               name: 'keyFileInput',
-              message: '输入您的 Google Cloud 服务账户 JSON 密钥文件的路径：',
+              message: t('interactive.enterKeyFile'),
               validate: function(value) {
-                if (value.trim() === '') return '服务账户密钥文件路径是必需的';
-                if (!fs.existsSync(value)) return '文件不存在';
+                if (value.trim() === '') return t('interactive.keyFileRequired');
+                if (!fs.existsSync(value)) return t('interactive.fileNotFound');
                 return true;
               }
             }
@@ -86,31 +110,32 @@ export async function runInteractiveMode(argv, config) {
           {
             type: 'confirm',
             name: 'saveKeyFile',
-            message: '您想保存此密钥文件的副本以备将来使用吗？',
+            message: t('interactive.saveKeyFile'),
             default: true
           }
         ]);
 
         if (saveKeyFile) {
-          const configDir = ensureConfigDirectory();
-          const destPath = path.join(configDir, 'service-account.json');
-          fs.copyFileSync(keyFilePath, destPath);
-          console.log('已将服务账户密钥保存到：' + destPath);
+          await storeVaultSecret('service-account', fs.readFileSync(keyFilePath, 'utf8'), argv);
+          console.log(t('interactive.keyFileSaved'));
         }
       } else {
-        console.log('正在使用服务账户密钥：' + keyFilePath);
+        console.log(t('interactive.usingKeyFile', { path: keyFilePath }));
       }
 
-      try {
-        const keyData = JSON.parse(fs.readFileSync(keyFilePath, 'utf8'));
-        projectId = argv.projectId || keyData.project_id || process.env.GOOGLE_CLOUD_PROJECT;
-      } catch (error) {
-        console.error('读取服务账户密钥文件时出错：', error);
-        process.exit(1);
+      if (keyFilePath) {
+        try {
+          const keyData = JSON.parse(fs.readFileSync(keyFilePath, 'utf8'));
+          projectId = argv.projectId || keyData.project_id || process.env.GOOGLE_CLOUD_PROJECT;
+        } catch (error) {
+          console.error(t('interactive.keyFileReadError'), error);
+          process.exit(1);
+        }
       }
     } else if (api === 'gemini') {
-      // 对于 Gemini，我们需要 API 密钥
-      apiKey = getGeminiApiKey();
+      // 对于 Gemini Developer API，我们需要 API 密钥
+      await unlockVaultIfNeeded({ ...argv, api });
+      apiKey = getGeminiApiKey(argv);
 
       if (!apiKey) {
         // 如果未找到 API 密钥，请询问
@@ -118,9 +143,9 @@ export async function runInteractiveMode(argv, config) {
           {
             type: 'input',
             name: 'apiKeyInput',
-            message: '输入您的 Gemini API 密钥：',
+            message: t('interactive.enterGeminiKey'),
             validate: function(value) {
-              return value.trim() !== '' ? true : 'API 密钥是必需的';
+              return value.trim() !== '' ? true : t('interactive.geminiKeyRequired');
             }
           }
         ]);
@@ -132,17 +157,17 @@ export async function runInteractiveMode(argv, config) {
           {
             type: 'confirm',
             name: 'saveApiKey',
-            message: '您想保存此 API 密钥以备将来使用吗？',
+            message: t('interactive.saveGeminiKey'),
             default: true
           }
         ]);
 
         if (saveApiKey) {
-          saveConfig({ geminiApiKey: apiKey });
-          console.log('已保存 Gemini API 密钥以备将来使用');
+          await storeVaultSecret('gemini-api-key', apiKey, argv);
+          console.log(t('interactive.geminiKeySaved'));
         }
       } else {
-        console.log('正在使用配置中的 Gemini API 密钥');
+        console.log(t('interactive.usingStoredGeminiKey'));
       }
     }
 
@@ -151,9 +176,9 @@ export async function runInteractiveMode(argv, config) {
       {
         type: 'input',
         name: 'prompt',
-        message: '输入您的图像生成提示：',
+        message: t('interactive.enterPrompt'),
         validate: function(value) {
-          return value.trim() !== '' ? true : '提示是必需的';
+          return value.trim() !== '' ? true : t('interactive.promptRequired');
         }
       }
     ]);
@@ -166,7 +191,7 @@ export async function runInteractiveMode(argv, config) {
         {
           type: 'confirm',
           name: 'useReferenceImages',
-          message: '您想使用参考图像吗？',
+          message: t('interactive.useReferenceImages'),
           default: false
         }
       ]);
@@ -177,7 +202,7 @@ export async function runInteractiveMode(argv, config) {
           {
             type: 'confirm',
             name: 'useFilePicker',
-            message: '您想使用文件选择器来选择参考图像吗？',
+            message: t('interactive.referencePicker'),
             default: true
           }
         ]);
@@ -191,7 +216,7 @@ export async function runInteractiveMode(argv, config) {
               {
                 type: 'file-tree-selection',
                 name: 'imagePath',
-                message: '选择参考图像：',
+                message: t('interactive.selectReferenceImage'),
                 onlyShowValid: true,
                 validate: (item) => {
                   if (fs.lstatSync(item).isDirectory()) return false;
@@ -206,10 +231,10 @@ export async function runInteractiveMode(argv, config) {
               {
                 type: 'input',
                 name: 'imagePath',
-                message: '输入参考图像的路径：',
+                message: t('interactive.enterReferenceImage'),
                 validate: function(value) {
-                  if (value.trim() === '') return '图像路径是必需的';
-                  if (!fs.existsSync(value)) return '文件不存在';
+                  if (value.trim() === '') return t('interactive.imagePathRequired');
+                  if (!fs.existsSync(value)) return t('interactive.fileNotFound');
                   return true;
                 }
               }
@@ -221,7 +246,7 @@ export async function runInteractiveMode(argv, config) {
             {
               type: 'confirm',
               name: 'addAnother',
-              message: '再添加一张参考图像？',
+              message: t('interactive.addAnotherReference'),
               default: false
             }
           ]);
@@ -239,54 +264,54 @@ export async function runInteractiveMode(argv, config) {
         {
           type: 'list',
           name: 'aspectRatio',
-          message: '选择纵横比：',
+          message: t('interactive.aspectRatio'),
           choices: ['1:1', '16:9', '9:16', '3:4', '4:3'],
           default: '1:1'
         },
         {
           type: 'list',
           name: 'count',
-          message: '要生成的图像数量：',
+          message: t('interactive.count'),
           choices: [1, 2, 3, 4],
           default: 1
         },
         {
           type: 'input',
           name: 'negativePrompt',
-          message: '负面提示（可选）：',
+          message: t('interactive.negativePrompt'),
         },
         {
           type: 'confirm',
           name: 'enhance',
-          message: '增强提示？',
+          message: t('interactive.enhance'),
           default: false
         },
         {
           type: 'list',
           name: 'safety',
-          message: '安全设置：',
+          message: t('interactive.safety'),
           choices: [
-            { name: '不阻止', value: 'block_none' },
-            { name: '阻止少数', value: 'block_few' },
-            { name: '阻止部分', value: 'block_some' },
-            { name: '阻止大部分', value: 'block_most' }
+            { name: t('interactive.safetyBlockNone'), value: 'block_none' },
+            { name: t('interactive.safetyBlockFew'), value: 'block_few' },
+            { name: t('interactive.safetyBlockSome'), value: 'block_some' },
+            { name: t('interactive.safetyBlockMost'), value: 'block_most' }
           ],
           default: 'block_few'
         },
         {
           type: 'list',
           name: 'personGeneration',
-          message: '人物生成：',
+          message: t('interactive.personGeneration'),
           choices: [
-            { name: '允许所有', value: 'allow_all' },
-            { name: '允许成人', value: 'allow_adult' },
-            { name: '不允许', value: 'dont_allow' }
+            { name: t('interactive.personAllowAll'), value: 'allow_all' },
+            { name: t('interactive.personAllowAdult'), value: 'allow_adult' },
+            { name: t('interactive.personDontAllow'), value: 'dont_allow' }
           ]
         },
         {
           type: 'confirm',
           name: 'watermark',
-          message: '添加水印？',
+          message: t('interactive.watermark'),
           default: false
         }
       ]);
@@ -303,7 +328,7 @@ export async function runInteractiveMode(argv, config) {
       {
         type: 'confirm',
         name: 'useDirectoryPicker',
-        message: '您想使用目录选择器来选择输出目录吗？',
+        message: t('interactive.outputDirPicker'),
         default: true
       }
     ]);
@@ -314,7 +339,7 @@ export async function runInteractiveMode(argv, config) {
         {
           type: 'file-tree-selection',
           name: 'selectedDir',
-          message: '选择用于保存图像的输出目录：',
+          message: t('interactive.selectOutputDir'),
           root: lastOutputDir,
           onlyShowDir: true
         }
@@ -325,7 +350,7 @@ export async function runInteractiveMode(argv, config) {
         {
           type: 'input',
           name: 'selectedDir',
-          message: '用于保存图像的输出目录：',
+          message: t('interactive.outputDir'),
           default: lastOutputDir
         }
       ]);
@@ -336,7 +361,7 @@ export async function runInteractiveMode(argv, config) {
       {
         type: 'confirm',
         name: 'useCustomJsonDir',
-        message: '您是否要为 JSON 文件（请求/响应）使用自定义目录？',
+        message: t('interactive.customJsonDir'),
         default: true
       }
     ]);
@@ -348,7 +373,7 @@ export async function runInteractiveMode(argv, config) {
           {
             type: 'file-tree-selection',
             name: 'customJsonDir',
-            message: '选择用于保存 JSON 文件的目录：',
+            message: t('interactive.selectJsonDir'),
             root: lastJsonDir,
             onlyShowDir: true
           }
@@ -359,7 +384,7 @@ export async function runInteractiveMode(argv, config) {
           {
             type: 'input',
             name: 'customJsonDir',
-            message: '用于保存 JSON 文件的目录：',
+            message: t('interactive.jsonDir'),
             default: lastJsonDir
           }
         ]);
@@ -373,7 +398,9 @@ export async function runInteractiveMode(argv, config) {
     return {
       api,
       keyFile: keyFilePath,
+      adc: !!useAdc,
       geminiKey: apiKey,
+      geminiBackend: argv.geminiBackend,
       projectId,
       prompt,
       referenceImages,
@@ -383,7 +410,7 @@ export async function runInteractiveMode(argv, config) {
     };
 
   } catch (error) {
-    console.error('交互模式出错：', error);
+    console.error(t('interactive.error'), error);
     process.exit(1);
   }
 }
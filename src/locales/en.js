@@ -0,0 +1,615 @@
+/**
+ * English messages.
+ * Every catalog has the same keys; t() fills in the `{name}` placeholders.
+ */
+export default {
+  // Shared
+  'common.adcEnvironment': 'the environment (metadata server or workload identity)',
+  'common.none': 'none',
+  'common.error': 'Error: {message}',
+  'common.warning': 'Warning: {message}',
+  'common.notSet': 'not set',
+  'common.usingCache': 'Using cached response ({key})',
+  'common.qualityIgnored': 'Warning: compression quality only applies to JPEG output and was ignored',
+
+  // config.js
+  'config.sampleEnvCreated': 'Created a sample .env file at {path}',
+
+  // index.js: command line help
+  'cli.usage': 'Usage: $0 [prompt] [options]',
+  'cli.command.session': 'Manage Gemini multi-turn editing sessions',
+  'cli.positional.session.action': 'Session action',
+  'cli.positional.session.name': 'Session name',
+  'cli.positional.session.target': 'New session name (for fork)',
+  'cli.command.edit': 'Edit an image with Imagen (inpainting, removal, outpainting, background swap)',
+  'cli.positional.edit.image': 'Base image to edit',
+  'cli.positional.edit.prompt': 'Edit prompt (optional in inpaint-remove mode)',
+  'cli.option.edit-mode': 'Edit mode',
+  'cli.option.mask': 'Mask image path (white areas are edited)',
+  'cli.option.mask-mode': 'How to generate a mask when none is given',
+  'cli.option.mask-classes': 'Segmentation class IDs for the semantic mask mode',
+  'cli.option.mask-dilation': 'Mask dilation (0-1)',
+  'cli.option.outpaint-padding': 'Pixels added around the image when outpainting (N, "vertical,horizontal" or "top,right,bottom,left")',
+  'cli.option.edit-steps': 'Base sampling steps for the edit',
+  'cli.command.upscale': 'Upscale existing images with Imagen (results are saved next to the originals)',
+  'cli.positional.upscale.images': 'Paths of the images to upscale',
+  'cli.option.factor': 'Upscale factor',
+  'cli.command.history': 'Show the generation history (list, show, stats)',
+  'cli.positional.history.action': 'Action',
+  'cli.positional.history.id': 'Record ID (for show; a prefix is enough)',
+  'cli.option.search': 'Only show records whose prompt contains this text',
+  'cli.option.since': 'Start date (e.g. 2024-05-01) or duration (e.g. 7d)',
+  'cli.option.until': 'End date (e.g. 2024-05-31) or duration (e.g. 1d)',
+  'cli.option.outcome': 'Filter by outcome',
+  'cli.option.limit': 'Maximum number of records shown by list (0 for all)',
+  'cli.command.sheet': 'Combine images into a labelled contact sheet PNG (a thumbnail grid)',
+  'cli.positional.sheet.images': 'Image paths',
+  'cli.option.output': 'Where to save the contact sheet (default: the first image\'s directory)',
+  'cli.option.columns': 'Number of columns (default: close to square, at most 6)',
+  'cli.option.thumb-size': 'Thumbnail size in pixels',
+  'cli.option.title': 'Contact sheet title',
+  'cli.command.inspect': 'Show the generation metadata embedded in an image (prompt, model, seed, ...)',
+  'cli.positional.inspect.image': 'Image path',
+  'cli.command.cache': 'Manage the local response cache',
+  'cli.positional.cache.action': 'Action',
+  'cli.option.older-than': 'Delete entries older than this (e.g. 7d, 12h, 30m)',
+  'cli.option.max-size': 'Delete least recently used entries until the cache is at most this size (e.g. 500MB)',
+  'cli.command.mock-server': 'Start a local mock API server (Imagen, Gemini and token endpoints) for testing without Google credentials',
+  'cli.option.port': 'Port to listen on (0 for a random port)',
+  'cli.option.host': 'Address to listen on',
+  'cli.option.scenario': 'Response returned by default ([mock:<scenario>] in a prompt overrides it per request)',
+  'cli.option.fail-times': 'For the 429 and 500 scenarios: requests that fail before images are returned (0 to always fail)',
+  'cli.option.write-key-file': 'Write a service account key file that the mock token endpoint accepts',
+  'cli.positional.prompt': 'Image generation prompt',
+  'cli.option.api': 'API used for image generation',
+  'cli.option.model': 'Model ID (default: imagen-3.0-generate-002 for Imagen generation, imagen-3.0-capability-001 for editing; gemini-2.0-flash-exp-image-generation for Gemini, gemini-2.0-flash-preview-image-generation on Vertex AI)',
+  'cli.option.reference-images': 'Reference image paths for Gemini (several may be given)',
+  'cli.option.session': 'Gemini multi-turn editing session name (saves and replays the conversation)',
+  'cli.option.config-file': 'Path to a JSON configuration file for image generation',
+  'cli.option.batch': 'Batch file path (JSONL or CSV, one job per line)',
+  'cli.option.output-dir': 'Output directory for images',
+  'cli.option.json-dir': 'Directory for JSON files (request/response)',
+  'cli.option.output-format': 'Output image format (Imagen encodes it in the API; Gemini output is converted locally)',
+  'cli.option.compression-quality': 'JPEG compression quality (0-100, only with --output-format jpeg)',
+  'cli.option.project-id': 'Google Cloud project ID (defaults to the service account\'s project)',
+  'cli.option.key-file': 'Service account JSON key file path (overrides GOOGLE_APPLICATION_CREDENTIALS)',
+  'cli.option.gemini-key': 'Gemini API key (overrides GEMINI_API_KEY in .env)',
+  'cli.option.location': 'API location',
+  'cli.option.aspect-ratio': 'Image aspect ratio (Imagen only)',
+  'cli.option.count': 'Number of images to generate (Imagen only)',
+  'cli.option.negative-prompt': 'Negative prompt (Imagen only)',
+  'cli.option.enhance': 'Enhance the prompt (Imagen only)',
+  'cli.option.person-generation': 'Person generation (Imagen only)',
+  'cli.option.safety': 'Safety setting (Imagen only)',
+  'cli.option.var': 'Prompt template variable as name=value1|value2 (repeatable); {name} in the prompt is replaced and each value is generated once',
+  'cli.option.matrix': 'Parameter matrix as option=value1|value2 (repeatable; supports aspect-ratio, negative-prompt, safety, model)',
+  'cli.option.temperature': 'Sampling temperature (Gemini only)',
+  'cli.option.top-p': 'Top-p nucleus sampling (Gemini only)',
+  'cli.option.top-k': 'Top-k sampling (Gemini only)',
+  'cli.option.seed': 'Random seed; the same seed and options reproduce a result (Imagen needs the watermark off)',
+  'cli.option.seed-range': 'Generate one set of images per seed in the range, e.g. 1..8',
+  'cli.option.candidate-count': 'Number of candidates to return; every candidate is saved (Gemini only)',
+  'cli.option.max-output-tokens': 'Maximum number of output tokens (Gemini only)',
+  'cli.option.upscale': 'Upscale the output images with Imagen after generation',
+  'cli.option.upscale-model': 'Imagen model ID used for upscaling',
+  'cli.option.watermark': 'Add a watermark (Imagen only; on by default, off by default with a seed)',
+  'cli.option.concurrency': 'Number of jobs run at the same time in batch mode',
+  'cli.option.max-retries': 'Maximum retries on 429 or 5xx responses and network errors (exponential backoff)',
+  'cli.option.contact-sheet': 'Combine every image of the run into a contact sheet afterwards',
+  'cli.option.cache': 'Reuse cached responses for identical requests (--no-cache disables)',
+  'cli.option.refresh': 'Ignore cached responses and overwrite them with new results',
+  'cli.option.cache-dir': 'Cache directory (default: cache in the configuration directory)',
+  'cli.option.cache-max-size': 'Cache size limit; least recently used entries are deleted beyond it',
+  'cli.option.json': 'Print one structured JSON result on stdout and send logs to stderr',
+  'cli.option.record': 'Record complete (unmasked) HTTP requests and responses in this directory, for debugging and regression tests',
+  'cli.option.replay': 'Replay responses from a directory recorded with --record, without network access',
+  'cli.option.interactive': 'Run in interactive mode',
+  'cli.option.debug': 'Show debug information',
+  'cli.option.detect-proxy': 'Force detection of the system proxy settings',
+  'cli.option.no-proxy': 'Disable proxy use',
+  'cli.option.adc': 'Use Application Default Credentials (gcloud user credentials, workload identity, metadata server) even when a key file is found',
+  'cli.option.impersonate-service-account': 'Call Imagen as this service account (needs the Service Account Token Creator role; also read from GOOGLE_IMPERSONATE_SERVICE_ACCOUNT)',
+  'cli.option.token-cache': 'Cache access tokens in the config directory until they expire (--no-token-cache disables)',
+  'cli.option.vault-key-file': 'Key file that opens the credential vault (also IMAGEN_VAULT_KEY_FILE, or IMAGEN_VAULT_PASSPHRASE)',
+  'cli.option.profile': 'Use the project, location, credentials and defaults of a named profile (also IMAGEN_PROFILE)',
+  'cli.option.gemini-backend': 'Backend for Gemini requests: developer (Gemini Developer API, API key) or vertex (Vertex AI, service account or Application Default Credentials; the default when GOOGLE_GENAI_USE_VERTEXAI=true)',
+  'cli.option.lang': 'Output language (can also be set as "lang" in the config file, or chosen through the LANG environment variable; an explicit choice is saved as the default)',
+  'cli.option.proxy-rule': 'Per-host proxy as pattern=proxy (repeatable); patterns use NO_PROXY syntax, the proxy is an http(s):// or socks5:// URL, or direct to bypass proxies',
+  'cli.command.proxy': 'Show, edit and test the proxy settings',
+  'cli.positional.proxy.action': 'Action: show (the proxy per target and where it came from), set, clear, test (connectivity test)',
+  'cli.positional.proxy.target': 'show/test: target URL (defaults to the Imagen, Gemini and token endpoints); set/clear: https-proxy, http-proxy or no-proxy',
+  'cli.positional.proxy.value': 'Value for set: a proxy URL, or the host list for no-proxy',
+  'cli.option.timeout': 'Timeout of each proxy test step, in seconds',
+  'cli.command.vault': 'Manage encrypted stored credentials (add, list, rotate, remove, migrate)',
+  'cli.positional.vault.action': 'Action: add, list (masked), rotate (replace), remove, or migrate plaintext credentials',
+  'cli.positional.vault.name': 'Credential name',
+  'cli.positional.vault.value': 'Gemini API key (prompted for when omitted) or service account key file path',
+  'cli.command.profile': 'Manage named profiles (create, list, use, delete)',
+  'cli.positional.profile.action': 'Action: create (or update), list, use as default (no name clears it), delete',
+  'cli.positional.profile.name': 'Profile name',
+
+  // index.js: results and errors
+  'main.proxySettings': 'System proxy settings:',
+  'main.configFileNotFound': 'Config file not found at {path}',
+  'main.configFileLoaded': 'Loaded configuration from {path}',
+  'main.configFileError': 'Error loading the config file: {message}',
+  'main.batchFileNotFound': 'Batch file not found at {path}',
+  'main.batchFileError': 'Error loading the batch file: {message}',
+  'main.generateSucceeded': 'Images generated successfully!',
+  'main.upscaleSucceeded': 'Images upscaled successfully!',
+  'main.upscaledCount': 'Upscaled {count} image(s)',
+  'main.imageCount': '{count} image(s)',
+  'main.itemFailed': 'failed ({error})',
+  'main.seedLabel': 'seed {seed}',
+  'main.contactSheet': 'Contact sheet: {path}',
+  'main.contactSheetFailed': 'Warning: could not create the contact sheet: {message}',
+  'main.openFailed': 'Could not open the output directory automatically',
+  'main.error': 'Error:',
+  'main.profileLoaded': 'Loaded profile: {name}',
+
+  // runner.js: validation and progress
+  'runner.tooManyCombinations': 'Too many combinations: {count} (at most {max})',
+  'runner.combinationStart': '[combination {index}/{total}] {label}',
+  'runner.allCombinationsFailed': 'Every combination failed',
+  'runner.invalidSeedRange': 'Invalid seed range: {value} (example: 1..8)',
+  'runner.seedRangeReversed': 'Invalid seed range: {value} (the end is smaller than the start)',
+  'runner.seedRangeTooLarge': 'Seed range too large: {value} (at most {max} seeds)',
+  'runner.seedAndSeedRange': '--seed and --seed-range cannot be used together',
+  'runner.seedStart': '[seed {seed}] starting ({index}/{total})',
+  'runner.allSeedsFailed': 'Every seed failed',
+  'runner.historyWriteFailed': 'Warning: could not write the history entry: {message}',
+  'runner.promptRequired': 'A prompt is required',
+  'runner.promptRequiredHint': 'A prompt is required. Pass it as the first argument or use interactive mode.',
+  'runner.sessionNeedsGemini': 'Sessions only work with the Gemini API',
+  'runner.seedNeedsNoWatermark': 'Imagen only supports a seed with the watermark off',
+  'runner.seedNeedsNoWatermarkHint': 'Imagen only supports a seed with the watermark off; use --no-watermark (or leave out --watermark).',
+  'runner.geminiKeyRequired': 'The Gemini API requires a Gemini API key',
+  'runner.provideOneOf': 'Provide it in one of these ways:',
+  'runner.geminiKeySources': '  1. the --gemini-key option\n  2. the GEMINI_API_KEY environment variable\n  3. imagen-cli vault add gemini-api-key (stored encrypted)\nor use --gemini-backend vertex to call Gemini through Vertex AI with a service account',
+  'runner.unknownApi': 'Unknown API: {api}',
+  'runner.baseImageNotFound': 'Base image not found at {path}',
+  'runner.maskNotFound': 'Mask image not found at {path}',
+  'runner.editPromptRequired': 'This edit mode requires a prompt',
+  'runner.upscaleImagesRequired': 'At least one image to upscale is required',
+  'runner.imagesNotFound': 'Images not found: {paths}',
+  'runner.upscaleFailed': '{count} image(s) failed to upscale',
+  'runner.keyFileRequired': 'The Imagen API and Gemini on Vertex AI require a service account key file or Application Default Credentials',
+  'runner.keyFileSources': '  1. the --key-file option\n  2. the GOOGLE_APPLICATION_CREDENTIALS environment variable\n  3. a .service-account.json file in the current directory\n  4. imagen-cli vault add service-account <key file> (stored encrypted)\n  5. gcloud auth application-default login (Application Default Credentials)\n  6. the --adc option (metadata server on GCE, GKE and similar environments)',
+  'runner.usingKeyFile': 'Using service account key file: {path}',
+  'runner.keyFileNotFound': 'Key file not found at {path}',
+  'runner.keyFileParseError': 'Error parsing the service account key file:',
+  'runner.projectIdRequired': 'No project ID in the service account key, and none was given as an option or environment variable',
+  'runner.usingProjectId': 'Using project ID: {projectId}',
+  'runner.usingAdc': 'Using Application Default Credentials: {source}',
+  'runner.adcProjectIdRequired': 'Could not determine a project ID from Application Default Credentials; set --project-id or GOOGLE_CLOUD_PROJECT',
+  'runner.usingVaultKey': 'Using the service account from the vault: {email}',
+
+  // client.js: library errors
+  'client.promptRequired': 'A prompt is required',
+  'client.imagenCredentialsRequired': 'Imagen requires service account credentials or useDefaultCredentials',
+  'client.vertexCredentialsRequired': 'Gemini on Vertex AI requires service account credentials or useDefaultCredentials',
+  'client.keyReadError': 'Unable to read service account key: {message}',
+  'client.projectIdRequired': 'A Google Cloud project ID is required',
+  'client.geminiKeyRequired': 'Gemini requires an API key',
+  'client.unknownApi': 'Unknown API: {api}',
+
+  // batch.js
+  'batch.start': 'Batch started: {count} job(s), concurrency {concurrency}',
+  'batch.jobStart': '[{index}/{total}] job {id} started: {prompt}',
+  'batch.noPrompt': '(no prompt)',
+  'batch.jobDone': '[{index}/{total}] job {id} {status}',
+  'batch.statusSuccess': 'succeeded',
+  'batch.statusBlocked': 'blocked by the safety filter',
+  'batch.statusFailed': 'failed',
+  'batch.summary': 'Batch summary:',
+  'batch.summaryTotal': '  Total: {count}',
+  'batch.summarySucceeded': '  Succeeded: {count}',
+  'batch.summaryBlocked': '  Blocked by the safety filter: {count}',
+  'batch.summaryFailed': '  Failed: {count}',
+  'batch.summaryJob': '  ✗ job {id} ({status}): {error}',
+  'batch.unknownError': 'unknown error',
+  'batch.summarySaved': 'Summary saved to: {path}',
+  'batch.invalidJsonLine': 'Line {line} of the batch file is not valid JSON: {message}',
+  'batch.csvMissingPrompt': 'The header row of a CSV batch file must include a prompt column',
+  'batch.duplicateId': 'Job ID {id} duplicates {other} (special characters become _ in file names), so their output files would overwrite each other',
+
+  // imagen.js
+  'imagen.invalidSeed': 'Invalid seed: {seed} (expected an integer from 0 to 4294967295)',
+  'imagen.seedNeedsNoWatermark': 'Imagen only supports a seed with the watermark off',
+  'imagen.generating': 'Generating images with prompt:',
+  'imagen.usingSeed': 'Using seed: {seed}',
+  'imagen.generateError': 'Error generating images with Imagen:',
+  'imagen.unknownEditMode': 'Unknown edit mode: {mode} (choices: {choices})',
+  'imagen.outpaintNeedsMask': 'Outpainting requires --mask or --outpaint-padding',
+  'imagen.canvasExpanded': 'Expanded the canvas to {width}x{height} and created the outpainting mask',
+  'imagen.editNeedsMask': 'This edit mode requires --mask or --mask-mode (background, foreground, semantic)',
+  'imagen.unknownMaskMode': 'Unknown mask mode: {mode} (choices: {choices})',
+  'imagen.semanticNeedsClasses': 'The semantic mask mode requires --mask-classes',
+  'imagen.editing': 'Editing image in {mode} mode: {image}',
+  'imagen.editPrompt': 'Edit prompt:',
+  'imagen.editError': 'Error editing image with Imagen:',
+  'imagen.invalidFactor': 'Invalid upscale factor: {factor} (choices: x2, x4)',
+  'imagen.upscaling': 'Upscaling image {factor}: {image}',
+  'imagen.upscaleError': 'Error upscaling image with Imagen:',
+  'imagen.gettingToken': 'Getting access token...',
+  'imagen.sendingRequest': 'Sending request to: {url}',
+  'imagen.promptBlockedHeading': '⚠️ The safety filter blocked this prompt:',
+  'imagen.promptBlockedHint': 'Try adjusting your prompt or changing the safety setting.',
+  'imagen.promptBlocked': 'The safety filter blocked this prompt',
+  'imagen.personGenerationHeading': '⚠️ Person generation permission error:',
+  'imagen.personGenerationHint': 'Try "allow_adult" instead of "allow_all_ages" for the personGeneration parameter.',
+  'imagen.personGeneration': 'Person generation permission error',
+  'imagen.apiError': 'Error {status}: {message}',
+  'imagen.allFilteredHeading': '⚠️ The Responsible AI filter blocked all images:',
+  'imagen.allFilteredHint': 'Try rephrasing your prompt or adjusting the safety setting.',
+  'imagen.allFiltered': 'Content was filtered by Responsible AI',
+  'imagen.someFilteredCount': '⚠️ {count} image(s) were filtered out by the Responsible AI safety filter.',
+  'imagen.someFiltered': '⚠️ Some images were filtered by Responsible AI:',
+  'imagen.foundImages': 'Found {count} image(s) in the standard format',
+  'imagen.generatedWithBlocked': 'Generated {count} image(s) ({blocked} blocked by the safety filter)',
+  'imagen.generated': 'Generated {count} image(s), none blocked',
+  'imagen.countMismatch': 'Note: you requested {requested} image(s), but only {accounted} are accounted for.',
+  'imagen.noImagesSaved': 'No images were saved',
+  'imagen.noPredictions': 'No predictions found in response',
+
+  // gemini.js
+  'gemini.safetyBlockedHint': 'Image generation was blocked for safety reasons. The prompt may have triggered the safety filter.',
+  'gemini.safetyBlocked': 'Image generation was blocked for safety reasons',
+  'gemini.candidatesBlocked': '⚠️ {count} candidate(s) were blocked for safety reasons',
+  'gemini.candidateMissingParts': 'Candidate {candidate} has no content or parts field',
+  'gemini.text': 'Gemini: {text}',
+  'gemini.candidateText': 'Gemini (candidate {candidate}): {text}',
+  'gemini.convertFailed': 'Could not convert {from} to {to}, keeping the original format: {message}',
+  'gemini.candidateNoImages': 'No images found in candidate {candidate}',
+  'gemini.noImages': 'No images found in the response; check the response JSON file',
+  'gemini.noCandidates': 'The response has no candidates field',
+  'gemini.processError': 'Error processing the response:',
+  'gemini.processWarning': 'Some parts of the response could not be processed',
+  'gemini.referenceImageError': 'Error processing reference image {image}:',
+  'gemini.referenceImageFailed': 'Failed to process image: {image}',
+  'gemini.usingSession': 'Using session {name} ({turns} turn(s) so far)',
+  'gemini.generating': 'Generating images with the Gemini API',
+  'gemini.generatingWithReferences': 'Generating images with the Gemini API (with references)',
+  'gemini.prompt': 'Prompt:',
+  'gemini.referenceCount': 'Using {count} reference image(s)',
+  'gemini.endpoint': 'Using Gemini API endpoint: {domain} (model: {model})',
+  'gemini.sendingRequest': 'Sending request to the Gemini API...',
+  'gemini.apiErrorStatus': 'API returned an error: {status}',
+  'gemini.apiErrorDetails': 'Error details: {details}',
+  'gemini.errorSaved': 'Error response saved to: {file}',
+  'gemini.apiError': 'API error: {status}',
+  'gemini.sessionUpdated': 'Session updated: {file}',
+  'gemini.generateError': 'Error generating images with Gemini:',
+  'gemini.notANumber': '{key} must be a number: {value}',
+  'gemini.transcriptTitle': 'Gemini response',
+  'gemini.transcriptCandidate': 'Candidate {candidate}',
+  'gemini.vertexEndpoint': 'Using Gemini on Vertex AI: project {projectId}, location {location} (model: {model})',
+  'gemini.gettingToken': 'Getting access token...',
+  'gemini.sessionTurnSkipped': 'The model returned no content; this turn was not saved to session {name}',
+  'gemini.textOnly': 'The model returned only text and no image: {text}',
+  'gemini.textOnlyHint': 'The model returned only text and no image (usually an explanation of why it declined)',
+
+  // auth.js
+  'auth.replay': 'Replay mode: skipping authentication',
+  'auth.tokenUrl': 'Using token endpoint: {url}',
+  'auth.checkingProxy': 'Checking proxy settings...',
+  'auth.usingProxy': 'Using proxy for authentication: {proxy}',
+  'auth.proxyBypassed': 'Authentication connects directly (matches {pattern})',
+  'auth.noProxy': 'No proxy configured for authentication',
+  'auth.tokenError': 'Error getting access token:',
+  'auth.keyIncomplete': 'Service account key is missing client_email or private_key',
+  'auth.tokenEndpointError': 'Token endpoint returned {status}: {reason}',
+  'auth.missingAccessToken': 'missing access_token',
+  'auth.usingCachedToken': 'Using cached access token (valid until {time})',
+  'auth.tokenUrlNeedsKey': 'GOOGLE_TOKEN_URL only works with a service account key file, not with Application Default Credentials or impersonation',
+  'auth.impersonating': 'Impersonating service account: {account}',
+  'auth.tokenCacheWriteError': 'Could not write the token cache: {message}',
+
+  // vault.js
+  'vault.locked': 'The credential vault is locked: set IMAGEN_VAULT_PASSPHRASE or IMAGEN_VAULT_KEY_FILE, or pass --vault-key-file',
+  'vault.enterPassphrase': 'Enter the credential vault passphrase:',
+  'vault.wrongPassphrase': 'Wrong credential vault passphrase or key file',
+  'vault.addUsage': 'Usage: vault {action} <{names}> [value]',
+  'vault.entryExists': '{name} is already in the vault; use vault rotate to replace it',
+  'vault.entryNotFound': '{name} is not in the vault',
+  'vault.entryAdded': 'Stored {name} encrypted: {value}',
+  'vault.entryRotated': 'Replaced {name}: {value}',
+  'vault.entryRemoved': 'Removed {name} from the vault',
+  'vault.unknownAction': 'Unknown vault action: {action}',
+  'vault.permissionsFixed': '{path} was readable by other users; permissions changed to 600',
+  'vault.unsupportedVersion': 'Unsupported vault version: {version}',
+  'vault.noPassphrase': 'Creating the vault needs a passphrase: set IMAGEN_VAULT_PASSPHRASE or IMAGEN_VAULT_KEY_FILE, pass --vault-key-file, or run in a terminal',
+  'vault.creating': 'Creating the credential vault: {path}',
+  'vault.newPassphrase': 'Choose a vault passphrase (at least 8 characters):',
+  'vault.passphraseTooShort': 'The passphrase needs at least 8 characters',
+  'vault.confirmPassphrase': 'Repeat the passphrase:',
+  'vault.passphraseMismatch': 'The passphrases do not match',
+  'vault.keyFileNotFound': 'Vault key file not found: {path}',
+  'vault.serviceAccountFileRequired': 'Give the path of a service account JSON key file',
+  'vault.valueRequired': 'Give a value for {name} (it cannot be prompted for outside a terminal)',
+  'vault.enterGeminiKey': 'Enter the Gemini API key:',
+  'vault.serviceAccountInvalid': '{path} is not a valid service account key file',
+  'vault.empty': 'The credential vault is empty',
+  'vault.listHeading': 'Credential vault ({path}):',
+  'vault.lockedValue': '(locked)',
+  'vault.updatedAt': 'updated {time}',
+  'vault.unlockHint': 'Set IMAGEN_VAULT_PASSPHRASE or pass --vault-key-file to show the masked values',
+  'vault.maskedServiceAccount': '{email} (key ID {keyId})',
+  'vault.sourceConfig': 'the config store',
+  'vault.nothingToMigrate': 'No plaintext credentials to migrate',
+  'vault.migrateConflict': 'The vault already holds a different {name}; the plaintext copy in {source} was not migrated',
+  'vault.verifyFailed': 'Verifying the encrypted {name} failed; the plaintext copy was kept',
+  'vault.migrated': 'Moved {name} from {source} into the vault and deleted the plaintext copy',
+  'vault.unknownProfile': 'Profile {name} does not exist',
+
+  // profile.js
+  'profile.notFound': 'Profile {name} does not exist (available: {names})',
+  'profile.createUsage': 'Usage: profile create <name> with the options to save, e.g. --project-id, --location, --key-file, --gemini-key, --api, --model, --output-dir',
+  'profile.created': 'Created profile {name}:',
+  'profile.updated': 'Updated profile {name}:',
+  'profile.empty': 'No profiles yet (create one with profile create)',
+  'profile.envOverride': 'The IMAGEN_PROFILE environment variable selects {name}, which takes precedence over the default profile',
+  'profile.cleared': 'No default profile is used any more',
+  'profile.activated': 'Using profile {name} by default',
+  'profile.deleted': 'Deleted profile {name} and its credentials in the vault',
+  'profile.unknownAction': 'Unknown profile action: {action}',
+  'profile.invalidName': 'Invalid profile name: {name} (use letters, digits, ., _ and -)',
+  'profile.activeMarker': '(default)',
+  'profile.inVault': 'stored encrypted in the vault',
+
+  // proxy.js
+  'proxy.systemProxyChanged': 'SYSTEM_PROXY changed: none → {proxy}',
+  'proxy.replayMissing': 'No matching recording in the replay directory: {method} {url}',
+  'proxy.replayed': 'Replayed recording: {file}',
+  'proxy.recorded': 'Recorded HTTP exchange: {file}',
+  'proxy.retryNetworkError': 'Network error ({reason}), retrying in {delay} (attempt {attempt}/{max})...',
+  'proxy.retryStatus': 'API returned {status}, retrying in {delay} (attempt {attempt}/{max})...',
+  'proxy.usingProxy': 'Using proxy settings:',
+  'proxy.networkError': 'Network error when making API request: {message}',
+  'proxy.errorDetails': 'Error details:',
+  'proxy.checkSettings': 'This might be a proxy configuration issue. Check your proxy settings.',
+  'proxy.currentSettings': 'Current environment proxy settings:',
+  'proxy.usingAgent': 'Using proxy agent:',
+  'proxy.fallback': 'Initial request failed. Ensuring proxy is properly configured...',
+  'proxy.fallbackEnv': 'Temporarily set HTTP_PROXY and HTTPS_PROXY to: {proxy}',
+  'proxy.fallbackRetry': 'Retrying request with direct proxy agent...',
+  'proxy.fallbackFailed': 'Retry also failed:',
+  'proxy.debugError': 'Error during proxy debugging:',
+  'proxy.invalidRule': 'Invalid proxy rule: {rule} (format: pattern=proxy URL or direct)',
+  'proxy.invalidProxyUrl': 'Invalid proxy URL: {proxy}',
+  'proxy.unsupportedProtocol': 'Unsupported proxy protocol: {proxy} (choices: http, https, socks4, socks5)',
+  'proxy.unknownAction': 'Unknown proxy action: {action}',
+  'proxy.setUsage': 'Usage: proxy set <{keys}> <value>',
+  'proxy.unknownSetting': 'Unknown proxy setting: {key} (choices: {keys})',
+  'proxy.settingSaved': 'Saved {key}: {value}',
+  'proxy.settingCleared': 'Cleared {key}',
+  'proxy.settingsCleared': 'Cleared the stored proxy settings; the next run detects them from the environment again',
+  'proxy.targetToken': 'Token endpoint',
+  'proxy.showSources': 'Environment and command line:',
+  'proxy.yes': 'yes',
+  'proxy.no': 'no',
+  'proxy.showStored': 'Stored settings ({path}):',
+  'proxy.showStoredNone': 'none (detected from the environment on each run)',
+  'proxy.storedManual': 'set manually at {time}',
+  'proxy.storedDetected': 'detected at {time}',
+  'proxy.storedDiffers': 'The proxy in the environment differs from the stored settings, which are in use. Run proxy clear or pass --detect-proxy to detect it again',
+  'proxy.showRoutes': 'Effective proxy:',
+  'proxy.direct': 'direct',
+  'proxy.route': '{proxy} ({reason})',
+  'proxy.reasonDisabled': '--no-proxy',
+  'proxy.reasonRule': 'proxy rule {pattern} from {origin}',
+  'proxy.reasonNoProxy': 'NO_PROXY entry {pattern}',
+  'proxy.reasonStoredNoProxy': 'stored NO_PROXY entry {pattern}',
+  'proxy.reasonExplicit': 'proxy option',
+  'proxy.reasonEnv': 'HTTPS_PROXY/HTTP_PROXY environment variable',
+  'proxy.reasonStored': 'stored settings',
+  'proxy.reasonNone': 'no proxy configured',
+  'proxy.testTarget': 'Testing {url}',
+  'proxy.diagnosis': 'Diagnosis: {message}',
+  'proxy.stepProxyConnected': 'Connected to proxy {address} ({ms} ms)',
+  'proxy.stepProxyFailed': 'Could not connect to proxy {address}: {reason}',
+  'proxy.stepConnect': 'CONNECT {authority} → {status} ({ms} ms)',
+  'proxy.stepConnectStatus': 'CONNECT {authority} → {status}',
+  'proxy.stepConnectFailed': 'CONNECT {authority} failed: {reason}',
+  'proxy.stepRequest': 'HEAD request → {status} ({ms} ms)',
+  'proxy.stepRequestFailed': 'HEAD request failed: {reason}',
+  'proxy.testPassedProxy': 'Reachable through the proxy',
+  'proxy.testPassedDirect': 'Reachable directly',
+  'proxy.diagnosisProxyDns': 'The proxy host name {host} does not resolve; check the proxy address',
+  'proxy.diagnosisProxyRefused': 'Nothing is listening on {host}:{port}; check the port and whether the proxy is running',
+  'proxy.diagnosisProxyTimeout': 'Connecting to {host}:{port} timed out; the proxy address may be wrong or blocked by a firewall',
+  'proxy.diagnosisProxyReset': 'The proxy closed the connection; check that the proxy scheme (http://, https:// or socks5://) is right',
+  'proxy.diagnosisProxyTls': 'The TLS connection to the proxy failed ({code}); use an http:// URL if the proxy does not speak TLS',
+  'proxy.diagnosisNotHttp': 'The proxy did not answer CONNECT with HTTP; it may be a SOCKS proxy (use a socks5:// URL)',
+  'proxy.diagnosisAuth': 'The proxy requires authentication (407); add user:password@ to the proxy URL or check the credentials',
+  'proxy.diagnosisForbidden': 'The proxy refuses connections to {host}, probably by policy; if the host should be reached directly, add it to NO_PROXY or a direct proxy rule',
+  'proxy.diagnosisUpstream': 'The proxy could not reach {host}; the problem is on the proxy\'s side (DNS or firewall)',
+  'proxy.diagnosisConnectStatus': 'The proxy answered CONNECT with {status}',
+  'proxy.diagnosisIntercepted': 'TLS certificate verification failed ({code}); the proxy probably intercepts HTTPS. Provide its CA certificate through NODE_EXTRA_CA_CERTS',
+  'proxy.diagnosisTls': 'TLS certificate verification failed ({code}); something on the network probably intercepts HTTPS. Provide its CA certificate through NODE_EXTRA_CA_CERTS',
+  'proxy.diagnosisSocks': 'The SOCKS proxy could not connect to {host}: {message}',
+  'proxy.diagnosisRequestTimeout': 'The request to {host} through the proxy timed out',
+  'proxy.diagnosisDirectTimeout': 'The direct connection to {host} timed out; the network may require a proxy (set HTTPS_PROXY or a proxy rule)',
+  'proxy.diagnosisDirectDns': '{host} does not resolve; the network may require a proxy (set HTTPS_PROXY or a proxy rule)',
+  'proxy.diagnosisDirectRefused': '{host} refused the direct connection',
+
+  // interactive.js: prompts
+  'interactive.api': 'Which API do you want to use?',
+  'interactive.keyFilePicker': 'Do you want to pick your service account key file with a file browser?',
+  'interactive.selectKeyFile': 'Select your Google Cloud service account JSON key file:',
+  'interactive.enterKeyFile': 'Enter the path to your Google Cloud service account JSON key file:',
+  'interactive.keyFileRequired': 'The service account key file path is required',
+  'interactive.fileNotFound': 'File does not exist',
+  'interactive.saveKeyFile': 'Do you want to store this key encrypted in the credential vault for future use?',
+  'interactive.keyFileSaved': 'Stored the service account key encrypted in the credential vault',
+  'interactive.usingKeyFile': 'Using service account key: {path}',
+  'interactive.keyFileReadError': 'Error reading the service account key file:',
+  'interactive.enterGeminiKey': 'Enter your Gemini API key:',
+  'interactive.geminiKeyRequired': 'The API key is required',
+  'interactive.saveGeminiKey': 'Do you want to store this API key encrypted in the credential vault for future use?',
+  'interactive.geminiKeySaved': 'Stored the Gemini API key encrypted in the credential vault',
+  'interactive.usingStoredGeminiKey': 'Using the saved Gemini API key',
+  'interactive.enterPrompt': 'Enter your image generation prompt:',
+  'interactive.promptRequired': 'A prompt is required',
+  'interactive.useReferenceImages': 'Do you want to use reference images?',
+  'interactive.referencePicker': 'Do you want to pick reference images with a file browser?',
+  'interactive.selectReferenceImage': 'Select a reference image:',
+  'interactive.enterReferenceImage': 'Enter the path to a reference image:',
+  'interactive.imagePathRequired': 'The image path is required',
+  'interactive.addAnotherReference': 'Add another reference image?',
+  'interactive.aspectRatio': 'Select the aspect ratio:',
+  'interactive.count': 'Number of images to generate:',
+  'interactive.negativePrompt': 'Negative prompt (optional):',
+  'interactive.enhance': 'Enhance the prompt?',
+  'interactive.safety': 'Safety setting:',
+  'interactive.safetyBlockNone': 'Block none',
+  'interactive.safetyBlockFew': 'Block few',
+  'interactive.safetyBlockSome': 'Block some',
+  'interactive.safetyBlockMost': 'Block most',
+  'interactive.personGeneration': 'Person generation:',
+  'interactive.personAllowAll': 'Allow all',
+  'interactive.personAllowAdult': 'Allow adults',
+  'interactive.personDontAllow': 'Don\'t allow',
+  'interactive.watermark': 'Add a watermark?',
+  'interactive.outputDirPicker': 'Do you want to pick the output directory with a directory browser?',
+  'interactive.selectOutputDir': 'Select the output directory for images:',
+  'interactive.outputDir': 'Output directory for images:',
+  'interactive.customJsonDir': 'Do you want a custom directory for JSON files (request/response)?',
+  'interactive.selectJsonDir': 'Select the directory for JSON files:',
+  'interactive.jsonDir': 'Directory for JSON files:',
+  'interactive.error': 'Error in interactive mode:',
+  'interactive.useAdc': 'No service account key file found. Use Application Default Credentials ({path})?',
+  'interactive.usingAdc': 'Using Application Default Credentials',
+  'interactive.usingVaultKey': 'Using the service account from the vault: {email}',
+
+  // utils.js
+  'utils.unsupportedFormat': 'Unsupported output format: {format} (choices: png, jpeg)',
+  'utils.invalidQuality': 'Invalid compression quality: {quality} (expected an integer from 0 to 100)',
+  'utils.metadataWriteFailed': 'Could not write image metadata: {message}',
+  'utils.fileSaved': 'File saved to: {path}',
+  'utils.configDirCreated': 'Created the configuration directory: {dir}',
+
+  // template.js
+  'template.unsupportedMatrixOption': 'Unsupported matrix option: {key} (choices: aspect-ratio, negative-prompt, safety, model)',
+  'template.missingVariables': 'No value given for prompt template variables: {names} (use --var {first}=...)',
+  'template.invalidValue': 'Invalid {flag} value: {text} (format: name=value1|value2)',
+  'template.emptyValues': 'Template variables and matrix options need at least one value',
+
+  // sheet.js
+  'sheet.noImages': 'No images available for the contact sheet',
+  'sheet.unreadable': 'Could not read image {file}: {message}',
+  'sheet.imagesRequired': 'At least one image is required',
+  'sheet.created': 'Contact sheet created: {count} image(s), {width}x{height}',
+
+  // mock-server.js
+  'mock.unknownScenario': 'Unknown mock scenario: {scenario} (choices: {choices})',
+  'mock.requestWithScenario': '{method} {path} → {status} ({scenario})',
+  'mock.listenFailed': 'Could not start the mock server: {message}',
+  'mock.listening': 'Mock server listening on {url} (scenario: {scenario})',
+  'mock.setEnvironment': 'Set in the environment that runs the CLI:',
+  'mock.usageHint': 'A prompt containing [mock:<scenario>] uses that scenario for its request. Press Ctrl+C to stop.',
+
+  // cache.js
+  'cache.dir': 'Cache directory: {dir}',
+  'cache.entries': 'Entries: {count}',
+  'cache.size': 'Total size: {size} (limit {max})',
+  'cache.pruneNeedsLimit': '--older-than or --max-size is required',
+  'cache.pruned': 'Removed {count} cache entries, freeing {freed}',
+  'cache.remaining': '{count} entries left, {size} in total',
+  'cache.unknownAction': 'Unknown cache action: {action}',
+  'cache.invalidDuration': 'Invalid duration: {value} (examples: 7d, 12h, 30m)',
+  'cache.invalidSize': 'Invalid size: {value} (examples: 500MB, 2GB)',
+  'cache.writeFailed': 'Could not write the response cache, so this response was not cached: {message}',
+
+  // session.js
+  'session.invalidName': 'Invalid session name: {name} (only letters, digits, "_", "-" and "." are allowed)',
+  'session.notFound': 'Session not found: {name}',
+  'session.exists': 'Session already exists: {name}',
+  'session.none': 'No sessions in {dir}',
+  'session.listItem': '{name}\t{turns} turn(s)\tupdated {updatedAt}',
+  'session.nameLabel': 'Session name',
+  'session.targetLabel': 'New session name',
+  'session.required': '{label} is required',
+  'session.forked': 'Copied session {name} to {target}',
+  'session.deleted': 'Deleted session {name}',
+  'session.unknownAction': 'Unknown session action: {action}',
+  'session.name': 'Session: {name}',
+  'session.createdAt': 'Created: {time}',
+  'session.updatedAt': 'Updated: {time}',
+  'session.forkedFrom': 'Copied from: {name}',
+  'session.turn': '#{number} {role} ({time})',
+  'session.roleUser': 'User',
+  'session.roleModel': 'Model',
+  'session.inlineImage': '[image {mimeType}, ~{size} KB]',
+
+  // history.js
+  'history.unknown': 'unknown',
+  'history.defaultModel': 'default',
+  'history.none': 'No matching entries in {path}',
+  'history.imageCount': '{count} image(s)',
+  'history.truncated': '({total} entries, showing the latest {limit}; use --limit to show more)',
+  'history.idRequired': 'An entry ID is required',
+  'history.notFound': 'Entry not found: {id}',
+  'history.unknownAction': 'Unknown history action: {action}',
+  'history.invalidDate': 'Invalid date: {value} (examples: 2024-05-01, 7d)',
+  'history.outcomeSuccess': 'succeeded',
+  'history.outcomeBlocked': 'blocked',
+  'history.outcomeFailed': 'failed',
+  'history.id': 'ID: {id}',
+  'history.time': 'Time: {time}',
+  'history.command': 'Command: {command}',
+  'history.api': 'API: {api}',
+  'history.model': 'Model: {model}',
+  'history.prompt': 'Prompt: {prompt}',
+  'history.outcome': 'Outcome: {outcome}',
+  'history.outcomeCached': 'Outcome: {outcome} (cached)',
+  'history.blockReason': 'Block reason: {reason}',
+  'history.error': 'Error: {error}',
+  'history.errorWithStatus': 'Error: {error} ({status})',
+  'history.blockedImages': 'Filtered images: {count}',
+  'history.parameters': 'Parameters:',
+  'history.images': 'Images:',
+  'history.upscaled': 'Upscaled images:',
+  'history.jsonFiles': 'JSON files:',
+  'history.statsRuns': 'Runs: {count}',
+  'history.statsSuccess': 'Succeeded: {count}',
+  'history.statsBlocked': 'Blocked: {count} ({rate})',
+  'history.statsFailed': 'Failed: {count}',
+  'history.statsImages': 'Images generated: {count}',
+  'history.groupLine': '{key}: {runs} run(s), block rate {rate}',
+  'history.groupImageRate': ', image filter rate {rate}',
+  'history.byApi': 'By API:',
+  'history.byModel': 'By model:',
+  'history.bySafety': 'By safety level (Imagen generation):',
+
+  // metadata.js
+  'metadata.imageNotFound': 'Image not found at {path}',
+  'metadata.file': 'File: {path}',
+  'metadata.format': 'Format: {format}',
+  'metadata.unknownFormat': 'unknown',
+  'metadata.size': 'Size: {size} KB',
+  'metadata.readFailed': 'Could not read metadata: {message}',
+  'metadata.none': 'No generation metadata found',
+  'metadata.fieldLine': '{label}: {value}',
+  'metadata.field.prompt': 'Prompt',
+  'metadata.field.negativePrompt': 'Negative prompt',
+  'metadata.field.model': 'Model',
+  'metadata.field.api': 'API',
+  'metadata.field.seed': 'Seed',
+  'metadata.field.requestId': 'Request ID',
+  'metadata.field.createdAt': 'Created',
+  'metadata.field.session': 'Session',
+  'metadata.field.editMode': 'Edit mode',
+  'metadata.field.editedFrom': 'Edited from',
+  'metadata.field.upscaleFactor': 'Upscale factor',
+  'metadata.field.upscaleModel': 'Upscale model',
+  'metadata.field.upscaledFrom': 'Upscaled from',
+  'metadata.field.upscaleRequestId': 'Upscale request ID',
+  'metadata.field.software': 'Software',
+  'metadata.pngChunkTruncated': 'PNG chunk {type} is truncated',
+  'metadata.jpegTooLarge': 'Metadata is too large for a JPEG XMP segment',
+  'metadata.webpUnrecognized': 'Unrecognized WebP image data',
+
+  // recorder.js
+  'recorder.replayDirNotFound': 'Replay directory not found: {dir}'
+};
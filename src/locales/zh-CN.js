@@ -0,0 +1,615 @@
+/**
+ * Simplified Chinese messages (the language the CLI was written in, and the default).
+ * Every catalog has the same keys; t() fills in the `{name}` placeholders.
+ */
+export default {
+  // Shared
+  'common.adcEnvironment': '运行环境（元数据服务器或工作负载身份）',
+  'common.none': '无',
+  'common.error': '错误: {message}',
+  'common.warning': '警告: {message}',
+  'common.notSet': '未设置',
+  'common.usingCache': '使用缓存的响应（{key}）',
+  'common.qualityIgnored': '警告: 压缩质量仅适用于 JPEG 输出，已忽略',
+
+  // config.js
+  'config.sampleEnvCreated': '已在 {path} 创建示例 .env 文件',
+
+  // index.js: command line help
+  'cli.usage': '用法: $0 [提示] [选项]',
+  'cli.command.session': '管理 Gemini 多轮编辑会话',
+  'cli.positional.session.action': '会话操作',
+  'cli.positional.session.name': '会话名称',
+  'cli.positional.session.target': '新会话名称（用于 fork）',
+  'cli.command.edit': '使用 Imagen 编辑图像（局部重绘、移除、外扩、替换背景）',
+  'cli.positional.edit.image': '要编辑的基础图像',
+  'cli.positional.edit.prompt': '编辑提示（inpaint-remove 模式可省略）',
+  'cli.option.edit-mode': '编辑模式',
+  'cli.option.mask': '蒙版图像路径（白色区域为要编辑的区域）',
+  'cli.option.mask-mode': '未提供蒙版时自动生成蒙版的方式',
+  'cli.option.mask-classes': 'semantic 蒙版模式使用的分割类别 ID',
+  'cli.option.mask-dilation': '蒙版膨胀系数（0-1）',
+  'cli.option.outpaint-padding': '外扩绘制时在图像周围添加的像素（N、"上下,左右" 或 "上,右,下,左"）',
+  'cli.option.edit-steps': '编辑的基础采样步数',
+  'cli.command.upscale': '使用 Imagen 放大现有图像（结果保存在原图旁边）',
+  'cli.positional.upscale.images': '要放大的图像路径',
+  'cli.option.factor': '放大倍数',
+  'cli.command.history': '查看生成历史（list、show、stats）',
+  'cli.positional.history.action': '操作',
+  'cli.positional.history.id': '记录 ID（show 使用，可以只写一部分）',
+  'cli.option.search': '只显示提示中包含此文本的记录',
+  'cli.option.since': '起始日期（如 2024-05-01）或时长（如 7d）',
+  'cli.option.until': '截止日期（如 2024-05-31）或时长（如 1d）',
+  'cli.option.outcome': '按结果筛选',
+  'cli.option.limit': 'list 最多显示的记录数（0 表示全部）',
+  'cli.command.sheet': '将多张图像合成为带标注的联系表 PNG（缩略图网格）',
+  'cli.positional.sheet.images': '图像路径',
+  'cli.option.output': '联系表的保存路径（默认：第一张图像所在目录）',
+  'cli.option.columns': '列数（默认：接近正方形，最多 6 列）',
+  'cli.option.thumb-size': '缩略图边长（像素）',
+  'cli.option.title': '联系表标题',
+  'cli.command.inspect': '显示图像中嵌入的生成元数据（提示、模型、种子等）',
+  'cli.positional.inspect.image': '图像路径',
+  'cli.command.cache': '管理本地响应缓存',
+  'cli.positional.cache.action': '操作',
+  'cli.option.older-than': '删除早于此时长的条目（如 7d、12h、30m）',
+  'cli.option.max-size': '删除最久未使用的条目，直到缓存不超过此大小（如 500MB）',
+  'cli.command.mock-server': '启动本地模拟 API 服务器（Imagen、Gemini 和令牌端点），无需 Google 凭据即可测试',
+  'cli.option.port': '监听端口（0 表示随机端口）',
+  'cli.option.host': '监听地址',
+  'cli.option.scenario': '默认返回的响应类型（提示中的 [mock:<场景>] 可逐个请求覆盖）',
+  'cli.option.fail-times': '429 和 500 场景下先失败的请求数，之后返回图像（0 表示始终失败）',
+  'cli.option.write-key-file': '写入一个可被模拟令牌端点接受的服务账户密钥文件',
+  'cli.positional.prompt': '图像生成提示',
+  'cli.option.api': '用于图像生成的 API',
+  'cli.option.model': '模型 ID（默认：Imagen 生成使用 imagen-3.0-generate-002，编辑使用 imagen-3.0-capability-001；Gemini 使用 gemini-2.0-flash-exp-image-generation，Vertex AI 上使用 gemini-2.0-flash-preview-image-generation）',
+  'cli.option.reference-images': 'Gemini 的参考图像路径（可以提供多个）',
+  'cli.option.session': 'Gemini 多轮编辑会话名称（保存并重放对话历史）',
+  'cli.option.config-file': '图像生成的 JSON 配置文件路径',
+  'cli.option.batch': '批处理文件路径（JSONL 或 CSV，每行一个任务）',
+  'cli.option.output-dir': '保存图像的输出目录',
+  'cli.option.json-dir': '保存 JSON 文件（请求/响应）的目录',
+  'cli.option.output-format': '输出图像格式（Imagen 由 API 编码，Gemini 的输出在本地转换）',
+  'cli.option.compression-quality': 'JPEG 压缩质量（0-100，仅在 --output-format jpeg 时使用）',
+  'cli.option.project-id': 'Google Cloud 项目 ID（默认为服务账户中的项目 ID）',
+  'cli.option.key-file': '服务账户 JSON 密钥文件路径（覆盖 GOOGLE_APPLICATION_CREDENTIALS）',
+  'cli.option.gemini-key': 'Gemini API 密钥（覆盖 .env 中的 GEMINI_API_KEY）',
+  'cli.option.location': 'API 位置',
+  'cli.option.aspect-ratio': '图像纵横比（仅限 Imagen）',
+  'cli.option.count': '要生成的图像数量（仅限 Imagen）',
+  'cli.option.negative-prompt': '负面提示（仅限 Imagen）',
+  'cli.option.enhance': '增强提示（仅限 Imagen）',
+  'cli.option.person-generation': '人物生成（仅限 Imagen）',
+  'cli.option.safety': '安全性设置（仅限 Imagen）',
+  'cli.option.var': '提示模板变量，格式 名称=值1|值2（可重复），提示中的 {名称} 会被替换，每个值各生成一次',
+  'cli.option.matrix': '参数矩阵，格式 参数=值1|值2（可重复；支持 aspect-ratio、negative-prompt、safety、model）',
+  'cli.option.temperature': '采样温度（仅限 Gemini）',
+  'cli.option.top-p': 'Top-p 核采样（仅限 Gemini）',
+  'cli.option.top-k': 'Top-k 采样（仅限 Gemini）',
+  'cli.option.seed': '随机种子，相同种子和参数可复现结果（Imagen 需要关闭水印）',
+  'cli.option.seed-range': '依次使用范围内的每个种子生成一组图像，如 1..8',
+  'cli.option.candidate-count': '返回的候选结果数量，所有候选结果都会保存（仅限 Gemini）',
+  'cli.option.max-output-tokens': '最大输出 token 数（仅限 Gemini）',
+  'cli.option.upscale': '生成后使用 Imagen 放大输出图像',
+  'cli.option.upscale-model': '用于放大的 Imagen 模型 ID',
+  'cli.option.watermark': '添加水印（仅限 Imagen；默认开启，使用种子时默认关闭）',
+  'cli.option.concurrency': '批处理模式下同时运行的任务数',
+  'cli.option.max-retries': '遇到 429 或 5xx 响应及网络错误时的最大重试次数（指数退避）',
+  'cli.option.contact-sheet': '生成完成后将本次运行的所有图像合成为一张联系表',
+  'cli.option.cache': '复用相同请求的已缓存响应（--no-cache 禁用）',
+  'cli.option.refresh': '忽略已缓存的响应并用新结果覆盖缓存',
+  'cli.option.cache-dir': '缓存目录（默认：配置目录下的 cache）',
+  'cli.option.cache-max-size': '缓存大小上限，超出时删除最久未使用的条目',
+  'cli.option.json': '在 stdout 输出一个结构化的 JSON 结果，日志改为写入 stderr',
+  'cli.option.record': '将完整（未屏蔽）的 HTTP 请求和响应记录到此目录，用于调试和回归测试',
+  'cli.option.replay': '从 --record 记录的目录回放响应，不访问网络',
+  'cli.option.interactive': '运行交互模式',
+  'cli.option.debug': '显示调试信息',
+  'cli.option.detect-proxy': '强制检测系统代理设置',
+  'cli.option.no-proxy': '禁用代理使用',
+  'cli.option.adc': '使用应用默认凭据（gcloud 用户凭据、工作负载身份、元数据服务器），即使找到了密钥文件',
+  'cli.option.impersonate-service-account': '以此服务账户的身份调用 Imagen（需要 Service Account Token Creator 角色，也可通过 GOOGLE_IMPERSONATE_SERVICE_ACCOUNT 设置）',
+  'cli.option.token-cache': '在配置目录中缓存访问令牌直到过期（--no-token-cache 禁用）',
+  'cli.option.vault-key-file': '打开凭据保管库的密钥文件（也可通过 IMAGEN_VAULT_KEY_FILE 或 IMAGEN_VAULT_PASSPHRASE 提供）',
+  'cli.option.profile': '使用命名配置档案中的项目、位置、凭据和默认值（也可通过 IMAGEN_PROFILE 设置）',
+  'cli.option.gemini-backend': 'Gemini 请求的后端：developer（Gemini Developer API，使用 API 密钥）或 vertex（Vertex AI，使用服务账户或应用默认凭据；GOOGLE_GENAI_USE_VERTEXAI=true 时为默认值）',
+  'cli.option.lang': '输出语言（也可以在配置文件中设置 "lang"，或通过 LANG 环境变量选择；显式指定后会保存为默认值）',
+  'cli.option.proxy-rule': '按主机选择代理，格式 主机模式=代理地址（可重复）；主机模式与 NO_PROXY 的写法相同，代理地址可以是 http(s):// 或 socks5://，direct 表示直连',
+  'cli.command.proxy': '查看、编辑和测试代理设置',
+  'cli.positional.proxy.action': '操作：show（每个目标的代理及其来源）、set、clear、test（连通性测试）',
+  'cli.positional.proxy.target': 'show/test：目标 URL（默认为 Imagen、Gemini 和令牌端点）；set/clear：https-proxy、http-proxy 或 no-proxy',
+  'cli.positional.proxy.value': 'set 的值：代理地址，或 no-proxy 的主机列表',
+  'cli.option.timeout': 'proxy test 每一步的超时时间（秒）',
+  'cli.command.vault': '管理加密保存的凭据（add、list、rotate、remove、migrate）',
+  'cli.positional.vault.action': '操作：add 添加、list 列出（掩码）、rotate 替换、remove 删除、migrate 迁移明文凭据',
+  'cli.positional.vault.name': '凭据名称',
+  'cli.positional.vault.value': 'Gemini API 密钥（省略时在终端中询问）或服务账户密钥文件路径',
+  'cli.command.profile': '管理命名配置档案（create、list、use、delete）',
+  'cli.positional.profile.action': '操作：create 创建或更新、list 列出、use 设为默认（省略名称时取消）、delete 删除',
+  'cli.positional.profile.name': '配置档案名称',
+
+  // index.js: results and errors
+  'main.proxySettings': '系统代理设置:',
+  'main.configFileNotFound': '配置文件未在以下路径找到 {path}',
+  'main.configFileLoaded': '从 {path} 加载配置',
+  'main.configFileError': '加载配置文件时出错: {message}',
+  'main.batchFileNotFound': '批处理文件未在以下路径找到 {path}',
+  'main.batchFileError': '加载批处理文件时出错: {message}',
+  'main.generateSucceeded': '图像生成成功！',
+  'main.upscaleSucceeded': '图像放大成功！',
+  'main.upscaledCount': '已放大 {count} 张图像',
+  'main.imageCount': '{count} 张图像',
+  'main.itemFailed': '失败（{error}）',
+  'main.seedLabel': '种子 {seed}',
+  'main.contactSheet': '联系表：{path}',
+  'main.contactSheetFailed': '警告: 无法生成联系表: {message}',
+  'main.openFailed': '无法自动打开输出目录',
+  'main.error': '错误:',
+  'main.profileLoaded': '已加载配置档案: {name}',
+
+  // runner.js: validation and progress
+  'runner.tooManyCombinations': '组合过多: {count}（最多 {max} 个）',
+  'runner.combinationStart': '[组合 {index}/{total}] {label}',
+  'runner.allCombinationsFailed': '所有组合均生成失败',
+  'runner.invalidSeedRange': '无效的种子范围: {value}（示例：1..8）',
+  'runner.seedRangeReversed': '无效的种子范围: {value}（结束值小于起始值）',
+  'runner.seedRangeTooLarge': '种子范围过大: {value}（最多 {max} 个种子）',
+  'runner.seedAndSeedRange': '--seed 和 --seed-range 不能同时使用',
+  'runner.seedStart': '[种子 {seed}] 开始（{index}/{total}）',
+  'runner.allSeedsFailed': '所有种子均生成失败',
+  'runner.historyWriteFailed': '警告: 无法写入历史记录: {message}',
+  'runner.promptRequired': '提示是必需的',
+  'runner.promptRequiredHint': '提示是必需的。请作为第一个参数提供或使用交互模式。',
+  'runner.sessionNeedsGemini': '会话模式仅适用于 Gemini API',
+  'runner.seedNeedsNoWatermark': 'Imagen 仅在关闭水印时支持种子',
+  'runner.seedNeedsNoWatermarkHint': 'Imagen 仅在关闭水印时支持种子，请使用 --no-watermark（或省略 --watermark）。',
+  'runner.geminiKeyRequired': 'Gemini API 需要 Gemini API 密钥',
+  'runner.provideOneOf': '请通过以下方式之一提供:',
+  'runner.geminiKeySources': '  1. --gemini-key 参数\n  2. GEMINI_API_KEY 环境变量\n  3. imagen-cli vault add gemini-api-key（加密保存）\n或使用 --gemini-backend vertex 通过 Vertex AI 以服务账户调用 Gemini',
+  'runner.unknownApi': '未知 API: {api}',
+  'runner.baseImageNotFound': '基础图像未在以下路径找到 {path}',
+  'runner.maskNotFound': '蒙版图像未在以下路径找到 {path}',
+  'runner.editPromptRequired': '此编辑模式需要提示',
+  'runner.upscaleImagesRequired': '需要至少一个要放大的图像',
+  'runner.imagesNotFound': '图像未找到: {paths}',
+  'runner.upscaleFailed': '{count} 张图像放大失败',
+  'runner.keyFileRequired': 'Imagen API 和 Vertex AI 上的 Gemini 需要服务账户密钥文件或应用默认凭据',
+  'runner.keyFileSources': '  1. --key-file 参数\n  2. GOOGLE_APPLICATION_CREDENTIALS 环境变量\n  3. 当前目录下的 .service-account.json 文件\n  4. imagen-cli vault add service-account <密钥文件>（加密保存）\n  5. gcloud auth application-default login（应用默认凭据）\n  6. --adc 参数（在 GCE、GKE 等环境中使用元数据服务器）',
+  'runner.usingKeyFile': '使用服务账户密钥文件: {path}',
+  'runner.keyFileNotFound': '密钥文件未在以下路径找到 {path}',
+  'runner.keyFileParseError': '解析服务账户密钥文件时出错:',
+  'runner.projectIdRequired': '项目 ID 在服务账户中未找到且未作为参数或环境变量提供',
+  'runner.usingProjectId': '使用项目 ID: {projectId}',
+  'runner.usingAdc': '使用应用默认凭据: {source}',
+  'runner.adcProjectIdRequired': '无法从应用默认凭据确定项目 ID，请使用 --project-id 或 GOOGLE_CLOUD_PROJECT 指定',
+  'runner.usingVaultKey': '使用保管库中的服务账户: {email}',
+
+  // client.js: library errors
+  'client.promptRequired': '需要提示',
+  'client.imagenCredentialsRequired': 'Imagen 需要服务账户凭据或 useDefaultCredentials',
+  'client.vertexCredentialsRequired': 'Vertex AI 上的 Gemini 需要服务账户凭据或 useDefaultCredentials',
+  'client.keyReadError': '无法读取服务账户密钥：{message}',
+  'client.projectIdRequired': '需要 Google Cloud 项目 ID',
+  'client.geminiKeyRequired': 'Gemini 需要 API 密钥',
+  'client.unknownApi': '未知的 API：{api}',
+
+  // batch.js
+  'batch.start': '批处理开始：共 {count} 个任务，并发数 {concurrency}',
+  'batch.jobStart': '[{index}/{total}] 任务 {id} 开始：{prompt}',
+  'batch.noPrompt': '（无提示）',
+  'batch.jobDone': '[{index}/{total}] 任务 {id} {status}',
+  'batch.statusSuccess': '成功',
+  'batch.statusBlocked': '被安全过滤器阻止',
+  'batch.statusFailed': '失败',
+  'batch.summary': '批处理摘要：',
+  'batch.summaryTotal': '  总计：{count}',
+  'batch.summarySucceeded': '  成功：{count}',
+  'batch.summaryBlocked': '  被安全过滤器阻止：{count}',
+  'batch.summaryFailed': '  失败：{count}',
+  'batch.summaryJob': '  ✗ 任务 {id}（{status}）：{error}',
+  'batch.unknownError': '未知错误',
+  'batch.summarySaved': '摘要已保存到：{path}',
+  'batch.invalidJsonLine': '批处理文件第 {line} 行不是有效的 JSON: {message}',
+  'batch.csvMissingPrompt': 'CSV 批处理文件的标题行必须包含 prompt 列',
+  'batch.duplicateId': '任务 ID {id} 与 {other} 重复（文件名中的特殊字符会替换为 _），两者的输出文件会互相覆盖',
+
+  // imagen.js
+  'imagen.invalidSeed': '无效的种子: {seed}（需要 0 到 4294967295 之间的整数）',
+  'imagen.seedNeedsNoWatermark': 'Imagen 仅在关闭水印时支持种子',
+  'imagen.generating': '使用提示生成图像：',
+  'imagen.usingSeed': '使用种子：{seed}',
+  'imagen.generateError': '使用 Imagen 生成图像时出错：',
+  'imagen.unknownEditMode': '未知的编辑模式: {mode}（可选：{choices}）',
+  'imagen.outpaintNeedsMask': '外扩绘制需要 --mask 或 --outpaint-padding',
+  'imagen.canvasExpanded': '已将画布扩展为 {width}x{height} 并生成外扩蒙版',
+  'imagen.editNeedsMask': '此编辑模式需要 --mask 或 --mask-mode（background、foreground、semantic）',
+  'imagen.unknownMaskMode': '未知的蒙版模式: {mode}（可选：{choices}）',
+  'imagen.semanticNeedsClasses': 'semantic 蒙版模式需要 --mask-classes',
+  'imagen.editing': '使用 {mode} 模式编辑图像：{image}',
+  'imagen.editPrompt': '编辑提示：',
+  'imagen.editError': '使用 Imagen 编辑图像时出错：',
+  'imagen.invalidFactor': '无效的放大倍数: {factor}（可选：x2、x4）',
+  'imagen.upscaling': '正在将图像放大 {factor}：{image}',
+  'imagen.upscaleError': '使用 Imagen 放大图像时出错：',
+  'imagen.gettingToken': '正在获取访问令牌...',
+  'imagen.sendingRequest': '正在发送请求到：{url}',
+  'imagen.promptBlockedHeading': '⚠️ 安全过滤器阻止了此提示：',
+  'imagen.promptBlockedHint': '尝试调整您的提示或更改安全设置。',
+  'imagen.promptBlocked': '安全过滤器阻止了此提示',
+  'imagen.personGenerationHeading': '⚠️ 人物生成权限错误：',
+  'imagen.personGenerationHint': '尝试使用 "allow_adult" 而不是 "allow_all_ages" 作为 personGeneration 参数。',
+  'imagen.personGeneration': '人物生成权限错误',
+  'imagen.apiError': '错误 {status}: {message}',
+  'imagen.allFilteredHeading': '⚠️ 责任人工智能过滤器阻止了所有图像：',
+  'imagen.allFilteredHint': '尝试重新表述您的提示或调整安全设置。',
+  'imagen.allFiltered': '责任人工智能过滤了内容',
+  'imagen.someFilteredCount': '⚠️ {count} 张图像被责任人工智能安全过滤器过滤掉。',
+  'imagen.someFiltered': '⚠️ 某些图像被责任人工智能过滤：',
+  'imagen.foundImages': '在标准格式中找到 {count} 张图像',
+  'imagen.generatedWithBlocked': '生成了 {count} 张图像（{blocked} 张被安全过滤器阻止）',
+  'imagen.generated': '生成了 {count} 张图像，没有被阻止的',
+  'imagen.countMismatch': '注意：您请求了 {requested} 张图像，但只有 {accounted} 张被计算在内。',
+  'imagen.noImagesSaved': '没有保存任何图像',
+  'imagen.noPredictions': '响应中未找到预测',
+
+  // gemini.js
+  'gemini.safetyBlockedHint': '由于安全问题，图像生成被阻止。提示可能触发了安全过滤器。',
+  'gemini.safetyBlocked': '由于安全问题，图像生成被阻止',
+  'gemini.candidatesBlocked': '⚠️ {count} 个候选结果由于安全问题被阻止',
+  'gemini.candidateMissingParts': '候选结果 {candidate} 缺少 content 或 parts 字段',
+  'gemini.text': 'Gemini：{text}',
+  'gemini.candidateText': 'Gemini（候选结果 {candidate}）：{text}',
+  'gemini.convertFailed': '无法将 {from} 转换为 {to}，保留原始格式：{message}',
+  'gemini.candidateNoImages': '候选结果 {candidate} 中未找到图像',
+  'gemini.noImages': '响应中未找到图像，请检查响应 JSON 文件',
+  'gemini.noCandidates': '响应缺少 candidates 字段',
+  'gemini.processError': '处理响应时出错：',
+  'gemini.processWarning': '处理响应的某些部分时出错',
+  'gemini.referenceImageError': '处理参考图像 {image} 时出错：',
+  'gemini.referenceImageFailed': '无法处理参考图像: {image}',
+  'gemini.usingSession': '使用会话 {name}（已有 {turns} 轮）',
+  'gemini.generating': '使用 Gemini API 生成图像',
+  'gemini.generatingWithReferences': '使用 Gemini API 生成图像（带参考）',
+  'gemini.prompt': '提示：',
+  'gemini.referenceCount': '使用 {count} 个参考图像',
+  'gemini.endpoint': '使用 Gemini API 端点：{domain}（模型：{model}）',
+  'gemini.sendingRequest': '正在向 Gemini API 发送请求...',
+  'gemini.apiErrorStatus': 'API 返回错误：{status}',
+  'gemini.apiErrorDetails': '错误详细信息：{details}',
+  'gemini.errorSaved': '错误信息已保存到：{file}',
+  'gemini.apiError': 'API 错误：{status}',
+  'gemini.sessionUpdated': '会话已更新：{file}',
+  'gemini.generateError': '使用 Gemini 生成图像时出错：',
+  'gemini.notANumber': '{key} 必须是数字: {value}',
+  'gemini.transcriptTitle': 'Gemini 回复',
+  'gemini.transcriptCandidate': '候选结果 {candidate}',
+  'gemini.vertexEndpoint': '使用 Vertex AI 上的 Gemini：项目 {projectId}，区域 {location}（模型：{model}）',
+  'gemini.gettingToken': '正在获取访问令牌...',
+  'gemini.sessionTurnSkipped': '模型没有返回任何内容，本轮未保存到会话 {name}',
+  'gemini.textOnly': '模型只返回了文字，没有生成图像：{text}',
+  'gemini.textOnlyHint': '模型只返回了文字，没有生成图像（通常是拒绝生成的说明）',
+
+  // auth.js
+  'auth.replay': '回放模式：跳过身份验证',
+  'auth.tokenUrl': '使用令牌端点：{url}',
+  'auth.checkingProxy': '正在检查代理设置...',
+  'auth.usingProxy': '使用代理进行身份验证：{proxy}',
+  'auth.proxyBypassed': '身份验证不使用代理（匹配 {pattern}）',
+  'auth.noProxy': '没有为身份验证配置代理',
+  'auth.tokenError': '获取访问令牌时出错：',
+  'auth.keyIncomplete': '服务账户密钥缺少 client_email 或 private_key',
+  'auth.tokenEndpointError': '令牌端点返回 {status}：{reason}',
+  'auth.missingAccessToken': '缺少 access_token',
+  'auth.usingCachedToken': '使用缓存的访问令牌（有效期至 {time}）',
+  'auth.tokenUrlNeedsKey': 'GOOGLE_TOKEN_URL 仅支持服务账户密钥文件，不能与应用默认凭据或服务账户模拟一起使用',
+  'auth.impersonating': '模拟服务账户：{account}',
+  'auth.tokenCacheWriteError': '无法写入令牌缓存：{message}',
+
+  // vault.js
+  'vault.locked': '凭据保管库已加锁：请设置 IMAGEN_VAULT_PASSPHRASE、IMAGEN_VAULT_KEY_FILE 或使用 --vault-key-file',
+  'vault.enterPassphrase': '请输入凭据保管库口令:',
+  'vault.wrongPassphrase': '凭据保管库口令或密钥文件不正确',
+  'vault.addUsage': '用法: vault {action} <{names}> [值]',
+  'vault.entryExists': '保管库中已有 {name}，请使用 vault rotate 替换',
+  'vault.entryNotFound': '保管库中没有 {name}',
+  'vault.entryAdded': '已加密保存 {name}: {value}',
+  'vault.entryRotated': '已替换 {name}: {value}',
+  'vault.entryRemoved': '已从保管库中删除 {name}',
+  'vault.unknownAction': '未知的保管库操作: {action}',
+  'vault.permissionsFixed': '{path} 可被其他用户读取，已将权限改为 600',
+  'vault.unsupportedVersion': '不支持的保管库版本: {version}',
+  'vault.noPassphrase': '创建保管库需要口令：请设置 IMAGEN_VAULT_PASSPHRASE、IMAGEN_VAULT_KEY_FILE，使用 --vault-key-file，或在终端中运行',
+  'vault.creating': '正在创建凭据保管库: {path}',
+  'vault.newPassphrase': '设置保管库口令（至少 8 个字符）:',
+  'vault.passphraseTooShort': '口令至少需要 8 个字符',
+  'vault.confirmPassphrase': '再次输入口令:',
+  'vault.passphraseMismatch': '两次输入的口令不一致',
+  'vault.keyFileNotFound': '未找到保管库密钥文件: {path}',
+  'vault.serviceAccountFileRequired': '请提供服务账户 JSON 密钥文件的路径',
+  'vault.valueRequired': '请提供 {name} 的值（不在终端中运行时无法询问）',
+  'vault.enterGeminiKey': '请输入 Gemini API 密钥:',
+  'vault.serviceAccountInvalid': '{path} 不是有效的服务账户密钥文件',
+  'vault.empty': '凭据保管库为空',
+  'vault.listHeading': '凭据保管库 ({path}):',
+  'vault.lockedValue': '（已加锁）',
+  'vault.updatedAt': '更新于 {time}',
+  'vault.unlockHint': '设置 IMAGEN_VAULT_PASSPHRASE 或使用 --vault-key-file 以显示掩码后的值',
+  'vault.maskedServiceAccount': '{email}（密钥 ID {keyId}）',
+  'vault.sourceConfig': 'conf 配置存储',
+  'vault.nothingToMigrate': '没有需要迁移的明文凭据',
+  'vault.migrateConflict': '保管库中已有不同的 {name}，未迁移 {source} 中的明文副本',
+  'vault.verifyFailed': '{name} 加密后验证失败，未删除明文副本',
+  'vault.migrated': '已将 {source} 中的 {name} 迁移到保管库并删除明文副本',
+  'vault.unknownProfile': '配置档案 {name} 不存在',
+
+  // profile.js
+  'profile.notFound': '配置档案 {name} 不存在（已有：{names}）',
+  'profile.createUsage': '用法: profile create <名称> 加上要保存的参数，例如 --project-id、--location、--key-file、--gemini-key、--api、--model、--output-dir',
+  'profile.created': '已创建配置档案 {name}:',
+  'profile.updated': '已更新配置档案 {name}:',
+  'profile.empty': '还没有配置档案（使用 profile create 创建）',
+  'profile.envOverride': 'IMAGEN_PROFILE 环境变量选择了 {name}，它优先于默认配置档案',
+  'profile.cleared': '不再使用默认配置档案',
+  'profile.activated': '默认使用配置档案 {name}',
+  'profile.deleted': '已删除配置档案 {name} 及其保存在保管库中的凭据',
+  'profile.unknownAction': '未知的配置档案操作: {action}',
+  'profile.invalidName': '无效的配置档案名称: {name}（只能使用字母、数字、.、_ 和 -）',
+  'profile.activeMarker': '（默认）',
+  'profile.inVault': '已加密保存在保管库中',
+
+  // proxy.js
+  'proxy.systemProxyChanged': 'SYSTEM_PROXY 已更改：无 → {proxy}',
+  'proxy.replayMissing': '回放目录中没有匹配的记录: {method} {url}',
+  'proxy.replayed': '回放记录：{file}',
+  'proxy.recorded': '已记录 HTTP 交换：{file}',
+  'proxy.retryNetworkError': '网络错误（{reason}），{delay} 后重试（第 {attempt}/{max} 次）...',
+  'proxy.retryStatus': 'API 返回 {status}，{delay} 后重试（第 {attempt}/{max} 次）...',
+  'proxy.usingProxy': '使用代理设置：',
+  'proxy.networkError': '发送 API 请求时出现网络错误：{message}',
+  'proxy.errorDetails': '错误详细信息：',
+  'proxy.checkSettings': '这可能是代理配置问题，请检查代理设置。',
+  'proxy.currentSettings': '当前环境的代理设置：',
+  'proxy.usingAgent': '使用代理：',
+  'proxy.fallback': '初始请求失败，正在确认代理配置...',
+  'proxy.fallbackEnv': '已临时将 HTTP_PROXY 和 HTTPS_PROXY 设置为：{proxy}',
+  'proxy.fallbackRetry': '正在直接通过代理重试请求...',
+  'proxy.fallbackFailed': '重试也失败了：',
+  'proxy.debugError': '调试代理时出错：',
+  'proxy.invalidRule': '无效的代理规则: {rule}（格式：主机模式=代理地址或 direct）',
+  'proxy.invalidProxyUrl': '无效的代理地址: {proxy}',
+  'proxy.unsupportedProtocol': '不支持的代理协议: {proxy}（可选：http、https、socks4、socks5）',
+  'proxy.unknownAction': '未知的代理操作: {action}',
+  'proxy.setUsage': '用法：proxy set <{keys}> <值>',
+  'proxy.unknownSetting': '未知的代理设置: {key}（可选：{keys}）',
+  'proxy.settingSaved': '已保存 {key}：{value}',
+  'proxy.settingCleared': '已清除 {key}',
+  'proxy.settingsCleared': '已清除保存的代理设置，下次运行时将从环境变量重新检测',
+  'proxy.targetToken': '令牌端点',
+  'proxy.showSources': '环境变量和命令行：',
+  'proxy.yes': '是',
+  'proxy.no': '否',
+  'proxy.showStored': '保存的设置（{path}）：',
+  'proxy.showStoredNone': '无（每次运行时从环境变量检测）',
+  'proxy.storedManual': '手动设置于 {time}',
+  'proxy.storedDetected': '自动检测于 {time}',
+  'proxy.storedDiffers': '环境变量中的代理与保存的设置不同，当前使用保存的设置。运行 proxy clear 或使用 --detect-proxy 重新检测',
+  'proxy.showRoutes': '生效的代理：',
+  'proxy.direct': '直连',
+  'proxy.route': '{proxy}（{reason}）',
+  'proxy.reasonDisabled': '--no-proxy',
+  'proxy.reasonRule': '代理规则 {pattern}，来自 {origin}',
+  'proxy.reasonNoProxy': 'NO_PROXY 条目 {pattern}',
+  'proxy.reasonStoredNoProxy': '保存的 NO_PROXY 条目 {pattern}',
+  'proxy.reasonExplicit': 'proxy 选项',
+  'proxy.reasonEnv': 'HTTPS_PROXY/HTTP_PROXY 环境变量',
+  'proxy.reasonStored': '保存的设置',
+  'proxy.reasonNone': '没有配置代理',
+  'proxy.testTarget': '测试 {url}',
+  'proxy.diagnosis': '诊断：{message}',
+  'proxy.stepProxyConnected': '已连接到代理 {address}（{ms} ms）',
+  'proxy.stepProxyFailed': '无法连接到代理 {address}：{reason}',
+  'proxy.stepConnect': 'CONNECT {authority} → {status}（{ms} ms）',
+  'proxy.stepConnectStatus': 'CONNECT {authority} → {status}',
+  'proxy.stepConnectFailed': 'CONNECT {authority} 失败：{reason}',
+  'proxy.stepRequest': 'HEAD 请求 → {status}（{ms} ms）',
+  'proxy.stepRequestFailed': 'HEAD 请求失败：{reason}',
+  'proxy.testPassedProxy': '可以通过代理访问',
+  'proxy.testPassedDirect': '可以直接访问',
+  'proxy.diagnosisProxyDns': '无法解析代理主机名 {host}，请检查代理地址',
+  'proxy.diagnosisProxyRefused': '{host}:{port} 上没有服务在监听，请检查端口以及代理是否在运行',
+  'proxy.diagnosisProxyTimeout': '连接 {host}:{port} 超时，代理地址可能有误，或者被防火墙拦截',
+  'proxy.diagnosisProxyReset': '代理关闭了连接，请检查代理协议（http://、https:// 或 socks5://）是否正确',
+  'proxy.diagnosisProxyTls': '与代理的 TLS 连接失败（{code}），如果代理不使用 TLS，请使用 http:// 地址',
+  'proxy.diagnosisNotHttp': '代理没有以 HTTP 响应 CONNECT，它可能是 SOCKS 代理（请使用 socks5:// 地址）',
+  'proxy.diagnosisAuth': '代理要求身份验证（407），请在代理地址中加入 用户名:密码@，或检查凭据',
+  'proxy.diagnosisForbidden': '代理拒绝连接到 {host}，目标可能被代理策略禁止；如果该主机应直连，请加入 NO_PROXY 或代理规则 direct',
+  'proxy.diagnosisUpstream': '代理无法连接到 {host}，问题在代理一侧（DNS 或防火墙）',
+  'proxy.diagnosisConnectStatus': '代理对 CONNECT 返回了 {status}',
+  'proxy.diagnosisIntercepted': 'TLS 证书验证失败（{code}），代理可能在拦截 HTTPS；请通过 NODE_EXTRA_CA_CERTS 提供代理的 CA 证书',
+  'proxy.diagnosisTls': 'TLS 证书验证失败（{code}），网络中可能有拦截 HTTPS 的设备；请通过 NODE_EXTRA_CA_CERTS 提供其 CA 证书',
+  'proxy.diagnosisSocks': 'SOCKS 代理无法建立到 {host} 的连接：{message}',
+  'proxy.diagnosisRequestTimeout': '通过代理访问 {host} 超时',
+  'proxy.diagnosisDirectTimeout': '直接连接 {host} 超时，网络可能需要代理（设置 HTTPS_PROXY 或代理规则）',
+  'proxy.diagnosisDirectDns': '无法解析 {host}，网络可能需要代理（设置 HTTPS_PROXY 或代理规则）',
+  'proxy.diagnosisDirectRefused': '{host} 拒绝了直接连接',
+
+  // interactive.js: prompts
+  'interactive.api': '您想使用哪个 API？',
+  'interactive.keyFilePicker': '您想使用文件选择器来选择您的服务账户密钥文件吗？',
+  'interactive.selectKeyFile': '选择您的 Google Cloud 服务账户 JSON 密钥文件：',
+  'interactive.enterKeyFile': '输入您的 Google Cloud 服务账户 JSON 密钥文件的路径：',
+  'interactive.keyFileRequired': '服务账户密钥文件路径是必需的',
+  'interactive.fileNotFound': '文件不存在',
+  'interactive.saveKeyFile': '您想将此密钥加密保存到凭据保管库以备将来使用吗？',
+  'interactive.keyFileSaved': '已将服务账户密钥加密保存到凭据保管库',
+  'interactive.usingKeyFile': '正在使用服务账户密钥：{path}',
+  'interactive.keyFileReadError': '读取服务账户密钥文件时出错：',
+  'interactive.enterGeminiKey': '输入您的 Gemini API 密钥：',
+  'interactive.geminiKeyRequired': 'API 密钥是必需的',
+  'interactive.saveGeminiKey': '您想将此 API 密钥加密保存到凭据保管库以备将来使用吗？',
+  'interactive.geminiKeySaved': '已将 Gemini API 密钥加密保存到凭据保管库',
+  'interactive.usingStoredGeminiKey': '正在使用已保存的 Gemini API 密钥',
+  'interactive.enterPrompt': '输入您的图像生成提示：',
+  'interactive.promptRequired': '提示是必需的',
+  'interactive.useReferenceImages': '您想使用参考图像吗？',
+  'interactive.referencePicker': '您想使用文件选择器来选择参考图像吗？',
+  'interactive.selectReferenceImage': '选择参考图像：',
+  'interactive.enterReferenceImage': '输入参考图像的路径：',
+  'interactive.imagePathRequired': '图像路径是必需的',
+  'interactive.addAnotherReference': '再添加一张参考图像？',
+  'interactive.aspectRatio': '选择纵横比：',
+  'interactive.count': '要生成的图像数量：',
+  'interactive.negativePrompt': '负面提示（可选）：',
+  'interactive.enhance': '增强提示？',
+  'interactive.safety': '安全设置：',
+  'interactive.safetyBlockNone': '不阻止',
+  'interactive.safetyBlockFew': '阻止少数',
+  'interactive.safetyBlockSome': '阻止部分',
+  'interactive.safetyBlockMost': '阻止大部分',
+  'interactive.personGeneration': '人物生成：',
+  'interactive.personAllowAll': '允许所有',
+  'interactive.personAllowAdult': '允许成人',
+  'interactive.personDontAllow': '不允许',
+  'interactive.watermark': '添加水印？',
+  'interactive.outputDirPicker': '您想使用目录选择器来选择输出目录吗？',
+  'interactive.selectOutputDir': '选择用于保存图像的输出目录：',
+  'interactive.outputDir': '用于保存图像的输出目录：',
+  'interactive.customJsonDir': '您是否要为 JSON 文件（请求/响应）使用自定义目录？',
+  'interactive.selectJsonDir': '选择用于保存 JSON 文件的目录：',
+  'interactive.jsonDir': '用于保存 JSON 文件的目录：',
+  'interactive.error': '交互模式出错：',
+  'interactive.useAdc': '未找到服务账户密钥文件。是否使用应用默认凭据（{path}）？',
+  'interactive.usingAdc': '使用应用默认凭据',
+  'interactive.usingVaultKey': '使用保管库中的服务账户: {email}',
+
+  // utils.js
+  'utils.unsupportedFormat': '不支持的输出格式: {format}（可选：png、jpeg）',
+  'utils.invalidQuality': '无效的压缩质量: {quality}（需要 0 到 100 之间的整数）',
+  'utils.metadataWriteFailed': '无法写入图像元数据：{message}',
+  'utils.fileSaved': '文件已保存到：{path}',
+  'utils.configDirCreated': '已创建配置目录：{dir}',
+
+  // template.js
+  'template.unsupportedMatrixOption': '不支持的矩阵参数: {key}（可选：aspect-ratio、negative-prompt、safety、model）',
+  'template.missingVariables': '提示模板中的变量没有提供值: {names}（使用 --var {first}=...）',
+  'template.invalidValue': '无效的 {flag} 值: {text}（格式：名称=值1|值2）',
+  'template.emptyValues': '模板变量和矩阵参数至少需要一个值',
+
+  // sheet.js
+  'sheet.noImages': '没有可用于联系表的图像',
+  'sheet.unreadable': '无法读取图像 {file}：{message}',
+  'sheet.imagesRequired': '需要至少一个图像',
+  'sheet.created': '联系表已生成：{count} 张图像，{width}x{height}',
+
+  // mock-server.js
+  'mock.unknownScenario': '未知的模拟场景: {scenario}（可选：{choices}）',
+  'mock.requestWithScenario': '{method} {path} → {status}（{scenario}）',
+  'mock.listenFailed': '无法启动模拟服务器: {message}',
+  'mock.listening': '模拟服务器正在监听 {url}（场景：{scenario}）',
+  'mock.setEnvironment': '在运行 CLI 的环境中设置：',
+  'mock.usageHint': '提示中包含 [mock:<场景>] 时，该请求使用指定的场景。按 Ctrl+C 停止。',
+
+  // cache.js
+  'cache.dir': '缓存目录：{dir}',
+  'cache.entries': '条目数：{count}',
+  'cache.size': '总大小：{size}（上限 {max}）',
+  'cache.pruneNeedsLimit': '需要 --older-than 或 --max-size',
+  'cache.pruned': '已删除 {count} 个缓存条目，释放 {freed}',
+  'cache.remaining': '剩余 {count} 个条目，共 {size}',
+  'cache.unknownAction': '未知的缓存操作: {action}',
+  'cache.invalidDuration': '无效的时长: {value}（示例：7d、12h、30m）',
+  'cache.invalidSize': '无效的大小: {value}（示例：500MB、2GB）',
+  'cache.writeFailed': '无法写入响应缓存，本次响应未缓存：{message}',
+
+  // session.js
+  'session.invalidName': '无效的会话名称: {name}（仅允许字母、数字、"_"、"-" 和 "."）',
+  'session.notFound': '会话不存在: {name}',
+  'session.exists': '会话已存在: {name}',
+  'session.none': '{dir} 中没有会话',
+  'session.listItem': '{name}\t{turns} 轮\t更新于 {updatedAt}',
+  'session.nameLabel': '会话名称',
+  'session.targetLabel': '新会话名称',
+  'session.required': '需要提供{label}',
+  'session.forked': '已将会话 {name} 复制为 {target}',
+  'session.deleted': '已删除会话 {name}',
+  'session.unknownAction': '未知的会话操作: {action}',
+  'session.name': '会话：{name}',
+  'session.createdAt': '创建于：{time}',
+  'session.updatedAt': '更新于：{time}',
+  'session.forkedFrom': '复制自：{name}',
+  'session.turn': '#{number} {role}（{time}）',
+  'session.roleUser': '用户',
+  'session.roleModel': '模型',
+  'session.inlineImage': '[图像 {mimeType}, ~{size} KB]',
+
+  // history.js
+  'history.unknown': '未知',
+  'history.defaultModel': '默认',
+  'history.none': '{path} 中没有匹配的记录',
+  'history.imageCount': '{count} 张',
+  'history.truncated': '（共 {total} 条，仅显示最近 {limit} 条；使用 --limit 显示更多）',
+  'history.idRequired': '需要提供记录 ID',
+  'history.notFound': '记录不存在: {id}',
+  'history.unknownAction': '未知的历史操作: {action}',
+  'history.invalidDate': '无效的日期: {value}（示例：2024-05-01、7d）',
+  'history.outcomeSuccess': '成功',
+  'history.outcomeBlocked': '被阻止',
+  'history.outcomeFailed': '失败',
+  'history.id': 'ID：{id}',
+  'history.time': '时间：{time}',
+  'history.command': '命令：{command}',
+  'history.api': 'API：{api}',
+  'history.model': '模型：{model}',
+  'history.prompt': '提示：{prompt}',
+  'history.outcome': '结果：{outcome}',
+  'history.outcomeCached': '结果：{outcome}（缓存）',
+  'history.blockReason': '阻止原因：{reason}',
+  'history.error': '错误：{error}',
+  'history.errorWithStatus': '错误：{error}（{status}）',
+  'history.blockedImages': '被过滤的图像：{count}',
+  'history.parameters': '参数：',
+  'history.images': '图像：',
+  'history.upscaled': '放大图像：',
+  'history.jsonFiles': 'JSON 文件：',
+  'history.statsRuns': '运行次数：{count}',
+  'history.statsSuccess': '成功：{count}',
+  'history.statsBlocked': '被阻止：{count}（{rate}）',
+  'history.statsFailed': '失败：{count}',
+  'history.statsImages': '生成图像：{count}',
+  'history.groupLine': '{key}：{runs} 次运行，阻止率 {rate}',
+  'history.groupImageRate': '，图像过滤率 {rate}',
+  'history.byApi': '按 API：',
+  'history.byModel': '按模型：',
+  'history.bySafety': '按安全级别（Imagen 生成）：',
+
+  // metadata.js
+  'metadata.imageNotFound': '图像未在以下路径找到 {path}',
+  'metadata.file': '文件：{path}',
+  'metadata.format': '格式：{format}',
+  'metadata.unknownFormat': '未知',
+  'metadata.size': '大小：{size} KB',
+  'metadata.readFailed': '无法读取元数据: {message}',
+  'metadata.none': '未找到生成元数据',
+  'metadata.fieldLine': '{label}：{value}',
+  'metadata.field.prompt': '提示',
+  'metadata.field.negativePrompt': '反向提示',
+  'metadata.field.model': '模型',
+  'metadata.field.api': 'API',
+  'metadata.field.seed': '种子',
+  'metadata.field.requestId': '请求 ID',
+  'metadata.field.createdAt': '创建时间',
+  'metadata.field.session': '会话',
+  'metadata.field.editMode': '编辑模式',
+  'metadata.field.editedFrom': '编辑自',
+  'metadata.field.upscaleFactor': '放大倍数',
+  'metadata.field.upscaleModel': '放大模型',
+  'metadata.field.upscaledFrom': '放大自',
+  'metadata.field.upscaleRequestId': '放大请求 ID',
+  'metadata.field.software': '软件',
+  'metadata.pngChunkTruncated': 'PNG 块 {type} 已截断',
+  'metadata.jpegTooLarge': '元数据过大，无法写入 JPEG XMP 段',
+  'metadata.webpUnrecognized': '无法识别的 WebP 图像数据',
+
+  // recorder.js
+  'recorder.replayDirNotFound': '回放目录不存在: {dir}'
+};
@@ -0,0 +1,525 @@
+import fs from 'fs';
+import zlib from 'zlib';
+import { detectImageMimeType } from './image.js';
+import { t } from './i18n.js';
+
+/**
+ * Name written as the creating software
+ */
+const SOFTWARE = 'imagen-gemini-cli';
+
+/**
+ * XMP namespace for generation fields
+ */
+const XMP_NAMESPACE = 'http://ns.imagen-gemini-cli/1.0/';
+
+/**
+ * Identifier that starts a JPEG APP1 XMP segment
+ */
+const JPEG_XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+
+/**
+ * Message keys of the fields printed first by `inspect`, in this order; any other fields follow
+ */
+const FIELD_LABELS = {
+  prompt: 'metadata.field.prompt',
+  negativePrompt: 'metadata.field.negativePrompt',
+  model: 'metadata.field.model',
+  api: 'metadata.field.api',
+  seed: 'metadata.field.seed',
+  requestId: 'metadata.field.requestId',
+  createdAt: 'metadata.field.createdAt',
+  session: 'metadata.field.session',
+  editMode: 'metadata.field.editMode',
+  editedFrom: 'metadata.field.editedFrom',
+  upscaleFactor: 'metadata.field.upscaleFactor',
+  upscaleModel: 'metadata.field.upscaleModel',
+  upscaledFrom: 'metadata.field.upscaledFrom',
+  upscaleRequestId: 'metadata.field.upscaleRequestId',
+  software: 'metadata.field.software'
+};
+
+let crcTable;
+
+/**
+ * Embed generation metadata into an encoded image.
+ * PNG gets one tEXt chunk per field (iTXt when the value is not Latin-1), JPEG and WebP an XMP packet.
+ * Fields already present are replaced. Other formats are returned unchanged.
+ * @param {Buffer} buffer - Encoded image
+ * @param {Object} metadata - Fields to embed (empty values are skipped)
+ * @returns {Buffer} Image with metadata
+ */
+export function embedImageMetadata(buffer, metadata) {
+  const fields = normalizeFields(metadata);
+
+  switch (detectImageMimeType(buffer)) {
+    case 'image/png':
+      return embedPngMetadata(buffer, fields);
+    case 'image/jpeg':
+      return embedJpegMetadata(buffer, fields);
+    case 'image/webp':
+      return embedWebpMetadata(buffer, fields);
+    default:
+      return buffer;
+  }
+}
+
+/**
+ * Read generation metadata from an encoded image
+ * @param {Buffer} buffer - Encoded image
+ * @returns {Object} Metadata fields (empty when the image carries none)
+ */
+export function readImageMetadata(buffer) {
+  switch (detectImageMimeType(buffer)) {
+    case 'image/png':
+      return readPngMetadata(buffer);
+    case 'image/jpeg': {
+      const xmp = findJpegXmp(buffer);
+      return xmp ? parseXmp(xmp) : {};
+    }
+    case 'image/webp': {
+      const chunk = listWebpChunks(buffer).find(item => item.type === 'XMP ');
+      return chunk ? parseXmp(chunk.data.toString('utf8')) : {};
+    }
+    default:
+      return {};
+  }
+}
+
+/**
+ * Read generation metadata from an image file, returning an empty object for unreadable files
+ * @param {string} filePath - Image path
+ * @returns {Object} Metadata fields
+ */
+export function readImageMetadataFile(filePath) {
+  try {
+    return readImageMetadata(fs.readFileSync(filePath));
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Run the `inspect` command: print the metadata embedded in an image
+ * @param {Object} argv - Command line arguments
+ * @returns {boolean} Whether the command succeeded
+ */
+export function runInspectCommand(argv) {
+  const { image } = argv;
+
+  if (!image || !fs.existsSync(image)) {
+    console.error(t('common.error', { message: t('metadata.imageNotFound', { path: image }) }));
+    return false;
+  }
+
+  const buffer = fs.readFileSync(image);
+  const mimeType = detectImageMimeType(buffer);
+
+  console.log(t('metadata.file', { path: image }));
+  console.log(t('metadata.format', { format: mimeType || t('metadata.unknownFormat') }));
+  console.log(t('metadata.size', { size: Math.ceil(buffer.length / 1024) }));
+
+  let metadata;
+  try {
+    metadata = readImageMetadata(buffer);
+  } catch (error) {
+    console.error(t('common.error', { message: t('metadata.readFailed', { message: error.message }) }));
+    return false;
+  }
+
+  const keys = Object.keys(metadata);
+  if (keys.length === 0) {
+    console.log(t('metadata.none'));
+    return true;
+  }
+
+  console.log('');
+  const ordered = [
+    ...Object.keys(FIELD_LABELS).filter(key => key in metadata),
+    ...keys.filter(key => !(key in FIELD_LABELS))
+  ];
+  ordered.forEach(key => {
+    console.log(t('metadata.fieldLine', { label: FIELD_LABELS[key] ? t(FIELD_LABELS[key]) : key, value: metadata[key] }));
+  });
+
+  return true;
+}
+
+/**
+ * Turn metadata into string fields, dropping empty values and adding the software name
+ * @param {Object} metadata - Metadata
+ * @returns {Object<string, string>} Fields
+ */
+function normalizeFields(metadata = {}) {
+  const fields = {};
+
+  for (const [key, value] of Object.entries(metadata)) {
+    if (value === undefined || value === null || value === '') continue;
+    fields[key] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  fields.software = SOFTWARE;
+  return fields;
+}
+
+/**
+ * Insert text chunks before IEND, dropping chunks with the same keywords
+ * @param {Buffer} buffer - PNG data
+ * @param {Object<string, string>} fields - Fields
+ * @returns {Buffer} PNG data
+ */
+function embedPngMetadata(buffer, fields) {
+  const chunks = listPngChunks(buffer).filter(chunk => {
+    if (chunk.type !== 'tEXt' && chunk.type !== 'iTXt' && chunk.type !== 'zTXt') return true;
+    const keyword = chunk.data.toString('latin1', 0, chunk.data.indexOf(0));
+    return !(keyword in fields);
+  });
+
+  const textChunks = Object.entries(fields).map(([key, value]) => {
+    // tEXt is Latin-1 only; anything else (e.g. Chinese prompts) goes into an uncompressed iTXt chunk
+    if (/^[\x20-\x7e\xa0-\xff\n]*$/.test(value)) {
+      return createPngChunk('tEXt', Buffer.concat([Buffer.from(`${key}\0`, 'latin1'), Buffer.from(value, 'latin1')]));
+    }
+    return createPngChunk('iTXt', Buffer.concat([
+      Buffer.from(`${key}\0\0\0\0\0`, 'latin1'),
+      Buffer.from(value, 'utf8')
+    ]));
+  });
+
+  const iendIndex = chunks.findIndex(chunk => chunk.type === 'IEND');
+  const parts = [buffer.subarray(0, 8)];
+  chunks.forEach((chunk, index) => {
+    if (index === iendIndex) parts.push(...textChunks);
+    parts.push(chunk.raw);
+  });
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Read tEXt, zTXt and iTXt chunks from a PNG
+ * @param {Buffer} buffer - PNG data
+ * @returns {Object<string, string>} Fields
+ */
+function readPngMetadata(buffer) {
+  const fields = {};
+
+  for (const chunk of listPngChunks(buffer)) {
+    const { type, data } = chunk;
+    const keywordEnd = data.indexOf(0);
+    if (keywordEnd <= 0) continue;
+    const keyword = data.toString('latin1', 0, keywordEnd);
+
+    if (type === 'tEXt') {
+      fields[keyword] = data.toString('latin1', keywordEnd + 1);
+    } else if (type === 'zTXt') {
+      fields[keyword] = zlib.inflateSync(data.subarray(keywordEnd + 2)).toString('latin1');
+    } else if (type === 'iTXt') {
+      const compressed = data[keywordEnd + 1] === 1;
+      const languageEnd = data.indexOf(0, keywordEnd + 3);
+      const translatedEnd = data.indexOf(0, languageEnd + 1);
+      const text = data.subarray(translatedEnd + 1);
+      fields[keyword] = (compressed ? zlib.inflateSync(text) : text).toString('utf8');
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Split a PNG into chunks
+ * @param {Buffer} buffer - PNG data
+ * @returns {Array<{ type: string, data: Buffer, raw: Buffer }>} Chunks
+ */
+function listPngChunks(buffer) {
+  const chunks = [];
+  let offset = 8;
+
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) {
+      throw new Error(t('metadata.pngChunkTruncated', { type }));
+    }
+
+    chunks.push({ type, data: buffer.subarray(offset + 8, offset + 8 + length), raw: buffer.subarray(offset, end) });
+    offset = end;
+    if (type === 'IEND') break;
+  }
+
+  return chunks;
+}
+
+/**
+ * Build a PNG chunk (length, type, data, CRC)
+ * @param {string} type - Chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Chunk
+ */
+function createPngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * CRC-32 as used by PNG
+ * @param {Buffer} data - Data
+ * @returns {number} CRC
+ */
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Insert an APP1 XMP segment after SOI/JFIF, replacing any existing XMP segment
+ * @param {Buffer} buffer - JPEG data
+ * @param {Object<string, string>} fields - Fields
+ * @returns {Buffer} JPEG data
+ */
+function embedJpegMetadata(buffer, fields) {
+  const payload = Buffer.concat([Buffer.from(JPEG_XMP_HEADER, 'latin1'), Buffer.from(buildXmp(fields), 'utf8')]);
+  if (payload.length + 2 > 0xffff) {
+    throw new Error(t('metadata.jpegTooLarge'));
+  }
+
+  const segment = Buffer.alloc(4);
+  segment.writeUInt16BE(0xffe1, 0);
+  segment.writeUInt16BE(payload.length + 2, 2);
+
+  const segments = listJpegSegments(buffer);
+  const kept = segments.filter(item => !item.isXmp);
+  // Keep a JFIF APP0 segment first, as the JFIF spec requires
+  const leading = kept.length > 0 && kept[0].marker === 0xe0 ? 1 : 0;
+  const rest = buffer.subarray(segments.length > 0 ? segments[segments.length - 1].end : 2);
+
+  return Buffer.concat([
+    buffer.subarray(0, 2),
+    ...kept.slice(0, leading).map(item => item.raw),
+    segment,
+    payload,
+    ...kept.slice(leading).map(item => item.raw),
+    rest
+  ]);
+}
+
+/**
+ * List JPEG marker segments up to (not including) the start of scan
+ * @param {Buffer} buffer - JPEG data
+ * @returns {Array<{ marker: number, raw: Buffer, end: number, isXmp: boolean }>} Segments
+ */
+function listJpegSegments(buffer) {
+  const segments = [];
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    if (marker === 0xda || marker === 0xd9) break;
+
+    const length = buffer.readUInt16BE(offset + 2);
+    const end = offset + 2 + length;
+    const isXmp = marker === 0xe1 &&
+      buffer.toString('latin1', offset + 4, offset + 4 + JPEG_XMP_HEADER.length) === JPEG_XMP_HEADER;
+
+    segments.push({ marker, raw: buffer.subarray(offset, end), end, isXmp });
+    offset = end;
+  }
+
+  return segments;
+}
+
+/**
+ * Find the XMP packet of a JPEG
+ * @param {Buffer} buffer - JPEG data
+ * @returns {string|null} XMP packet
+ */
+function findJpegXmp(buffer) {
+  const segment = listJpegSegments(buffer).find(item => item.isXmp);
+  return segment ? segment.raw.toString('utf8', 4 + JPEG_XMP_HEADER.length) : null;
+}
+
+/**
+ * Add or replace the XMP chunk of a WebP, converting simple WebP files to the extended (VP8X) format
+ * @param {Buffer} buffer - WebP data
+ * @param {Object<string, string>} fields - Fields
+ * @returns {Buffer} WebP data
+ */
+function embedWebpMetadata(buffer, fields) {
+  const chunks = listWebpChunks(buffer).filter(chunk => chunk.type !== 'XMP ');
+  let vp8x = chunks.find(chunk => chunk.type === 'VP8X');
+
+  if (!vp8x) {
+    const { width, height } = getWebpSize(chunks);
+    const data = Buffer.alloc(10);
+    data.writeUIntLE(width - 1, 4, 3);
+    data.writeUIntLE(height - 1, 7, 3);
+    vp8x = { type: 'VP8X', data };
+    chunks.unshift(vp8x);
+  } else {
+    vp8x.data = Buffer.from(vp8x.data);
+  }
+
+  // Set the XMP flag
+  vp8x.data[0] |= 0x04;
+  chunks.push({ type: 'XMP ', data: Buffer.from(buildXmp(fields), 'utf8') });
+
+  const body = Buffer.concat(chunks.map(chunk => createRiffChunk(chunk.type, chunk.data)));
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write('WEBP', 8, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Split a WebP file into RIFF chunks
+ * @param {Buffer} buffer - WebP data
+ * @returns {Array<{ type: string, data: Buffer }>} Chunks
+ */
+function listWebpChunks(buffer) {
+  const chunks = [];
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    chunks.push({ type, data: buffer.subarray(offset + 8, offset + 8 + size) });
+    offset += 8 + size + (size % 2);
+  }
+
+  return chunks;
+}
+
+/**
+ * Build a RIFF chunk, padded to an even length
+ * @param {string} type - Chunk FourCC
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Chunk
+ */
+function createRiffChunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.write(type, 0, 'latin1');
+  header.writeUInt32LE(data.length, 4);
+  return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+
+/**
+ * Read the canvas size of a simple (VP8 or VP8L) WebP
+ * @param {Array<Object>} chunks - WebP chunks
+ * @returns {{ width: number, height: number }} Size
+ */
+function getWebpSize(chunks) {
+  const lossy = chunks.find(chunk => chunk.type === 'VP8 ');
+  if (lossy) {
+    return {
+      width: lossy.data.readUInt16LE(6) & 0x3fff,
+      height: lossy.data.readUInt16LE(8) & 0x3fff
+    };
+  }
+
+  const lossless = chunks.find(chunk => chunk.type === 'VP8L');
+  if (lossless) {
+    const bits = lossless.data.readUInt32LE(1);
+    return {
+      width: (bits & 0x3fff) + 1,
+      height: ((bits >>> 14) & 0x3fff) + 1
+    };
+  }
+
+  throw new Error(t('metadata.webpUnrecognized'));
+}
+
+/**
+ * Build an XMP packet; the prompt is also written as dc:description so other tools show it
+ * @param {Object<string, string>} fields - Fields
+ * @returns {string} XMP packet
+ */
+function buildXmp(fields) {
+  const attributes = Object.entries(fields)
+    .filter(([key]) => /^[A-Za-z_][\w.-]*$/.test(key))
+    .map(([key, value]) => `\n    imagen:${key}="${escapeXml(value)}"`)
+    .join('');
+
+  const description = fields.prompt
+    ? `\n   <dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(fields.prompt)}</rdf:li></rdf:Alt></dc:description>`
+    : '';
+
+  return `<?xpacket begin="\ufeff" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about=""
+    xmlns:dc="http://purl.org/dc/elements/1.1/"
+    xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+    xmlns:imagen="${XMP_NAMESPACE}"
+    xmp:CreatorTool="${SOFTWARE}"${attributes}>${description}
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+/**
+ * Read the generation fields from an XMP packet
+ * @param {string} xmp - XMP packet
+ * @returns {Object<string, string>} Fields
+ */
+function parseXmp(xmp) {
+  const fields = {};
+  const pattern = /\simagen:([\w.-]+)="([^"]*)"/g;
+  let match;
+
+  while ((match = pattern.exec(xmp)) !== null) {
+    fields[match[1]] = unescapeXml(match[2]);
+  }
+
+  return fields;
+}
+
+/**
+ * Escape a value for an XML attribute or text node
+ * @param {string} value - Value
+ * @returns {string} Escaped value
+ */
+function escapeXml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\n/g, '&#10;');
+}
+
+/**
+ * Reverse escapeXml (plus numeric character references)
+ * @param {string} value - Escaped value
+ * @returns {string} Value
+ */
+function unescapeXml(value) {
+  return value
+    .replace(/&#(\d+);/g, (entity, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (entity, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
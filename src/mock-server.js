@@ -0,0 +1,309 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import crypto from 'crypto';
+import { createBitmap, fillRect, encodePng, encodeJpeg } from './image.js';
+import { t } from './i18n.js';
+
+/**
+ * Canned responses the mock server can be configured to return
+ */
+export const MOCK_SCENARIOS = ['images', 'rai', 'rai-partial', 'image-safety', 'text', 'empty', '429', '500'];
+
+/**
+ * Colours cycled through for generated mock images
+ */
+const MOCK_COLORS = [
+  [200, 60, 50, 255],
+  [50, 150, 70, 255],
+  [50, 80, 200, 255],
+  [230, 190, 60, 255]
+];
+
+/**
+ * Create the mock API server. It answers Imagen `:predict`, Gemini `:generateContent` and OAuth
+ * token requests with canned responses; a prompt containing `[mock:<scenario>]` overrides the
+ * server's scenario for that request.
+ * @param {Object} [options] - Server options
+ * @param {string} [options.scenario='images'] - One of MOCK_SCENARIOS
+ * @param {number} [options.failTimes=0] - For 429 / 500: fail this many requests, then return images (0 = always fail)
+ * @param {Object} [options.logger=console] - Logger
+ * @returns {http.Server} Server (not yet listening)
+ */
+export function createMockServer(options = {}) {
+  const { scenario = 'images', failTimes = 0, logger = console } = options;
+  if (!MOCK_SCENARIOS.includes(scenario)) {
+    throw new Error(t('mock.unknownScenario', { scenario, choices: MOCK_SCENARIOS.join(', ') }));
+  }
+
+  let failures = 0;
+
+  return http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const body = Buffer.concat(chunks).toString('utf8');
+      let reply;
+
+      try {
+        if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/health')) {
+          reply = { status: 200, body: { status: 'ok', scenario } };
+        } else if (req.method === 'POST' && url.pathname.endsWith('/token')) {
+          reply = handleToken(body);
+        } else if (req.method === 'POST' && (url.pathname.endsWith(':predict') || url.pathname.endsWith(':generateContent'))) {
+          const api = url.pathname.endsWith(':predict') ? 'imagen' : 'gemini';
+          const request = JSON.parse(body || '{}');
+          const active = getRequestScenario(api, request) || scenario;
+
+          // Vertex AI paths (Imagen, and Gemini on Vertex) take a bearer token, the Gemini Developer API a key
+          const vertex = url.pathname.includes('/publishers/google/models/');
+
+          if (vertex && !/^Bearer \S+/.test(req.headers.authorization || '')) {
+            reply = errorReply(401, 'UNAUTHENTICATED', 'Request is missing a valid bearer token.');
+          } else if (!vertex && !url.searchParams.get('key') && !req.headers['x-goog-api-key']) {
+            reply = errorReply(403, 'PERMISSION_DENIED', 'Method doesn\'t allow unregistered callers. Please use an API key.');
+          } else if ((active === '429' || active === '500') && (failTimes === 0 || failures < failTimes)) {
+            failures++;
+            reply = active === '429'
+              ? { ...errorReply(429, 'RESOURCE_EXHAUSTED', 'Quota exceeded (mock).'), headers: { 'Retry-After': '1' } }
+              : errorReply(500, 'INTERNAL', 'Internal error encountered (mock).');
+          } else {
+            reply = {
+              status: 200,
+              body: api === 'imagen' ? buildPredictResponse(request, active) : buildGenerateContentResponse(request, active)
+            };
+          }
+          reply.scenario = active;
+        } else {
+          reply = errorReply(404, 'NOT_FOUND', `No mock route for ${req.method} ${url.pathname}`);
+        }
+      } catch (error) {
+        reply = errorReply(400, 'INVALID_ARGUMENT', `Invalid request: ${error.message}`);
+      }
+
+      logger.log(reply.scenario
+        ? t('mock.requestWithScenario', { method: req.method, path: url.pathname, status: reply.status, scenario: reply.scenario })
+        : `${req.method} ${url.pathname} → ${reply.status}`);
+      res.writeHead(reply.status, { 'Content-Type': 'application/json', ...reply.headers });
+      res.end(JSON.stringify(reply.body));
+    });
+  });
+}
+
+/**
+ * Write a service account key whose requests the mock token endpoint accepts.
+ * The key pair is freshly generated, so the file is useless against real Google endpoints.
+ * @param {string} filePath - Key file path
+ * @param {string} tokenUrl - Token endpoint recorded as `token_uri`
+ * @returns {string} Key file path
+ */
+export function writeMockKeyFile(filePath, tokenUrl) {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+  });
+
+  const key = {
+    type: 'service_account',
+    project_id: 'mock-project',
+    private_key_id: crypto.randomBytes(20).toString('hex'),
+    private_key: privateKey,
+    client_email: 'mock@mock-project.iam.gserviceaccount.com',
+    client_id: '000000000000000000000',
+    token_uri: tokenUrl
+  };
+
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify(key, null, 2)}\n`, { mode: 0o600 });
+  return filePath;
+}
+
+/**
+ * Run the `mock-server` command: serve until interrupted
+ * @param {Object} argv - Command line arguments (port, host, scenario, failTimes, writeKeyFile)
+ * @returns {Promise<boolean>} Resolves false when the server cannot start; otherwise never settles
+ */
+export async function runMockServerCommand(argv) {
+  let server;
+  try {
+    server = createMockServer({ scenario: argv.scenario, failTimes: Math.max(0, parseInt(argv.failTimes, 10) || 0) });
+  } catch (error) {
+    console.error(t('common.error', { message: error.message }));
+    return false;
+  }
+
+  const host = argv.host || '127.0.0.1';
+  const port = argv.port === undefined ? 8787 : argv.port;
+
+  try {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, resolve);
+    });
+  } catch (error) {
+    console.error(t('common.error', { message: t('mock.listenFailed', { message: error.message }) }));
+    return false;
+  }
+
+  const address = server.address();
+  const baseUrl = `http://${host.includes(':') ? `[${host}]` : host}:${address.port}`;
+
+  console.log(t('mock.listening', { url: baseUrl, scenario: argv.scenario || 'images' }));
+  console.log(t('mock.setEnvironment'));
+  console.log(`  IMAGEN_API_DOMAIN=${baseUrl}`);
+  console.log(`  GEMINI_API_DOMAIN=${baseUrl}`);
+  console.log(`  GOOGLE_TOKEN_URL=${baseUrl}/token`);
+
+  if (argv.writeKeyFile) {
+    writeMockKeyFile(argv.writeKeyFile, `${baseUrl}/token`);
+    console.log(`  GOOGLE_APPLICATION_CREDENTIALS=${path.resolve(argv.writeKeyFile)}`);
+  }
+  console.log(t('mock.usageHint'));
+
+  return new Promise(() => {});
+}
+
+/**
+ * Read a `[mock:<scenario>]` marker from the request's prompt
+ * @param {string} api - 'imagen' or 'gemini'
+ * @param {Object} request - Request body
+ * @returns {string|null} Scenario, or null when the prompt has no valid marker
+ */
+function getRequestScenario(api, request) {
+  let prompt = '';
+  if (api === 'imagen') {
+    prompt = (request.instances || []).map(instance => instance.prompt || '').join(' ');
+  } else {
+    const contents = request.contents || [];
+    const last = contents[contents.length - 1];
+    prompt = last && last.parts ? last.parts.map(part => part.text || '').join(' ') : '';
+  }
+
+  const match = prompt.match(/\[mock:([\w-]+)\]/);
+  return match && MOCK_SCENARIOS.includes(match[1]) ? match[1] : null;
+}
+
+/**
+ * Answer an OAuth token request (JWT bearer grant)
+ * @param {string} body - Form-encoded request body
+ * @returns {Object} Reply
+ */
+function handleToken(body) {
+  const params = new URLSearchParams(body);
+  if (params.get('grant_type') !== 'urn:ietf:params:oauth:grant-type:jwt-bearer' || !params.get('assertion')) {
+    return { status: 400, body: { error: 'invalid_grant', error_description: 'Expected a JWT bearer assertion' } };
+  }
+  return {
+    status: 200,
+    body: { access_token: `mock-token-${crypto.randomBytes(8).toString('hex')}`, expires_in: 3600, token_type: 'Bearer' }
+  };
+}
+
+/**
+ * Build a Google API style error reply
+ * @param {number} code - HTTP status
+ * @param {string} status - Error status name
+ * @param {string} message - Error message
+ * @returns {Object} Reply
+ */
+function errorReply(code, status, message) {
+  return { status: code, body: { error: { code, message, status } } };
+}
+
+/**
+ * Build an Imagen `:predict` response
+ * @param {Object} request - Request body
+ * @param {string} scenario - Active scenario
+ * @returns {Object} Response body
+ */
+function buildPredictResponse(request, scenario) {
+  const parameters = request.parameters || {};
+
+  if (scenario === 'rai' || scenario === 'image-safety') {
+    return {
+      predictions: [{
+        raiFilteredReason: 'Unable to show generated images. All images were filtered out because they violated Vertex AI\'s usage guidelines. You will not be charged for blocked images. Try rephrasing the prompt. (mock)'
+      }]
+    };
+  }
+
+  const count = Math.max(1, parseInt(parameters.sampleCount, 10) || 1);
+  const outputOptions = parameters.outputOptions || {};
+  const mimeType = outputOptions.mimeType === 'image/jpeg' ? 'image/jpeg' : 'image/png';
+  const shown = scenario === 'rai-partial' && count > 1 ? count - 1 : count;
+
+  const predictions = Array.from({ length: shown }, (_, index) => ({
+    bytesBase64Encoded: createMockImage(index, parameters.aspectRatio, mimeType, outputOptions.compressionQuality).toString('base64'),
+    mimeType
+  }));
+
+  if (scenario === 'rai-partial') {
+    predictions.push({
+      raiFilteredReason: `Your current safety filter threshold filtered out ${count - shown || 1} generated images. You will not be charged for blocked images. (mock)`
+    });
+  }
+
+  return { predictions };
+}
+
+/**
+ * Build a Gemini `:generateContent` response
+ * @param {Object} request - Request body
+ * @param {string} scenario - Active scenario
+ * @returns {Object} Response body
+ */
+function buildGenerateContentResponse(request, scenario) {
+  const generationConfig = request.generationConfig || {};
+  const count = Math.max(1, parseInt(generationConfig.candidateCount, 10) || 1);
+
+  const candidates = Array.from({ length: count }, (_, index) => {
+    if (scenario === 'image-safety' || scenario === 'rai' || (scenario === 'rai-partial' && index === 0 && count > 1)) {
+      return { finishReason: 'IMAGE_SAFETY', index };
+    }
+    if (scenario === 'empty') {
+      return { content: { role: 'model', parts: [] }, finishReason: 'OTHER', index };
+    }
+    if (scenario === 'text') {
+      return {
+        content: { role: 'model', parts: [{ text: 'I can\'t generate that image. (mock)' }] },
+        finishReason: 'STOP',
+        index
+      };
+    }
+    return {
+      content: {
+        role: 'model',
+        parts: [
+          { text: `Here is the mock image${count > 1 ? ` for candidate ${index + 1}` : ''}.` },
+          { inlineData: { mimeType: 'image/png', data: createMockImage(index, null, 'image/png').toString('base64') } }
+        ]
+      },
+      finishReason: 'STOP',
+      index
+    };
+  });
+
+  return { candidates, modelVersion: 'mock' };
+}
+
+/**
+ * Draw a small placeholder image: a coloured frame around a light panel
+ * @param {number} index - Image index (selects the colour)
+ * @param {string} [aspectRatio] - Aspect ratio such as '16:9'
+ * @param {string} mimeType - 'image/png' or 'image/jpeg'
+ * @param {number} [quality] - JPEG quality
+ * @returns {Buffer} Encoded image
+ */
+function createMockImage(index, aspectRatio, mimeType, quality) {
+  const [w, h] = String(aspectRatio || '1:1').split(':').map(Number);
+  const ratio = w > 0 && h > 0 ? w / h : 1;
+  const width = ratio >= 1 ? Math.round(64 * ratio) : 64;
+  const height = ratio >= 1 ? 64 : Math.round(64 / ratio);
+
+  const bitmap = createBitmap(width, height, MOCK_COLORS[index % MOCK_COLORS.length]);
+  fillRect(bitmap, 8, 8, width - 16, height - 16, [245, 245, 245, 255]);
+
+  return mimeType === 'image/jpeg' ? encodeJpeg(bitmap, quality) : encodePng(bitmap);
+}
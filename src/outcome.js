@@ -0,0 +1,159 @@
+/**
+ * Process exit codes per error category. Scripts can tell a safety block from a bad key or a
+ * network failure without parsing output.
+ */
+export const EXIT_CODES = {
+  success: 0,
+  error: 1,
+  validation: 2,
+  auth: 3,
+  safety: 4,
+  quota: 5,
+  network: 6
+};
+
+// Error codes of network failures (DNS, refused or reset connections, timeouts)
+const NETWORK_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EPIPE',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT'
+];
+
+/**
+ * Create an error for input rejected before any request is sent
+ * @param {string} message - Error message
+ * @returns {Error} Error with `category: 'validation'`
+ */
+export function createValidationError(message) {
+  const error = new Error(message);
+  error.category = 'validation';
+  return error;
+}
+
+/**
+ * Categorize a thrown error
+ * @param {Error} error - Error
+ * @returns {string|undefined} 'network', the error's own category, or undefined when unknown
+ */
+export function getErrorCategory(error) {
+  if (!error) {
+    return undefined;
+  }
+  if (error.category) {
+    return error.category;
+  }
+  if (NETWORK_ERROR_CODES.includes(error.code) || NETWORK_ERROR_CODES.includes(error.errno) ||
+      error.type === 'system' || error.type === 'request-timeout') {
+    return 'network';
+  }
+  return undefined;
+}
+
+/**
+ * Categorize a generation result
+ * @param {Object} result - Generation result
+ * @returns {string|null} Error category (a key of EXIT_CODES), or null for a successful run
+ */
+export function getResultCategory(result) {
+  if (result.success) {
+    return null;
+  }
+  if (result.errorCategory) {
+    return result.errorCategory;
+  }
+  if (result.blocked || result.safetyBlock || result.raiFiltered) {
+    return 'safety';
+  }
+  if (result.invalidOptions) {
+    return 'validation';
+  }
+
+  const status = result.statusCode;
+  // Gemini answers an invalid API key with 400 INVALID_ARGUMENT
+  if (status === 401 || status === 403 || (status === 400 && /API_KEY_INVALID|API key not valid/.test(result.details || ''))) {
+    return 'auth';
+  }
+  if (status === 429) {
+    return 'quota';
+  }
+  if (status === 400 || status === 404) {
+    return 'validation';
+  }
+  return 'error';
+}
+
+/**
+ * Get the process exit code for a generation result
+ * @param {Object} result - Generation result
+ * @returns {number} Exit code
+ */
+export function getExitCode(result) {
+  const category = getResultCategory(result);
+  return category ? EXIT_CODES[category] || EXIT_CODES.error : EXIT_CODES.success;
+}
+
+/**
+ * Build the single structured result printed by `--json`
+ * @param {Object} result - Generation result
+ * @param {Object} context - Run context
+ * @param {string} context.command - 'generate', 'edit' or 'upscale'
+ * @param {string} [context.api] - API used
+ * @param {number} [context.count] - Requested image count (all of them are blocked when every image was filtered)
+ * @param {string} [context.contactSheet] - Contact sheet path
+ * @returns {Object} JSON-safe result (image buffers are left out)
+ */
+export function buildJsonResult(result, context) {
+  const category = getResultCategory(result);
+
+  return {
+    status: category === null ? 'success' : (category === 'safety' ? 'blocked' : 'failed'),
+    exitCode: getExitCode(result),
+    command: context.command,
+    api: context.api,
+    model: result.model,
+    requestId: result.requestId,
+    images: result.images || [],
+    upscaled: result.upscaled,
+    generated: result.generated,
+    blocked: result.raiFiltered ? Number(context.count) || 1 : getBlockedCount(result),
+    raiReasons: result.raiReasons || (result.raiFiltered && result.details ? [result.details] : undefined),
+    text: result.text,
+    textFile: result.textFile,
+    contactSheet: context.contactSheet,
+    cached: result.cached,
+    jsonFiles: result.jsonFiles,
+    seeds: result.seeds,
+    combinations: result.combinations,
+    candidates: result.candidates,
+    results: result.results ? result.results.map(item => buildJsonResult(item, context)) : undefined,
+    error: category === null ? null : {
+      category,
+      message: result.error,
+      statusCode: result.statusCode,
+      details: result.details
+    },
+    warning: result.upscaleError || result.warning
+  };
+}
+
+/**
+ * Number of images blocked by safety filters
+ * @param {Object} result - Generation result
+ * @returns {number} Blocked images (0 when none)
+ */
+function getBlockedCount(result) {
+  if (typeof result.blocked === 'number') {
+    return result.blocked;
+  }
+  if (typeof result.blockedCount === 'number') {
+    return result.blockedCount;
+  }
+  return 0;
+}
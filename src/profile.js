@@ -0,0 +1,202 @@
+import path from 'path';
+import { getConfig, saveConfig } from './config.js';
+import { getProfileEntryName, hasVaultEntry, removeVaultEntry, storeVaultSecret } from './vault.js';
+import { createValidationError } from './outcome.js';
+import { t } from './i18n.js';
+
+/**
+ * Options a profile can hold (camelCase, as in argv). The Gemini key is not among them:
+ * `--gemini-key` given to `profile create` goes into the credential vault instead.
+ */
+export const PROFILE_OPTIONS = [
+  // Credentials and project
+  'projectId',
+  'location',
+  'keyFile',
+  'adc',
+  'impersonateServiceAccount',
+  // Defaults
+  'api',
+  'geminiBackend',
+  'model',
+  'outputDir',
+  'jsonDir',
+  'outputFormat',
+  'compressionQuality',
+  // Generation defaults
+  'aspectRatio',
+  'count',
+  'negativePrompt',
+  'enhance',
+  'personGeneration',
+  'safety',
+  'temperature',
+  'topP',
+  'topK',
+  'candidateCount',
+  'maxOutputTokens',
+  'watermark',
+  'upscale',
+  'upscaleModel',
+  'contactSheet',
+  'cache',
+  'concurrency',
+  'maxRetries'
+];
+
+// Credentials a profile may keep in the vault, under `<entry>@<profile>`
+const PROFILE_VAULT_ENTRIES = ['gemini-api-key', 'service-account'];
+
+const PROFILE_NAME_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Find the profile for this run: `--profile`, then IMAGEN_PROFILE, then the one chosen with `profile use`
+ * @param {Object} argv - Command line arguments
+ * @returns {{ name: string, settings: Object }|null} Profile, or null if none is selected
+ * @throws {Error} If the selected profile does not exist (`category: 'validation'`)
+ */
+export function resolveProfile(argv) {
+  const { profiles, activeProfile } = getConfig();
+  const name = argv.profile || process.env.IMAGEN_PROFILE || activeProfile;
+
+  if (!name) {
+    return null;
+  }
+  if (!profiles[name]) {
+    throw createValidationError(t('profile.notFound', { name, names: Object.keys(profiles).join(', ') || t('common.none') }));
+  }
+
+  const { createdAt, updatedAt, ...settings } = profiles[name];
+  return { name, settings };
+}
+
+/**
+ * Run a `profile` subcommand (create, list, use, delete)
+ * @param {Object} argv - Command line arguments (`action`, `name`)
+ * @param {Object} settings - Profile options given explicitly on the command line
+ * @returns {Promise<boolean>} True on success
+ * @throws {Error} On errors with a `category` (such as a locked vault), which map to their exit codes
+ */
+export async function runProfileCommand(argv, settings) {
+  const { action, name } = argv;
+  const { profiles, activeProfile } = getConfig();
+
+  try {
+    switch (action) {
+      case 'create': {
+        validateProfileName(name);
+        const { geminiKey, ...options } = settings;
+
+        if (Object.keys(options).length === 0 && !geminiKey) {
+          console.error(t('common.error', { message: t('profile.createUsage') }));
+          return false;
+        }
+
+        // Key files are stored as absolute paths so the profile works from any directory
+        if (options.keyFile) {
+          options.keyFile = path.resolve(options.keyFile);
+        }
+
+        // Store the key first so a locked vault leaves no half-created profile behind
+        if (geminiKey) {
+          await storeVaultSecret(getProfileEntryName('gemini-api-key', name), geminiKey, argv);
+        }
+
+        const existing = profiles[name];
+        const now = new Date().toISOString();
+        saveConfig({
+          profiles: {
+            ...profiles,
+            [name]: { ...existing, ...options, createdAt: existing ? existing.createdAt : now, updatedAt: now }
+          }
+        });
+
+        console.log(t(existing ? 'profile.updated' : 'profile.created', { name }));
+        printProfile(name, { ...existing, ...options });
+        return true;
+      }
+
+      case 'list': {
+        const names = Object.keys(profiles);
+        if (names.length === 0) {
+          console.log(t('profile.empty'));
+          return true;
+        }
+
+        names.forEach(profileName => printProfile(profileName, profiles[profileName], profileName === activeProfile));
+        if (process.env.IMAGEN_PROFILE) {
+          console.log(t('profile.envOverride', { name: process.env.IMAGEN_PROFILE }));
+        }
+        return true;
+      }
+
+      case 'use':
+        // Without a name the default profile is cleared
+        if (!name) {
+          saveConfig({ activeProfile: null });
+          console.log(t('profile.cleared'));
+          return true;
+        }
+        if (!profiles[name]) {
+          console.error(t('common.error', { message: t('profile.notFound', { name, names: Object.keys(profiles).join(', ') || t('common.none') }) }));
+          return false;
+        }
+
+        saveConfig({ activeProfile: name });
+        console.log(t('profile.activated', { name }));
+        return true;
+
+      case 'delete': {
+        if (!name || !profiles[name]) {
+          console.error(t('common.error', { message: t('profile.notFound', { name: name || '', names: Object.keys(profiles).join(', ') || t('common.none') }) }));
+          return false;
+        }
+
+        const { [name]: deleted, ...remaining } = profiles;
+        saveConfig({ profiles: remaining, ...(activeProfile === name ? { activeProfile: null } : {}) });
+        PROFILE_VAULT_ENTRIES.forEach(entry => removeVaultEntry(getProfileEntryName(entry, name)));
+        console.log(t('profile.deleted', { name }));
+        return true;
+      }
+
+      default:
+        console.error(t('common.error', { message: t('profile.unknownAction', { action }) }));
+        return false;
+    }
+  } catch (error) {
+    // Categorized errors carry their own exit code; the caller reports them
+    if (error.category) {
+      throw error;
+    }
+    console.error(t('common.error', { message: error.message }));
+    return false;
+  }
+}
+
+/**
+ * Reject profile names that could not be used as a vault entry suffix
+ * @param {string} name - Profile name
+ */
+function validateProfileName(name) {
+  if (!name || !PROFILE_NAME_PATTERN.test(name)) {
+    throw createValidationError(t('profile.invalidName', { name: name || '' }));
+  }
+}
+
+/**
+ * Print a profile's settings; credentials in the vault are only named, never shown
+ * @param {string} name - Profile name
+ * @param {Object} profile - Stored profile
+ * @param {boolean} [active=false] - Whether this is the default profile
+ */
+function printProfile(name, profile, active = false) {
+  console.log(`${active ? '*' : ' '} ${name}${active ? ` ${t('profile.activeMarker')}` : ''}`);
+
+  Object.keys(profile)
+    .filter(key => PROFILE_OPTIONS.includes(key))
+    .forEach(key => console.log(`    ${key}: ${profile[key]}`));
+
+  PROFILE_VAULT_ENTRIES
+    .filter(entry => hasVaultEntry(getProfileEntryName(entry, name)))
+    .forEach(entry => console.log(`    ${entry}: ${t('profile.inVault')}`));
+}
@@ -1,35 +1,73 @@
 import os from 'os';
+import net from 'net';
+import tls from 'tls';
 import fetch from 'node-fetch';
 import { HttpsProxyAgent } from 'https-proxy-agent';
-import { getConfig, saveConfig } from './config.js';
-import { debug } from './utils.js';
+import { SocksProxyAgent } from 'socks-proxy-agent';
+import { getConfig, getConfigPath, saveConfig } from './config.js';
+import { GOOGLE_TOKEN_ENDPOINT } from './auth.js';
+import { debug, getLogger, getApiBaseUrl, getVertexBaseUrl } from './utils.js';
+import { recordExchange, replayExchange } from './recorder.js';
+import { createValidationError } from './outcome.js';
+import { t } from './i18n.js';
 import fs from 'fs';
 import path from 'path';
 
-// Flag to track if proxy settings have been logged
-let proxySettingsLogged = false;
+// Proxies whose use has already been logged
+const loggedProxies = new Set();
+
+// Proxy URL schemes handled by SocksProxyAgent (socks5h and socks4a resolve host names on the proxy)
+const SOCKS_PROTOCOLS = ['socks:', 'socks4:', 'socks4a:', 'socks5:', 'socks5h:'];
+
+// Proxy URL schemes handled by HttpsProxyAgent (CONNECT tunnels)
+const HTTP_PROTOCOLS = ['http:', 'https:'];
+
+// Agents per proxy URL, so connections to the same proxy are reused
+const proxyAgents = new Map();
+
+// Stored proxy settings that `proxy set` and `proxy clear` edit, by command line name
+const PROXY_SETTING_KEYS = {
+  'https-proxy': 'httpsProxy',
+  'http-proxy': 'httpProxy',
+  'no-proxy': 'noProxy'
+};
+
+// TLS error codes that usually mean an intercepting proxy presents its own certificate
+const TLS_ERROR_CODES = [
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+  'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+  'SELF_SIGNED_CERT_IN_CHAIN',
+  'DEPTH_ZERO_SELF_SIGNED_CERT',
+  'CERT_HAS_EXPIRED',
+  'ERR_TLS_CERT_ALTNAME_INVALID'
+];
+
+const DEFAULT_PROXY_TEST_TIMEOUT_SECONDS = 10;
 
 /**
  * Detect system proxy settings
  * @param {Object} argv - Command line arguments
- * @returns {Object} Proxy settings
+ * @param {Object} [options] - Detection options
+ * @param {boolean} [options.save=true] - Store newly detected settings in the config store
+ * @returns {Object} Proxy settings (httpProxy, httpsProxy, noProxy) with `source`: 'stored' or 'env'
  */
-export function detectSystemProxy(argv) {
-  const config = getConfig();
+export function detectSystemProxy(argv, options = {}) {
+  // Library callers opt out of the config store with useConfigStore: false
+  const useConfigStore = argv.useConfigStore !== false;
   
   // Check if we already have stored proxy settings and no force detection
-  const storedProxySettings = config.proxySettings;
+  const storedProxySettings = useConfigStore ? getConfig().proxySettings : null;
   if (storedProxySettings && !argv.detectProxy) {
     debug(argv, 'Using stored proxy settings');
-    return storedProxySettings;
+    return { ...storedProxySettings, source: 'stored' };
   }
   
   let httpProxy = process.env.HTTP_PROXY || process.env.http_proxy;
   let httpsProxy = process.env.HTTPS_PROXY || process.env.https_proxy;
   const noProxy = process.env.NO_PROXY || process.env.no_proxy;
   
-  debug(argv, `Environment HTTP_PROXY: ${httpProxy || 'not set'}`);
-  debug(argv, `Environment HTTPS_PROXY: ${httpsProxy || 'not set'}`);
+  debug(argv, `Environment HTTP_PROXY: ${maskProxyUrl(httpProxy) || 'not set'}`);
+  debug(argv, `Environment HTTPS_PROXY: ${maskProxyUrl(httpsProxy) || 'not set'}`);
   debug(argv, `Environment NO_PROXY: ${noProxy || 'not set'}`);
   
   // Windows-specific registry proxy detection
@@ -47,7 +85,7 @@ export function detectSystemProxy(argv) {
   // If HTTPS_PROXY is not set but HTTP_PROXY is, use HTTP_PROXY for HTTPS as well
   if (!httpsProxy && httpProxy) {
     httpsProxy = httpProxy;
-    debug(argv, `Using HTTP_PROXY for HTTPS connections: ${httpsProxy}`);
+    debug(argv, `Using HTTP_PROXY for HTTPS connections: ${maskProxyUrl(httpsProxy)}`);
   }
   
   const proxySettings = {
@@ -56,52 +94,216 @@ export function detectSystemProxy(argv) {
     noProxy
   };
   
-  // Store detected settings for future use
-  saveConfig({ proxySettings });
+  // Store detected settings for future use (an empty result is not stored, so a proxy
+  // configured later is still picked up)
+  if (useConfigStore && options.save !== false && (httpProxy || httpsProxy || noProxy)) {
+    saveConfig({ proxySettings: { ...proxySettings, origin: 'detected', savedAt: new Date().toISOString() } });
+  }
   
-  return proxySettings;
+  return { ...proxySettings, source: 'env' };
 }
 
 /**
  * Create proxy agent based on system settings
  * @param {Object} argv - Command line arguments
- * @returns {HttpsProxyAgent|null} Proxy agent or null if no proxy
+ * @param {string} [url] - Request URL; when given, proxy rules and NO_PROXY decide whether it uses a proxy
+ * @returns {HttpsProxyAgent|SocksProxyAgent|null} Proxy agent or null if no proxy
+ */
+export function createProxyAgent(argv, url) {
+  const route = resolveProxyRoute(argv, url);
+  return route.proxy ? getProxyAgent(route.proxy) : null;
+}
+
+/**
+ * Create an agent function for fetch implementations that pick the agent per request URL
+ * (node-fetch, and google-auth-library through `transporterOptions.agent`), so redirects and
+ * token requests follow the same rules as API calls
+ * @param {Object} argv - Command line arguments
+ * @returns {Function} `(parsedUrl) => agent|undefined`
+ */
+export function createProxyAgentResolver(argv) {
+  return parsedUrl => createProxyAgent(argv, parsedUrl.href) || undefined;
+}
+
+/**
+ * Decide which proxy a request uses. In order: --no-proxy, the first matching proxy rule
+ * (--proxy-rule, then PROXY_RULES), NO_PROXY, an explicit proxy, SYSTEM_PROXY, detected settings.
+ * @param {Object} argv - Command line arguments
+ * @param {string} [url] - Request URL (without it only the default proxy is resolved)
+ * @param {Object} [options] - Resolution options
+ * @param {boolean} [options.inspect=false] - Only report the route: leave SYSTEM_PROXY and the config store untouched
+ * @returns {{ proxy: string|null, source: string, pattern?: string, origin?: string }} Proxy URL (null for a
+ *   direct connection) and what chose it: 'disabled', 'rule', 'no-proxy', 'explicit', 'system', 'env'
+ *   (HTTPS_PROXY / HTTP_PROXY), 'stored' (config store) or 'none'; `origin` names where a rule or NO_PROXY came from
  */
-export function createProxyAgent(argv) {
-  // If no-proxy flag is set, don't use a proxy
-  if (argv.noProxy) {
+export function resolveProxyRoute(argv, url, options = {}) {
+  // If no-proxy flag is set, don't use a proxy (yargs reports --no-proxy as proxy: false)
+  if (argv.noProxy || argv.proxy === false) {
     debug(argv, 'Proxy usage disabled with --no-proxy flag');
-    return null;
+    return { proxy: null, source: 'disabled' };
+  }
+  
+  if (url) {
+    const rule = getProxyRules(argv).find(item => matchesHostPattern(url, item.pattern));
+    if (rule) {
+      debug(argv, `Proxy rule ${rule.pattern} matches ${url}: ${maskProxyUrl(rule.proxy) || 'direct'}`);
+      return { proxy: rule.proxy, source: 'rule', pattern: rule.pattern, origin: rule.origin };
+    }
+    
+    const noProxy = getNoProxy(argv);
+    const pattern = splitList(noProxy.value).find(item => matchesHostPattern(url, item));
+    if (pattern) {
+      debug(argv, `NO_PROXY entry ${pattern} matches ${url}, connecting directly`);
+      return { proxy: null, source: 'no-proxy', pattern, origin: noProxy.origin };
+    }
+  }
+  
+  // An explicit proxy URL (library option) wins over anything detected
+  if (typeof argv.proxy === 'string' && argv.proxy) {
+    debug(argv, `Using explicitly configured proxy: ${maskProxyUrl(argv.proxy)}`);
+    return { proxy: normalizeProxyUrl(argv.proxy), source: 'explicit' };
   }
   
   // Prioritize explicit SYSTEM_PROXY environment variable if set
   if (process.env.SYSTEM_PROXY) {
-    debug(argv, `Using explicit SYSTEM_PROXY environment variable: ${process.env.SYSTEM_PROXY}`);
-    return new HttpsProxyAgent(process.env.SYSTEM_PROXY);
+    debug(argv, `Using explicit SYSTEM_PROXY environment variable: ${maskProxyUrl(process.env.SYSTEM_PROXY)}`);
+    return { proxy: normalizeProxyUrl(process.env.SYSTEM_PROXY), source: 'system' };
   }
   
-  // Fall back to detecting system proxy settings
-  const { httpsProxy } = detectSystemProxy(argv);
+  // Fall back to detecting system proxy settings (plain http:// requests prefer HTTP_PROXY)
+  const { httpProxy, httpsProxy, source } = detectSystemProxy(argv, { save: !options.inspect });
+  const detected = url && url.startsWith('http:') ? httpProxy || httpsProxy : httpsProxy;
   
-  if (httpsProxy) {
-    debug(argv, `Creating proxy agent for detected proxy: ${httpsProxy}`);
+  if (detected) {
+    debug(argv, `Creating proxy agent for detected proxy: ${maskProxyUrl(detected)}`);
     
     // Save detected proxy to SYSTEM_PROXY for future use if not already set
-    if (!process.env.SYSTEM_PROXY) {
+    if (!process.env.SYSTEM_PROXY && !options.inspect) {
       // Log transition from no proxy to detected proxy
-      console.log(`SYSTEM_PROXY changed: none → ${httpsProxy}`);
-      process.env.SYSTEM_PROXY = httpsProxy;
-      debug(argv, `Saving detected proxy to SYSTEM_PROXY: ${httpsProxy}`);
+      getLogger(argv).log(t('proxy.systemProxyChanged', { proxy: detected }));
+      process.env.SYSTEM_PROXY = detected;
+      debug(argv, `Saving detected proxy to SYSTEM_PROXY: ${maskProxyUrl(detected)}`);
     }
     
-    return new HttpsProxyAgent(httpsProxy);
+    return { proxy: normalizeProxyUrl(detected), source };
   }
   
-  return null;
+  return { proxy: null, source: 'none' };
 }
 
 /**
- * Execute fetch with proper proxy handling, including fallback
+ * Parse proxy rules of the form `pattern=proxy`, where the pattern uses NO_PROXY syntax and the
+ * proxy is an http(s):// or socks:// URL, or `direct` to bypass every proxy
+ * @param {string|Array<string>} value - Rules: an array, or a comma separated list (PROXY_RULES)
+ * @returns {Array<{ pattern: string, proxy: string|null }>} Rules in order (proxy is null for `direct`)
+ */
+export function parseProxyRules(value) {
+  const items = Array.isArray(value) ? value.flatMap(item => splitList(item)) : splitList(value);
+  
+  return items.map(item => {
+    const separator = item.indexOf('=');
+    const pattern = separator > 0 ? item.slice(0, separator).trim() : '';
+    const target = separator > 0 ? item.slice(separator + 1).trim() : '';
+    if (!pattern || !target) {
+      throw createValidationError(t('proxy.invalidRule', { rule: item }));
+    }
+    
+    return { pattern, proxy: target.toLowerCase() === 'direct' ? null : normalizeProxyUrl(target) };
+  });
+}
+
+/**
+ * Check whether a URL bypasses the proxy according to a NO_PROXY list. Entries may be `*`, a host
+ * (`example.com` also matches its subdomains), a suffix (`.example.com`, `*.example.com`), a
+ * wildcard (`10.0.*`), an IP address, a CIDR range (`10.0.0.0/8`, `fd00::/8`), each optionally
+ * with a port (`example.com:8443`, `[::1]:8080`). Host names are not resolved to match IP entries.
+ * @param {string} url - Request URL
+ * @param {string|Array<string>} noProxy - NO_PROXY value (comma or space separated) or entries
+ * @returns {boolean} Whether the request should connect directly
+ */
+export function matchesNoProxy(url, noProxy) {
+  const entries = Array.isArray(noProxy) ? noProxy : splitList(noProxy);
+  return entries.some(entry => matchesHostPattern(url, entry));
+}
+
+/**
+ * Run the `proxy` command (show, set, clear, test)
+ * @param {Object} argv - Command line arguments (action, target, value, timeout)
+ * @returns {Promise<boolean>} Whether the command succeeded
+ */
+export async function runProxyCommand(argv) {
+  const { action, target, value } = argv;
+  
+  try {
+    switch (action) {
+      case 'show':
+        printProxySettings(argv, target ? [{ url: target }] : getProxyTargets(argv));
+        return true;
+      
+      case 'set': {
+        const key = PROXY_SETTING_KEYS[target];
+        if (!key || !value) {
+          console.error(t('common.error', { message: t('proxy.setUsage', { keys: Object.keys(PROXY_SETTING_KEYS).join('|') }) }));
+          return false;
+        }
+        
+        const stored = getConfig().proxySettings || {};
+        const setting = key === 'noProxy' ? value : normalizeProxyUrl(value);
+        saveConfig({ proxySettings: { ...stored, [key]: setting, origin: 'manual', savedAt: new Date().toISOString() } });
+        console.log(t('proxy.settingSaved', { key: target, value: maskProxyUrl(setting) }));
+        return true;
+      }
+      
+      case 'clear': {
+        const stored = getConfig().proxySettings;
+        if (target && !PROXY_SETTING_KEYS[target]) {
+          console.error(t('common.error', { message: t('proxy.unknownSetting', { key: target, keys: Object.keys(PROXY_SETTING_KEYS).join(', ') }) }));
+          return false;
+        }
+        
+        // Without a key (or once nothing is left) the stored settings go, so the next run detects them again
+        const remaining = target && stored ? { ...stored, [PROXY_SETTING_KEYS[target]]: undefined } : {};
+        const hasValues = Object.values(PROXY_SETTING_KEYS).some(key => remaining[key]);
+        saveConfig({ proxySettings: hasValues ? JSON.parse(JSON.stringify(remaining)) : null });
+        console.log(hasValues ? t('proxy.settingCleared', { key: target }) : t('proxy.settingsCleared'));
+        return true;
+      }
+      
+      case 'test': {
+        const timeout = (argv.timeout > 0 ? argv.timeout : DEFAULT_PROXY_TEST_TIMEOUT_SECONDS) * 1000;
+        const targets = target ? [{ url: target }] : getProxyTargets(argv);
+        let ok = true;
+        
+        for (const item of targets) {
+          ok = await testProxyTarget(argv, item.url, timeout) && ok;
+        }
+        return ok;
+      }
+      
+      default:
+        console.error(t('common.error', { message: t('proxy.unknownAction', { action }) }));
+        return false;
+    }
+  } catch (error) {
+    console.error(t('common.error', { message: error.message }));
+    return false;
+  }
+}
+
+// HTTP statuses worth retrying: rate limiting and transient server errors.
+// Other 4xx responses (safety blocks, permission and validation errors) are returned as-is.
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+// Network error codes that usually clear up on their own
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'UND_ERR_SOCKET'];
+
+const DEFAULT_MAX_RETRIES = 3;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60000;
+
+/**
+ * Execute fetch with proper proxy handling, including fallback, and retry
+ * rate-limited (429) and transient 5xx responses with exponential backoff
  * @param {string} url - URL to fetch
  * @param {Object} options - Fetch options
  * @param {Object} argv - Command line arguments
@@ -109,13 +311,163 @@ export function createProxyAgent(argv) {
  * @param {string} [extraOptions.requestId] - Request identifier for logging
  * @param {string} [extraOptions.outputDir] - Output directory for saving responses
  * @param {string} [extraOptions.jsonDir] - JSON directory for saving debug files
+ * @param {number} [extraOptions.maxRetries] - Retry limit (defaults to argv.maxRetries, then 3)
+ * @param {boolean} [extraOptions.record=true] - Allow `argv.record` to store this exchange (false for secrets such as tokens)
  * @returns {Promise<Object>} Fetch response
  */
 export async function fetchWithProxy(url, options, argv, extraOptions = {}) {
-  const { requestId, outputDir } = extraOptions;
+  const logger = getLogger(argv);
+  
+  // Replay mode answers from recorded exchanges and never touches the network
+  if (argv.replay) {
+    const replayed = replayExchange(argv.replay, url, options);
+    if (!replayed) {
+      throw new Error(t('proxy.replayMissing', { method: (options.method || 'GET').toUpperCase(), url: url.replace(/([?&]key=)[^&]+/, '$1***') }));
+    }
+    logger.log(t('proxy.replayed', { file: replayed.file }));
+    return replayed.response;
+  }
   
-  // Create proxy agent (now prioritizes SYSTEM_PROXY)
-  let proxyAgent = createProxyAgent(argv);
+  const response = await fetchWithRetries(url, options, argv, extraOptions);
+  
+  // Record the final response (after retries) with unmasked bodies
+  if (argv.record && extraOptions.record !== false) {
+    const recorded = await recordExchange(argv.record, url, options, response);
+    logger.log(t('proxy.recorded', { file: recorded.file }));
+    return recorded.response;
+  }
+  
+  return response;
+}
+
+/**
+ * Send a request, retrying 429, transient 5xx responses and network errors with exponential backoff
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Fetch options
+ * @param {Object} argv - Command line arguments
+ * @param {Object} extraOptions - Extra options for fetch wrapper
+ * @returns {Promise<Object>} Fetch response
+ */
+async function fetchWithRetries(url, options, argv, extraOptions) {
+  const logger = getLogger(argv);
+  const maxRetries = resolveMaxRetries(extraOptions.maxRetries, argv.maxRetries);
+  
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    
+    try {
+      response = await sendWithProxy(url, options, argv, extraOptions);
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryableError(error)) {
+        throw error;
+      }
+      
+      const delay = getRetryDelay(attempt);
+      logger.warn(t('proxy.retryNetworkError', { reason: error.code || error.message, delay: formatDelay(delay), attempt: attempt + 1, max: maxRetries }));
+      await sleep(delay);
+      continue;
+    }
+    
+    if (attempt >= maxRetries || !RETRYABLE_STATUS_CODES.includes(response.status)) {
+      return response;
+    }
+    
+    const delay = getRetryDelay(attempt, response.headers.get('retry-after'));
+    logger.warn(t('proxy.retryStatus', { status: response.status, delay: formatDelay(delay), attempt: attempt + 1, max: maxRetries }));
+    
+    // Drain the body so the connection can be reused
+    await response.arrayBuffer().catch(() => {});
+    await sleep(delay);
+  }
+}
+
+/**
+ * Resolve the retry limit from request options, CLI arguments and the default
+ * @param {number|string} [requested] - Retry limit from the request or config file
+ * @param {number|string} [fromArgv] - Retry limit from the command line
+ * @returns {number} Retry limit
+ */
+function resolveMaxRetries(requested, fromArgv) {
+  for (const value of [requested, fromArgv]) {
+    const parsed = parseInt(value, 10);
+    if (!Number.isNaN(parsed) && parsed >= 0) {
+      return parsed;
+    }
+  }
+  return DEFAULT_MAX_RETRIES;
+}
+
+/**
+ * Check whether a thrown fetch error is a transient network failure
+ * @param {Error} error - Error thrown by fetch
+ * @returns {boolean} Whether the request should be retried
+ */
+function isRetryableError(error) {
+  if (error.name === 'AbortError') {
+    return false;
+  }
+  return RETRYABLE_ERROR_CODES.includes(error.code) ||
+    RETRYABLE_ERROR_CODES.includes(error.errno) ||
+    error.type === 'request-timeout';
+}
+
+/**
+ * Compute the delay before the next attempt: exponential backoff with jitter,
+ * or the server's Retry-After (seconds or HTTP date) when it asks for longer
+ * @param {number} attempt - Zero-based attempt number that just failed
+ * @param {string|null} [retryAfter] - Retry-After header value
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, retryAfter) {
+  const exponential = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** attempt);
+  const backoff = Math.round(exponential / 2 + Math.random() * exponential / 2);
+  
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const requested = Number.isNaN(seconds)
+      ? Date.parse(retryAfter) - Date.now()
+      : seconds * 1000;
+    
+    if (!Number.isNaN(requested) && requested > 0) {
+      return Math.max(backoff, Math.min(requested, 5 * MAX_RETRY_DELAY_MS));
+    }
+  }
+  
+  return backoff;
+}
+
+/**
+ * Format a delay for log output
+ * @param {number} ms - Delay in milliseconds
+ * @returns {string} Human readable delay
+ */
+function formatDelay(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Wait for the given time
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Send a single request through the proxy, falling back to SYSTEM_PROXY on network errors
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Fetch options
+ * @param {Object} argv - Command line arguments
+ * @param {Object} extraOptions - Extra options for fetch wrapper
+ * @returns {Promise<Object>} Fetch response
+ */
+async function sendWithProxy(url, options, argv, extraOptions) {
+  const logger = getLogger(argv);
+  
+  // Pick the proxy for this URL (proxy rules, NO_PROXY, then SYSTEM_PROXY or detected settings)
+  const route = resolveProxyRoute(argv, url);
+  const proxyAgent = route.proxy ? getProxyAgent(route.proxy) : null;
   
   // Configure fetch options with proxy
   const fetchOptions = {
@@ -123,13 +475,10 @@ export async function fetchWithProxy(url, options, argv, extraOptions = {}) {
     agent: proxyAgent
   };
   
-  // Only log proxy settings once when SYSTEM_PROXY is set
-  if (!proxySettingsLogged && process.env.SYSTEM_PROXY) {
-    const proxyUrl = proxyAgent && proxyAgent.proxy && typeof proxyAgent.proxy === 'object' && proxyAgent.proxy.href 
-      ? proxyAgent.proxy.href 
-      : (proxyAgent && proxyAgent.proxy) || process.env.SYSTEM_PROXY;
-    console.log('Using proxy settings:', proxyUrl);
-    proxySettingsLogged = true;
+  // Only log each proxy once
+  if (route.proxy && !loggedProxies.has(route.proxy)) {
+    logger.log(t('proxy.usingProxy'), maskProxyUrl(route.proxy));
+    loggedProxies.add(route.proxy);
   }
   
   try {
@@ -159,48 +508,47 @@ export async function fetchWithProxy(url, options, argv, extraOptions = {}) {
     
     return response;
   } catch (error) {
-    console.error(`Network error when making API request: ${error.message}`);
-    console.error('Error details:', error);
-    console.error('This might be a proxy configuration issue. Check your proxy settings.');
+    logger.error(t('proxy.networkError', { message: error.message }));
+    logger.error(t('proxy.errorDetails'), error);
+    logger.error(t('proxy.checkSettings'));
     
     // Debug network settings
     try {
       const originalHttpProxy = process.env.HTTP_PROXY;
       const originalHttpsProxy = process.env.HTTPS_PROXY;
       
-      console.log('Current environment proxy settings:');
-      console.log(`HTTP_PROXY: ${originalHttpProxy || 'not set'}`);
-      console.log(`HTTPS_PROXY: ${originalHttpsProxy || 'not set'}`);
-      console.log(`SYSTEM_PROXY: ${process.env.SYSTEM_PROXY || 'not set'}`);
+      logger.log(t('proxy.currentSettings'));
+      logger.log(`HTTP_PROXY: ${maskProxyUrl(originalHttpProxy) || t('common.notSet')}`);
+      logger.log(`HTTPS_PROXY: ${maskProxyUrl(originalHttpsProxy) || t('common.notSet')}`);
+      logger.log(`SYSTEM_PROXY: ${maskProxyUrl(process.env.SYSTEM_PROXY) || t('common.notSet')}`);
       
       if (proxyAgent) {
-        console.log('Using proxy agent:', proxyAgent.proxy);
+        logger.log(t('proxy.usingAgent'), maskProxyUrl(route.proxy));
       }
       
       // Try fallback to environment SYSTEM_PROXY if not already used
-      if (process.env.SYSTEM_PROXY && (!proxyAgent || error.code === 'ETIMEDOUT')) {
-        console.log('Initial request failed. Ensuring proxy is properly configured...');
+      // (never when proxies are disabled, or for hosts that a proxy rule or NO_PROXY sends elsewhere)
+      const routeFixed = ['disabled', 'rule', 'no-proxy'].includes(route.source);
+      if (process.env.SYSTEM_PROXY && !routeFixed && (!proxyAgent || error.code === 'ETIMEDOUT')) {
+        logger.log(t('proxy.fallback'));
         
         // Only set these if we're not already using the SYSTEM_PROXY
-        if (!proxyAgent || proxyAgent.proxy !== process.env.SYSTEM_PROXY) {
+        if (route.proxy !== normalizeProxyUrl(process.env.SYSTEM_PROXY)) {
           process.env.HTTPS_PROXY = process.env.SYSTEM_PROXY;
           process.env.HTTP_PROXY = process.env.SYSTEM_PROXY;
           
-          console.log(`Temporarily set HTTP_PROXY and HTTPS_PROXY to: ${process.env.SYSTEM_PROXY}`);
-          
-          // Create direct https proxy agent
-          const directProxyAgent = new HttpsProxyAgent(process.env.SYSTEM_PROXY);
+          logger.log(t('proxy.fallbackEnv', { proxy: maskProxyUrl(process.env.SYSTEM_PROXY) }));
           
           // Update fetch options with new proxy
-          fetchOptions.agent = directProxyAgent;
+          fetchOptions.agent = getProxyAgent(normalizeProxyUrl(process.env.SYSTEM_PROXY));
         }
         
-        console.log('Retrying request with direct proxy agent...');
+        logger.log(t('proxy.fallbackRetry'));
         
         try {
           return await fetch(url, fetchOptions);
         } catch (retryError) {
-          console.error('Retry also failed:', retryError.message);
+          logger.error(t('proxy.fallbackFailed'), retryError.message);
           throw retryError; // Re-throw the error after trying fallback
         } finally {
           // Restore original proxy settings
@@ -218,10 +566,464 @@ export async function fetchWithProxy(url, options, argv, extraOptions = {}) {
         }
       }
     } catch (debugError) {
-      console.error('Error during proxy debugging:', debugError);
+      logger.error(t('proxy.debugError'), debugError);
     }
     
     // If we got here, both original request and retry failed
     throw error;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Get the (cached) agent for a proxy URL
+ * @param {string} proxyUrl - Normalized proxy URL
+ * @returns {HttpsProxyAgent|SocksProxyAgent} Proxy agent
+ */
+function getProxyAgent(proxyUrl) {
+  if (!proxyAgents.has(proxyUrl)) {
+    const { protocol } = new URL(proxyUrl);
+    proxyAgents.set(proxyUrl, SOCKS_PROTOCOLS.includes(protocol) ? new SocksProxyAgent(proxyUrl) : new HttpsProxyAgent(proxyUrl));
+  }
+  return proxyAgents.get(proxyUrl);
+}
+
+/**
+ * Validate a proxy URL, treating a bare `host:port` as an HTTP proxy
+ * @param {string} value - Proxy URL
+ * @returns {string} Proxy URL with a scheme
+ */
+function normalizeProxyUrl(value) {
+  const text = String(value).trim();
+  const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `http://${text}`;
+  
+  let parsed;
+  try {
+    parsed = new URL(withScheme);
+  } catch (error) {
+    throw createValidationError(t('proxy.invalidProxyUrl', { proxy: value }));
+  }
+  if (!HTTP_PROTOCOLS.includes(parsed.protocol) && !SOCKS_PROTOCOLS.includes(parsed.protocol)) {
+    throw createValidationError(t('proxy.unsupportedProtocol', { proxy: value }));
+  }
+  
+  return withScheme;
+}
+
+/**
+ * Collect proxy rules: --proxy-rule (CLI) or proxyRules (library) first, then PROXY_RULES
+ * @param {Object} argv - Command line arguments
+ * @returns {Array<{ pattern: string, proxy: string|null, origin: string }>} Rules in priority order
+ */
+function getProxyRules(argv) {
+  return [
+    ...parseProxyRules([].concat(argv.proxyRule || [], argv.proxyRules || [])).map(rule => ({ ...rule, origin: '--proxy-rule' })),
+    ...parseProxyRules(process.env.PROXY_RULES).map(rule => ({ ...rule, origin: 'PROXY_RULES' }))
+  ];
+}
+
+/**
+ * Get the NO_PROXY list: the environment, then the stored proxy settings
+ * @param {Object} argv - Command line arguments
+ * @returns {{ value: string, origin: string|null }} NO_PROXY value (empty when unset) and its origin
+ *   ('NO_PROXY' or 'stored')
+ */
+function getNoProxy(argv) {
+  const fromEnv = process.env.NO_PROXY || process.env.no_proxy;
+  if (fromEnv !== undefined) {
+    return { value: fromEnv, origin: 'NO_PROXY' };
+  }
+  
+  const stored = argv.useConfigStore !== false ? getConfig().proxySettings : null;
+  return stored && stored.noProxy ? { value: stored.noProxy, origin: 'stored' } : { value: '', origin: null };
+}
+
+/**
+ * Split a comma or whitespace separated list
+ * @param {string} [value] - List
+ * @returns {Array<string>} Non-empty entries
+ */
+function splitList(value) {
+  return String(value || '').split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * Match a request URL against one NO_PROXY-style host pattern (see matchesNoProxy)
+ * @param {string} url - Request URL
+ * @param {string} pattern - Host pattern
+ * @returns {boolean} Whether the pattern matches
+ */
+function matchesHostPattern(url, pattern) {
+  const target = new URL(url);
+  const host = target.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  const port = target.port || (target.protocol === 'http:' ? '80' : '443');
+  
+  let rule = pattern.trim().toLowerCase();
+  if (rule === '*') {
+    return true;
+  }
+  
+  // Split off a port: [IPv6]:port or host:port (a bare IPv6 address has several colons)
+  let rulePort = null;
+  const bracketed = rule.match(/^\[([^\]]+)\](?::(\d+))?$/);
+  const withPort = rule.match(/^([^:]+):(\d+)$/);
+  if (bracketed) {
+    [, rule, rulePort = null] = bracketed;
+  } else if (withPort) {
+    [, rule, rulePort] = withPort;
+  }
+  if (rulePort && rulePort !== port) {
+    return false;
+  }
+  
+  rule = rule.replace(/\.$/, '');
+  if (rule.includes('/')) {
+    return matchesCidr(host, rule);
+  }
+  if (net.isIP(rule)) {
+    return matchesCidr(host, `${rule}/${net.isIP(rule) === 4 ? 32 : 128}`);
+  }
+  if (rule.startsWith('*.')) {
+    rule = rule.slice(1);
+  }
+  if (rule.startsWith('.')) {
+    return host.endsWith(rule);
+  }
+  if (rule.includes('*')) {
+    const source = rule.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(host);
+  }
+  return host === rule || host.endsWith(`.${rule}`);
+}
+
+/**
+ * Check whether an IP address lies in a CIDR range
+ * @param {string} host - Host (names never match)
+ * @param {string} cidr - Range such as 10.0.0.0/8 or fd00::/8
+ * @returns {boolean} Whether the address is in the range
+ */
+function matchesCidr(host, cidr) {
+  const [base, bits] = cidr.split('/');
+  const family = net.isIP(base);
+  const prefix = Number(bits);
+  
+  if (!family || net.isIP(host) !== family || !Number.isInteger(prefix) || prefix < 0 || prefix > (family === 4 ? 32 : 128)) {
+    return false;
+  }
+  
+  const type = family === 4 ? 'ipv4' : 'ipv6';
+  const list = new net.BlockList();
+  list.addSubnet(base, prefix, type);
+  return list.check(host, type);
+}
+
+/**
+ * Hosts the CLI talks to, as the API calls would address them
+ * @param {Object} argv - Command line arguments
+ * @returns {Array<{ name: string, url: string }>} Targets
+ */
+function getProxyTargets(argv) {
+  const location = argv.location || 'us-central1';
+  
+  return [
+    { name: 'Imagen', url: `${getVertexBaseUrl(location)}/` },
+    { name: 'Gemini', url: `${getApiBaseUrl(process.env.GEMINI_API_DOMAIN || 'generativelanguage.googleapis.com')}/` },
+    { name: t('proxy.targetToken'), url: process.env.GOOGLE_TOKEN_URL || GOOGLE_TOKEN_ENDPOINT }
+  ];
+}
+
+/**
+ * Print every proxy setting with its source, the stored settings, and the route per target
+ * @param {Object} argv - Command line arguments
+ * @param {Array<{ name?: string, url: string }>} targets - Targets to resolve
+ */
+function printProxySettings(argv, targets) {
+  const notSet = t('common.notSet');
+  const envValue = (...names) => {
+    const name = names.find(item => process.env[item] !== undefined);
+    return name ? `${maskProxyUrl(process.env[name])}${name !== names[0] ? ` (${name})` : ''}` : notSet;
+  };
+  
+  console.log(t('proxy.showSources'));
+  console.log(`  HTTPS_PROXY: ${envValue('HTTPS_PROXY', 'https_proxy')}`);
+  console.log(`  HTTP_PROXY: ${envValue('HTTP_PROXY', 'http_proxy')}`);
+  console.log(`  NO_PROXY: ${envValue('NO_PROXY', 'no_proxy')}`);
+  console.log(`  SYSTEM_PROXY: ${envValue('SYSTEM_PROXY')}`);
+  console.log(`  PROXY_RULES: ${envValue('PROXY_RULES')}`);
+  console.log(`  --proxy-rule: ${[].concat(argv.proxyRule || []).join(', ') || notSet}`);
+  console.log(`  --no-proxy: ${argv.noProxy || argv.proxy === false ? t('proxy.yes') : t('proxy.no')}`);
+  
+  const stored = getConfig().proxySettings;
+  console.log('');
+  console.log(t('proxy.showStored', { path: getConfigPath() }));
+  if (!stored) {
+    console.log(`  ${t('proxy.showStoredNone')}`);
+  } else {
+    console.log(`  https-proxy: ${maskProxyUrl(stored.httpsProxy) || notSet}`);
+    console.log(`  http-proxy: ${maskProxyUrl(stored.httpProxy) || notSet}`);
+    console.log(`  no-proxy: ${stored.noProxy || notSet}`);
+    if (stored.savedAt) {
+      console.log(`  ${t(stored.origin === 'manual' ? 'proxy.storedManual' : 'proxy.storedDetected', { time: stored.savedAt })}`);
+    }
+    
+    // Stored settings win over the environment, which is the usual cause of "it ignores my proxy"
+    const envHttps = process.env.HTTPS_PROXY || process.env.https_proxy || process.env.HTTP_PROXY || process.env.http_proxy;
+    if (!argv.detectProxy && (envHttps || '') !== (stored.httpsProxy || '')) {
+      console.log('');
+      console.warn(t('common.warning', { message: t('proxy.storedDiffers') }));
+    }
+  }
+  
+  console.log('');
+  console.log(t('proxy.showRoutes'));
+  targets.forEach(item => {
+    const route = resolveProxyRoute(argv, item.url, { inspect: true });
+    console.log(`  ${item.name ? `${item.name}: ` : ''}${item.url}`);
+    console.log(`    → ${describeRoute(route)}`);
+  });
+}
+
+/**
+ * Describe a route and what chose it
+ * @param {Object} route - Route from resolveProxyRoute
+ * @returns {string} Description
+ */
+function describeRoute(route) {
+  const proxy = route.proxy ? maskProxyUrl(route.proxy) : t('proxy.direct');
+  const reasons = {
+    disabled: t('proxy.reasonDisabled'),
+    rule: t('proxy.reasonRule', { pattern: route.pattern, origin: route.origin }),
+    'no-proxy': t(route.origin === 'stored' ? 'proxy.reasonStoredNoProxy' : 'proxy.reasonNoProxy', { pattern: route.pattern }),
+    explicit: t('proxy.reasonExplicit'),
+    system: 'SYSTEM_PROXY',
+    env: t('proxy.reasonEnv'),
+    stored: t('proxy.reasonStored'),
+    none: t('proxy.reasonNone')
+  };
+  return t('proxy.route', { proxy, reason: reasons[route.source] || route.source });
+}
+
+/**
+ * Test one target the way API calls reach it: connect to the proxy, open a CONNECT tunnel
+ * (HTTP proxies), then send a HEAD request end to end. Prints each step and a diagnosis.
+ * @param {Object} argv - Command line arguments
+ * @param {string} url - Target URL
+ * @param {number} timeout - Timeout per step in milliseconds
+ * @returns {Promise<boolean>} Whether the target is reachable
+ */
+async function testProxyTarget(argv, url, timeout) {
+  const target = new URL(url);
+  const targetPort = target.port || (target.protocol === 'http:' ? '80' : '443');
+  const route = resolveProxyRoute(argv, url, { inspect: true });
+  
+  console.log('');
+  console.log(t('proxy.testTarget', { url }));
+  console.log(`  ${describeRoute(route)}`);
+  
+  const fail = (step, diagnosis) => {
+    console.log(`  ✗ ${step}`);
+    console.log(`  ${t('proxy.diagnosis', { message: diagnosis })}`);
+    return false;
+  };
+  
+  if (route.proxy) {
+    const proxy = new URL(route.proxy);
+    const isSocks = SOCKS_PROTOCOLS.includes(proxy.protocol);
+    const proxyHost = proxy.hostname.replace(/^\[|\]$/g, '');
+    const proxyPort = proxy.port || (isSocks ? '1080' : (proxy.protocol === 'https:' ? '443' : '80'));
+    const address = `${proxy.hostname}:${proxyPort}`;
+    
+    let socket;
+    let started = Date.now();
+    try {
+      socket = await openSocket(proxyHost, Number(proxyPort), proxy.protocol === 'https:', timeout);
+      console.log(`  ✓ ${t('proxy.stepProxyConnected', { address, ms: Date.now() - started })}`);
+    } catch (error) {
+      return fail(t('proxy.stepProxyFailed', { address, reason: error.code || error.message }), diagnoseProxyConnection(error, proxyHost, proxyPort));
+    }
+    
+    // SOCKS proxies are exercised by the end-to-end request below
+    if (isSocks) {
+      socket.destroy();
+    } else {
+      started = Date.now();
+      const authority = `${target.hostname}:${targetPort}`;
+      try {
+        const reply = await sendConnect(socket, authority, proxy, timeout);
+        if (reply.status !== 200) {
+          return fail(t('proxy.stepConnectStatus', { authority, status: `${reply.status} ${reply.statusText}`.trim() }), diagnoseConnectStatus(reply.status, target.hostname));
+        }
+        console.log(`  ✓ ${t('proxy.stepConnect', { authority, status: `${reply.status} ${reply.statusText}`.trim(), ms: Date.now() - started })}`);
+      } catch (error) {
+        return fail(t('proxy.stepConnectFailed', { authority, reason: error.code || error.message }),
+          error.code === 'EPROXYPROTOCOL' || error.code === 'ETIMEDOUT' ? t('proxy.diagnosisNotHttp') : diagnoseProxyConnection(error, proxyHost, proxyPort));
+      } finally {
+        socket.destroy();
+      }
+    }
+  }
+  
+  const started = Date.now();
+  try {
+    const response = await fetch(url, {
+      method: 'HEAD',
+      redirect: 'manual',
+      agent: route.proxy ? getProxyAgent(route.proxy) : undefined,
+      signal: AbortSignal.timeout(timeout)
+    });
+    console.log(`  ✓ ${t('proxy.stepRequest', { status: response.status, ms: Date.now() - started })}`);
+  } catch (error) {
+    return fail(t('proxy.stepRequestFailed', { reason: error.code || error.name || error.message }), diagnoseRequest(error, route, target.hostname));
+  }
+  
+  console.log(`  ${t(route.proxy ? 'proxy.testPassedProxy' : 'proxy.testPassedDirect')}`);
+  return true;
+}
+
+/**
+ * Open a TCP (or TLS, for https:// proxies) connection
+ * @param {string} host - Host
+ * @param {number} port - Port
+ * @param {boolean} secure - Use TLS
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<net.Socket>} Connected socket
+ */
+function openSocket(host, port, secure, timeout) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: net.isIP(host) ? undefined : host })
+      : net.connect({ host, port });
+    
+    socket.setTimeout(timeout, () => socket.destroy(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' })));
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      socket.setTimeout(0);
+      resolve(socket);
+    });
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Ask an HTTP proxy for a CONNECT tunnel and read its status line
+ * @param {net.Socket} socket - Connection to the proxy
+ * @param {string} authority - Target host:port
+ * @param {URL} proxy - Proxy URL (credentials are sent as Proxy-Authorization)
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<{ status: number, statusText: string }>} Proxy reply
+ */
+function sendConnect(socket, authority, proxy, timeout) {
+  return new Promise((resolve, reject) => {
+    let received = '';
+    
+    const done = (error, reply) => {
+      socket.removeAllListeners('data');
+      socket.setTimeout(0);
+      if (error) {
+        reject(error);
+      } else {
+        resolve(reply);
+      }
+    };
+    
+    socket.setTimeout(timeout, () => done(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' })));
+    socket.once('error', error => done(error));
+    socket.once('end', () => done(Object.assign(new Error('connection closed by proxy'), { code: received ? 'EPROXYPROTOCOL' : 'ECONNRESET' })));
+    socket.on('data', chunk => {
+      received += chunk.toString('latin1');
+      const lineEnd = received.indexOf('\r\n');
+      // Wait for the whole status line unless the reply already cannot be HTTP (e.g. a SOCKS handshake)
+      const looksLikeHttp = received.length >= 5 ? received.startsWith('HTTP/') : 'HTTP/'.startsWith(received);
+      if (lineEnd === -1 && looksLikeHttp && received.length < 1024) {
+        return;
+      }
+      
+      const match = received.slice(0, lineEnd === -1 ? undefined : lineEnd).match(/^HTTP\/1\.[01] (\d{3}) ?(.*)$/);
+      done(match ? null : Object.assign(new Error('not an HTTP proxy'), { code: 'EPROXYPROTOCOL' }),
+        match ? { status: Number(match[1]), statusText: match[2] } : undefined);
+    });
+    
+    const credentials = proxy.username
+      ? `Proxy-Authorization: Basic ${Buffer.from(`${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`).toString('base64')}\r\n`
+      : '';
+    socket.write(`CONNECT ${authority} HTTP/1.1\r\nHost: ${authority}\r\n${credentials}\r\n`);
+  });
+}
+
+/**
+ * Explain why the proxy itself could not be reached
+ * @param {Error} error - Connection error
+ * @param {string} host - Proxy host
+ * @param {string} port - Proxy port
+ * @returns {string} Diagnosis
+ */
+function diagnoseProxyConnection(error, host, port) {
+  switch (error.code) {
+    case 'ENOTFOUND':
+    case 'EAI_AGAIN':
+      return t('proxy.diagnosisProxyDns', { host });
+    case 'ECONNREFUSED':
+      return t('proxy.diagnosisProxyRefused', { host, port });
+    case 'ETIMEDOUT':
+      return t('proxy.diagnosisProxyTimeout', { host, port });
+    case 'ECONNRESET':
+    case 'EPIPE':
+      return t('proxy.diagnosisProxyReset');
+    default:
+      return TLS_ERROR_CODES.includes(error.code) || /SSL|TLS/i.test(error.message)
+        ? t('proxy.diagnosisProxyTls', { code: error.code || error.message })
+        : error.message;
+  }
+}
+
+/**
+ * Explain a non-200 answer to CONNECT
+ * @param {number} status - HTTP status from the proxy
+ * @param {string} host - Target host
+ * @returns {string} Diagnosis
+ */
+function diagnoseConnectStatus(status, host) {
+  if (status === 407) {
+    return t('proxy.diagnosisAuth');
+  }
+  if (status === 403 || status === 405) {
+    return t('proxy.diagnosisForbidden', { host });
+  }
+  if (status >= 500) {
+    return t('proxy.diagnosisUpstream', { host });
+  }
+  return t('proxy.diagnosisConnectStatus', { status });
+}
+
+/**
+ * Explain a failed end-to-end request
+ * @param {Error} error - Fetch error
+ * @param {Object} route - Route used
+ * @param {string} host - Target host
+ * @returns {string} Diagnosis
+ */
+function diagnoseRequest(error, route, host) {
+  if (TLS_ERROR_CODES.includes(error.code)) {
+    return t(route.proxy ? 'proxy.diagnosisIntercepted' : 'proxy.diagnosisTls', { code: error.code });
+  }
+  if (route.proxy && /socks/i.test(error.message)) {
+    return t('proxy.diagnosisSocks', { host, message: error.message });
+  }
+  if (error.name === 'AbortError' || error.name === 'TimeoutError' || error.code === 'ETIMEDOUT') {
+    return t(route.proxy ? 'proxy.diagnosisRequestTimeout' : 'proxy.diagnosisDirectTimeout', { host });
+  }
+  if (!route.proxy && (error.code === 'ENOTFOUND' || error.code === 'EAI_AGAIN')) {
+    return t('proxy.diagnosisDirectDns', { host });
+  }
+  if (!route.proxy && error.code === 'ECONNREFUSED') {
+    return t('proxy.diagnosisDirectRefused', { host });
+  }
+  return error.message;
+}
+
+/**
+ * Hide the password of a proxy URL for display
+ * @param {string} [value] - Proxy URL
+ * @returns {string|undefined} URL with the password replaced by ***
+ */
+export function maskProxyUrl(value) {
+  return value ? String(value).replace(/^([a-z][a-z0-9+.-]*:\/\/[^:/@]+:)[^@/]*@/i, '$1***@') : value;
+}
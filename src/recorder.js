@@ -0,0 +1,143 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Response } from 'node-fetch';
+import { t } from './i18n.js';
+
+/**
+ * Request headers never written to a recording
+ */
+const SECRET_HEADERS = ['authorization', 'x-goog-api-key', 'proxy-authorization', 'cookie'];
+
+/**
+ * Response headers that describe the original transfer rather than the stored body
+ */
+const TRANSFER_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding', 'connection', 'set-cookie'];
+
+/**
+ * Replayed exchanges served so far in this process, per request key (identical requests are
+ * served in recorded order, and the last recording repeats once they run out)
+ */
+const replayCounters = new Map();
+
+/**
+ * Compute the key that matches a replayed request to its recording. The host, the project ID and
+ * the API key are left out, so a recording made against one project or endpoint replays anywhere.
+ * @param {string} url - Request URL
+ * @param {Object} options - Fetch options (method, body)
+ * @returns {string} Request key
+ */
+export function getExchangeKey(url, options = {}) {
+  const parsed = new URL(url);
+  parsed.searchParams.delete('key');
+
+  const normalizedPath = parsed.pathname.replace(/\/projects\/[^/]+/, '/projects/-');
+  const query = parsed.searchParams.toString();
+  const body = typeof options.body === 'string' ? options.body.replace(/projects\/[^/"]+\//g, 'projects/-/') : '';
+
+  return crypto.createHash('sha256')
+    .update(`${(options.method || 'GET').toUpperCase()} ${normalizedPath}${query ? `?${query}` : ''}\n${body}`)
+    .digest('hex');
+}
+
+/**
+ * Store a complete HTTP exchange (unmasked request and response bodies, without credentials)
+ * @param {string} dir - Recording directory
+ * @param {string} url - Request URL
+ * @param {Object} options - Fetch options
+ * @param {Object} response - Fetch response (its body is consumed)
+ * @returns {Promise<{ file: string, response: Response }>} Recording file and a fresh response for the caller
+ */
+export async function recordExchange(dir, url, options, response) {
+  const text = await response.text();
+  const key = getExchangeKey(url, options);
+  const headers = Object.fromEntries([...response.headers.entries()]
+    .filter(([name]) => !TRANSFER_HEADERS.includes(name.toLowerCase())));
+
+  const parsedUrl = new URL(url);
+  if (parsedUrl.searchParams.has('key')) {
+    parsedUrl.searchParams.set('key', 'REDACTED');
+  }
+
+  const exchange = {
+    key,
+    recordedAt: new Date().toISOString(),
+    request: {
+      method: (options.method || 'GET').toUpperCase(),
+      url: parsedUrl.toString(),
+      headers: Object.fromEntries(Object.entries(options.headers || {})
+        .filter(([name]) => !SECRET_HEADERS.includes(name.toLowerCase()))),
+      body: parseBody(options.body)
+    },
+    response: {
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+      body: parseBody(text)
+    }
+  };
+
+  fs.mkdirSync(dir, { recursive: true });
+  const index = fs.readdirSync(dir).filter(name => name.startsWith(`${key.slice(0, 16)}_`)).length;
+  const file = path.join(dir, `${key.slice(0, 16)}_${index + 1}.json`);
+  fs.writeFileSync(file, JSON.stringify(exchange, null, 2));
+
+  return {
+    file,
+    response: new Response(text, { status: response.status, statusText: response.statusText, headers })
+  };
+}
+
+/**
+ * Find the recorded response for a request
+ * @param {string} dir - Recording directory
+ * @param {string} url - Request URL
+ * @param {Object} options - Fetch options
+ * @returns {{ file: string, response: Response }|null} Recorded response, or null when nothing matches
+ */
+export function replayExchange(dir, url, options) {
+  if (!fs.existsSync(dir)) {
+    throw new Error(t('recorder.replayDirNotFound', { dir }));
+  }
+
+  const key = getExchangeKey(url, options);
+  const files = fs.readdirSync(dir)
+    .filter(name => name.startsWith(`${key.slice(0, 16)}_`) && name.endsWith('.json'))
+    .sort((a, b) => parseInt(a.slice(17), 10) - parseInt(b.slice(17), 10));
+
+  if (files.length === 0) {
+    return null;
+  }
+
+  const served = replayCounters.get(key) || 0;
+  replayCounters.set(key, served + 1);
+
+  const file = path.join(dir, files[Math.min(served, files.length - 1)]);
+  const { response } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const body = typeof response.body === 'string' ? response.body : JSON.stringify(response.body);
+
+  return {
+    file,
+    response: new Response(body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers
+    })
+  };
+}
+
+/**
+ * Keep JSON bodies as objects so recordings stay readable and editable
+ * @param {string} [body] - Body text
+ * @returns {Object|string|undefined} Parsed JSON, or the text itself
+ */
+function parseBody(body) {
+  if (typeof body !== 'string') {
+    return undefined;
+  }
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return body;
+  }
+}
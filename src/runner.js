@@ -0,0 +1,534 @@
+import fs from 'fs';
+import { generateImagesWithImagen, editImageWithImagen, upscaleImageWithImagen } from './imagen.js';
+import { generateImagesWithGemini, getDefaultGeminiBackend } from './gemini.js';
+import { getServiceAccountKeyPath, getGeminiApiKey, getStoredServiceAccount, getDefaultCredentialsPath, getDefaultProjectId } from './auth.js';
+import { recordHistory } from './history.js';
+import { hasExpansion, expandCombinations } from './template.js';
+import { getResultCategory } from './outcome.js';
+import { t } from './i18n.js';
+
+/**
+ * Largest number of seeds a single `--seed-range` may cover
+ */
+const MAX_SEED_SWEEP = 100;
+
+/**
+ * Largest number of combinations a prompt template / matrix may expand into
+ */
+const MAX_COMBINATIONS = 100;
+
+/**
+ * Validate options for a single generation job and dispatch it to the selected API.
+ * Never exits the process: validation problems are returned as failed results so
+ * callers such as batch mode can keep going.
+ * @param {Object} options - Generation options (CLI, config file and per-job overrides merged)
+ * @param {Object} argv - Command line arguments
+ * @returns {Promise<Object>} Generation result
+ */
+export async function runGeneration(options, argv) {
+  let expand;
+  try {
+    expand = hasExpansion(options);
+  } catch (error) {
+    console.error(t('common.error', { message: error.message }));
+    return invalid(error.message);
+  }
+  
+  if (expand) {
+    return runCombinations(options, argv);
+  }
+  if (options.seedRange !== undefined && options.seedRange !== '') {
+    return runSeedSweep(options, argv);
+  }
+  return recordRun('generate', options, await generate(options, argv));
+}
+
+/**
+ * Run a templated prompt / parameter matrix: one generation (or seed sweep) per combination,
+ * one after another. Each combination's request ID ends with its label, e.g. `..._animal-cat_ar-16x9`.
+ * @param {Object} options - Generation options
+ * @param {Object} argv - Command line arguments
+ * @returns {Promise<Object>} Combined result; `combinations` holds the per-combination results
+ */
+async function runCombinations(options, argv) {
+  let combinations;
+
+  try {
+    combinations = expandCombinations(options);
+    if (combinations.length > MAX_COMBINATIONS) {
+      throw new Error(t('runner.tooManyCombinations', { count: combinations.length, max: MAX_COMBINATIONS }));
+    }
+  } catch (error) {
+    console.error(t('common.error', { message: error.message }));
+    return invalid(error.message);
+  }
+
+  const api = options.api || process.env.DEFAULT_API || 'imagen';
+  const baseId = options.requestId || `${api}_${Date.now()}`;
+  const { vars, var: variableFlags, matrix, ...baseOptions } = options;
+  const labels = new Set();
+  const results = [];
+
+  for (const [index, item] of combinations.entries()) {
+    // Truncated labels can collide; keep request IDs (and file names) unique
+    let label = item.label;
+    if (labels.has(label)) {
+      label = `${label}_${index + 1}`;
+    }
+    labels.add(label);
+
+    if (combinations.length > 1) {
+      console.log(t('runner.combinationStart', { index: index + 1, total: combinations.length, label }));
+    }
+
+    const result = await runGeneration({
+      ...baseOptions,
+      ...item.overrides,
+      prompt: item.prompt,
+      requestId: label ? `${baseId}_${label}` : baseId
+    }, argv);
+    results.push({ ...item, label, result });
+
+    // Invalid options fail the same way for every combination
+    if (result.invalidOptions) {
+      return result;
+    }
+  }
+
+  const succeeded = results.filter(item => item.result.success);
+
+  return {
+    success: succeeded.length > 0,
+    requestId: baseId,
+    outputDir: options.outputDir,
+    images: results.flatMap(item => item.result.images || []),
+    upscaled: results.flatMap(item => item.result.upscaled || []),
+    combinations: results.map(item => ({
+      label: item.label,
+      combination: item.combination,
+      prompt: item.prompt,
+      success: item.result.success,
+      images: item.result.images || [],
+      error: item.result.success ? undefined : item.result.error
+    })),
+    error: succeeded.length === 0 ? t('runner.allCombinationsFailed') : undefined,
+    errorCategory: succeeded.length === 0 ? getResultCategory(results[0].result) : undefined,
+    blocked: results.every(item => item.result.blocked || item.result.safetyBlock || item.result.raiFiltered) || undefined
+  };
+}
+
+/**
+ * Parse a seed range such as "1..8"
+ * @param {string} value - Seed range
+ * @returns {Array<number>} Seeds, in order
+ */
+export function parseSeedRange(value) {
+  const match = String(value).trim().match(/^(\d+)\s*\.\.\s*(\d+)$/);
+  if (!match) {
+    throw new Error(t('runner.invalidSeedRange', { value }));
+  }
+
+  const start = parseInt(match[1], 10);
+  const end = parseInt(match[2], 10);
+  if (end < start) {
+    throw new Error(t('runner.seedRangeReversed', { value }));
+  }
+  if (end - start + 1 > MAX_SEED_SWEEP) {
+    throw new Error(t('runner.seedRangeTooLarge', { value, max: MAX_SEED_SWEEP }));
+  }
+
+  return Array.from({ length: end - start + 1 }, (_, index) => start + index);
+}
+
+/**
+ * Generate one output set per seed of `seedRange`, one request after another.
+ * Each seed gets its own request ID (`..._seed<N>`) and history entry.
+ * @param {Object} options - Generation options
+ * @param {Object} argv - Command line arguments
+ * @returns {Promise<Object>} Combined result; `seeds` holds the per-seed results
+ */
+async function runSeedSweep(options, argv) {
+  let seeds;
+
+  try {
+    if (options.seed !== undefined) {
+      throw new Error(t('runner.seedAndSeedRange'));
+    }
+    seeds = parseSeedRange(options.seedRange);
+  } catch (error) {
+    console.error(t('common.error', { message: error.message }));
+    return invalid(error.message);
+  }
+
+  const api = options.api || process.env.DEFAULT_API || 'imagen';
+  const baseId = options.requestId || `${api}_${Date.now()}`;
+  const { seedRange, ...baseOptions } = options;
+  const results = [];
+
+  for (const seed of seeds) {
+    console.log(t('runner.seedStart', { seed, index: results.length + 1, total: seeds.length }));
+    const seedOptions = { ...baseOptions, seed, requestId: `${baseId}_seed${seed}` };
+    const result = recordRun('generate', seedOptions, await generate(seedOptions, argv));
+    results.push({ seed, ...result });
+
+    // Invalid options fail the same way for every seed
+    if (result.invalidOptions) {
+      return result;
+    }
+  }
+
+  const succeeded = results.filter(item => item.success);
+
+  return {
+    success: succeeded.length > 0,
+    requestId: baseId,
+    outputDir: options.outputDir,
+    images: results.flatMap(item => item.images || []),
+    upscaled: results.flatMap(item => item.upscaled || []),
+    seeds: results.map(item => ({
+      seed: item.seed,
+      success: item.success,
+      requestId: item.requestId,
+      images: item.images || [],
+      error: item.success ? undefined : item.error
+    })),
+    error: succeeded.length === 0 ? t('runner.allSeedsFailed') : undefined,
+    errorCategory: succeeded.length === 0 ? getResultCategory(results[0]) : undefined,
+    blocked: results.every(item => item.blocked || item.safetyBlock || item.raiFiltered) || undefined
+  };
+}
+
+/**
+ * Validate options for an Imagen edit job (inpainting, outpainting, background swap) and run it
+ * @param {Object} options - Edit options
+ * @param {Object} argv - Command line arguments
+ * @returns {Promise<Object>} Generation result
+ */
+export async function runImageEdit(options, argv) {
+  return recordRun('edit', options, await edit(options, argv));
+}
+
+/**
+ * Validate options for the `upscale` command and upscale each image in turn
+ * @param {Object} options - Upscale options (`images` lists the files to upscale)
+ * @param {Object} argv - Command line arguments
+ * @returns {Promise<Object>} Combined result; `results` holds the per-image results
+ */
+export async function runUpscale(options, argv) {
+  return recordRun('upscale', options, await upscale(options, argv));
+}
+
+/**
+ * Add a run that reached the API to the history store; history problems never fail the run
+ * @param {string} command - 'generate', 'edit' or 'upscale'
+ * @param {Object} options - Run options
+ * @param {Object} result - Generation result
+ * @returns {Object} The unchanged result
+ */
+function recordRun(command, options, result) {
+  if (result.invalidOptions || options.saveFiles === false) {
+    return result;
+  }
+
+  try {
+    recordHistory(options.jsonDir, command, options, result);
+  } catch (error) {
+    console.warn(t('runner.historyWriteFailed', { message: error.message }));
+  }
+
+  return result;
+}
+
+/**
+ * Dispatch a generation job to the selected API
+ * @param {Object} options - Generation options
+ * @param {Object} argv - Command line arguments
+ * @returns {Promise<Object>} Generation result
+ */
+async function generate(options, argv) {
+  // 确定要使用的 API
+  const api = options.api || process.env.DEFAULT_API || 'imagen';
+
+  if (!options.prompt) {
+    console.error(t('common.error', { message: t('runner.promptRequiredHint') }));
+    return invalid(t('runner.promptRequired'));
+  }
+
+  if (options.session && api !== 'gemini') {
+    console.error(t('common.error', { message: t('runner.sessionNeedsGemini') }));
+    return invalid(t('runner.sessionNeedsGemini'));
+  }
+
+  // Imagen 仅在关闭水印时接受种子
+  if (api === 'imagen' && options.seed !== undefined && options.watermark === true) {
+    console.error(t('common.error', { message: t('runner.seedNeedsNoWatermarkHint') }));
+    return invalid(t('runner.seedNeedsNoWatermark'));
+  }
+  
+  // 验证每个 API 的必需参数
+  if (api === 'imagen') {
+    const credentials = await resolveVertexCredentials(options);
+    if (!credentials.success) {
+      return credentials;
+    }
+
+    const result = await generateImagesWithImagen({
+      ...options,
+      ...credentials.values
+    }, argv);
+
+    return upscaleGenerated(result, { ...options, ...credentials.values }, argv);
+  }
+
+  if (api === 'gemini') {
+    // 通过 Vertex AI 调用 Gemini 时使用与 Imagen 相同的服务账户凭据和项目，而不是 API 密钥
+    if ((options.geminiBackend || getDefaultGeminiBackend()) === 'vertex') {
+      const credentials = await resolveVertexCredentials(options);
+      if (!credentials.success) {
+        return credentials;
+      }
+
+      const result = await generateImagesWithGemini({
+        ...options,
+        ...credentials.values,
+        geminiBackend: 'vertex'
+      }, argv);
+
+      return upscaleGenerated(result, { ...options, ...credentials.values }, argv);
+    }
+
+    const geminiKey = options.geminiKey || getGeminiApiKey(options) || (options.replay ? 'replay' : null);
+
+    if (!geminiKey) {
+      console.error(t('common.error', { message: t('runner.geminiKeyRequired') }));
+      console.error(t('runner.provideOneOf'));
+      console.error(t('runner.geminiKeySources'));
+      return invalid(t('runner.geminiKeyRequired'), 'auth');
+    }
+
+    const result = await generateImagesWithGemini({
+      ...options,
+      geminiKey
+    }, argv);
+
+    if (!options.upscale || !result.success) {
+      return result;
+    }
+
+    // 放大 Gemini 的输出同样需要 Imagen 凭据
+    const credentials = await resolveVertexCredentials(options);
+    if (!credentials.success) {
+      return { ...result, upscaled: [], upscaleError: credentials.error };
+    }
+
+    return upscaleGenerated(result, { ...options, ...credentials.values }, argv);
+  }
+
+  console.error(t('common.error', { message: t('runner.unknownApi', { api }) }));
+  return invalid(t('runner.unknownApi', { api }));
+}
+
+/**
+ * Validate and run an edit job
+ * @param {Object} options - Edit options
+ * @param {Object} argv - Command line arguments
+ * @returns {Promise<Object>} Generation result
+ */
+async function edit(options, argv) {
+  if (!options.image || !fs.existsSync(options.image)) {
+    console.error(t('common.error', { message: t('runner.baseImageNotFound', { path: options.image }) }));
+    return invalid(t('runner.baseImageNotFound', { path: options.image }));
+  }
+
+  if (options.mask && !fs.existsSync(options.mask)) {
+    console.error(t('common.error', { message: t('runner.maskNotFound', { path: options.mask }) }));
+    return invalid(t('runner.maskNotFound', { path: options.mask }));
+  }
+
+  if (!options.prompt && options.editMode !== 'inpaint-remove') {
+    console.error(t('common.error', { message: t('runner.editPromptRequired') }));
+    return invalid(t('runner.editPromptRequired'));
+  }
+
+  const credentials = await resolveVertexCredentials(options);
+  if (!credentials.success) {
+    return credentials;
+  }
+
+  return editImageWithImagen({
+    ...options,
+    ...credentials.values
+  }, argv);
+}
+
+/**
+ * Validate and run an upscale job
+ * @param {Object} options - Upscale options
+ * @param {Object} argv - Command line arguments
+ * @returns {Promise<Object>} Combined result
+ */
+async function upscale(options, argv) {
+  const images = options.images || [];
+
+  if (images.length === 0) {
+    console.error(t('common.error', { message: t('runner.upscaleImagesRequired') }));
+    return invalid(t('runner.upscaleImagesRequired'));
+  }
+
+  const missing = images.filter(image => !fs.existsSync(image));
+  if (missing.length > 0) {
+    console.error(t('common.error', { message: t('runner.imagesNotFound', { paths: missing.join(', ') }) }));
+    return invalid(t('runner.imagesNotFound', { paths: missing.join(', ') }));
+  }
+
+  const credentials = await resolveVertexCredentials(options);
+  if (!credentials.success) {
+    return credentials;
+  }
+
+  return upscaleImages(images, { ...options, ...credentials.values }, argv);
+}
+
+/**
+ * Upscale the images of a successful generation when `--upscale` is set
+ * @param {Object} result - Generation result
+ * @param {Object} options - Job options including Imagen credentials
+ * @param {Object} argv - Command line arguments
+ * @returns {Promise<Object>} Generation result with `upscaled` image paths added
+ */
+async function upscaleGenerated(result, options, argv) {
+  if (!options.upscale || !result.success || !result.images || result.images.length === 0) {
+    return result;
+  }
+
+  const upscaleResult = await upscaleImages(result.images, { ...options, factor: options.upscale }, argv);
+
+  return {
+    ...result,
+    upscaled: upscaleResult.images,
+    upscaleError: upscaleResult.success ? undefined : upscaleResult.error
+  };
+}
+
+/**
+ * Upscale images one after another, continuing past individual failures
+ * @param {Array<string>} images - Image paths
+ * @param {Object} options - Upscale options including Imagen credentials
+ * @param {Object} argv - Command line arguments
+ * @returns {Promise<Object>} Combined result
+ */
+async function upscaleImages(images, options, argv) {
+  const results = [];
+
+  for (const image of images) {
+    results.push(await upscaleImageWithImagen({ ...options, image }, argv));
+  }
+
+  const failed = results.filter(item => !item.success);
+
+  // Each image is its own request; the first one's ID stands for the run (history, --json)
+  return {
+    success: failed.length === 0,
+    requestId: results.length > 0 ? results[0].requestId : undefined,
+    model: results.length > 0 ? results[0].model : options.upscaleModel,
+    images: results.flatMap(item => item.images || []),
+    results,
+    error: failed.length > 0 ? t('runner.upscaleFailed', { count: failed.length }) : undefined,
+    errorCategory: failed.length > 0 ? getResultCategory(failed[0]) : undefined
+  };
+}
+
+/**
+ * Locate the credentials and project ID for Vertex AI requests (Imagen, and Gemini with `--gemini-backend vertex`).
+ * Without a key file the service account in the encrypted vault is used (the profile's own first), then
+ * Application Default Credentials (always with `--adc`).
+ * @param {Object} options - Job options
+ * @returns {Promise<Object>} `{ success: true, values: { keyFile, projectId } }` or a failed result; `keyFile` is the
+ * parsed key for vault credentials and null for ADC
+ */
+async function resolveVertexCredentials(options) {
+  // 命令行或配置档案中的密钥文件优先，其次是配置档案自己保存在保管库中的服务账户，然后才是环境变量和默认位置
+  const profileKey = options.adc || options.keyFile || options.replay ? null : getStoredServiceAccount(options, { profileOnly: true });
+  const keyFilePath = options.adc || profileKey ? null : options.keyFile || getServiceAccountKeyPath();
+
+  // 回放模式不访问网络，不需要凭据，项目 ID 也不参与匹配记录
+  if (options.replay) {
+    return { success: true, values: { keyFile: null, projectId: options.projectId || process.env.GOOGLE_CLOUD_PROJECT || 'replay' } };
+  }
+
+  // 没有密钥文件时使用加密保管库中的服务账户
+  const storedKey = profileKey || (keyFilePath || options.adc ? null : getStoredServiceAccount(options));
+
+  if (storedKey) {
+    console.log(t('runner.usingVaultKey', { email: storedKey.client_email }));
+
+    const projectId = options.projectId || storedKey.project_id || process.env.GOOGLE_CLOUD_PROJECT;
+    console.log(t('runner.usingProjectId', { projectId }));
+
+    return { success: true, values: { keyFile: storedKey, projectId } };
+  }
+
+  // 然后使用 gcloud 的应用默认凭据；元数据服务器等其他来源需要 --adc 显式启用
+  if (!keyFilePath) {
+    const adcPath = getDefaultCredentialsPath();
+
+    if (!options.adc && !adcPath) {
+      console.error(t('common.error', { message: t('runner.keyFileRequired') }));
+      console.error(t('runner.provideOneOf'));
+      console.error(t('runner.keyFileSources'));
+      return invalid(t('runner.keyFileRequired'), 'auth');
+    }
+
+    console.log(t('runner.usingAdc', { source: adcPath || t('common.adcEnvironment') }));
+
+    const projectId = options.projectId || process.env.GOOGLE_CLOUD_PROJECT || await getDefaultProjectId();
+
+    if (!projectId) {
+      console.error(t('common.error', { message: t('runner.adcProjectIdRequired') }));
+      return invalid(t('runner.adcProjectIdRequired'), 'auth');
+    }
+
+    console.log(t('runner.usingProjectId', { projectId }));
+
+    return { success: true, values: { keyFile: null, projectId } };
+  }
+
+  console.log(t('runner.usingKeyFile', { path: keyFilePath }));
+
+  if (!fs.existsSync(keyFilePath)) {
+    console.error(t('common.error', { message: t('runner.keyFileNotFound', { path: keyFilePath }) }));
+    return invalid(t('runner.keyFileNotFound', { path: keyFilePath }), 'auth');
+  }
+
+  let keyData;
+
+  try {
+    keyData = JSON.parse(fs.readFileSync(keyFilePath, 'utf8'));
+  } catch (error) {
+    console.error(t('runner.keyFileParseError'), error);
+    return invalid(`${t('runner.keyFileParseError')} ${error.message}`, 'auth');
+  }
+
+  // 使用提供的项目 ID 或服务账户中的项目 ID 或环境变量中的项目 ID
+  // （工作负载身份联合等凭据文件中只有 quota_project_id）
+  const projectId = options.projectId || keyData.project_id || process.env.GOOGLE_CLOUD_PROJECT || keyData.quota_project_id;
+
+  if (!projectId) {
+    console.error(t('common.error', { message: t('runner.projectIdRequired') }));
+    return invalid(t('runner.projectIdRequired'), 'auth');
+  }
+
+  console.log(t('runner.usingProjectId', { projectId }));
+
+  return { success: true, values: { keyFile: keyFilePath, projectId } };
+}
+
+/**
+ * Build a failed result for options that never reached the API
+ * @param {string} error - Error message
+ * @param {string} [category='validation'] - Error category ('auth' for missing or unreadable credentials)
+ * @returns {Object} Failed generation result
+ */
+function invalid(error, category = 'validation') {
+  return { success: false, error, invalidOptions: true, errorCategory: category };
+}
@@ -0,0 +1,285 @@
+import fs from 'fs';
+import path from 'path';
+import { saveFile } from './utils.js';
+import { t } from './i18n.js';
+
+/**
+ * Get the directory holding session files
+ * @param {string} jsonDir - JSON output directory
+ * @returns {string} Session directory
+ */
+export function getSessionDir(jsonDir) {
+  return path.join(jsonDir || './output', 'sessions');
+}
+
+/**
+ * Resolve the file path for a session, rejecting names that could escape the session directory
+ * @param {string} jsonDir - JSON output directory
+ * @param {string} name - Session name
+ * @returns {string} Session file path
+ */
+function getSessionPath(jsonDir, name) {
+  if (!name || !/^[\w.-]+$/.test(name) || name.startsWith('.')) {
+    throw new Error(t('session.invalidName', { name }));
+  }
+  return path.join(getSessionDir(jsonDir), `${name}.json`);
+}
+
+/**
+ * Load a session
+ * @param {string} jsonDir - JSON output directory
+ * @param {string} name - Session name
+ * @returns {Object|null} Session or null if it does not exist
+ */
+export function loadSession(jsonDir, name) {
+  const sessionPath = getSessionPath(jsonDir, name);
+  if (!fs.existsSync(sessionPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(sessionPath, 'utf8'));
+}
+
+/**
+ * Load a session, creating an empty one if it does not exist yet
+ * @param {string} jsonDir - JSON output directory
+ * @param {string} name - Session name
+ * @returns {Object} Session
+ */
+export function loadOrCreateSession(jsonDir, name) {
+  const existing = loadSession(jsonDir, name);
+  if (existing) {
+    return existing;
+  }
+
+  const now = new Date().toISOString();
+  return { name, createdAt: now, updatedAt: now, turns: [] };
+}
+
+/**
+ * Save a session (the full history, including image data, so it can be replayed)
+ * @param {string} jsonDir - JSON output directory
+ * @param {Object} session - Session
+ * @returns {string} Session file path
+ */
+export function saveSession(jsonDir, session) {
+  const sessionPath = getSessionPath(jsonDir, session.name);
+  session.updatedAt = new Date().toISOString();
+  return saveFile(sessionPath, JSON.stringify(session, null, 2), { silent: true });
+}
+
+/**
+ * Build the Gemini `contents` history from a session
+ * @param {Object} session - Session
+ * @returns {Array<Object>} Gemini contents
+ */
+export function getSessionContents(session) {
+  return session.turns.map(turn => ({ role: turn.role, parts: turn.parts }));
+}
+
+/**
+ * Append a completed exchange (user turn and model reply) to a session.
+ * A reply without parts is not appended: the API rejects empty contents, so replaying it would break every later turn.
+ * @param {Object} session - Session
+ * @param {Object} userContent - User content sent to the API
+ * @param {Object} modelContent - Model content returned by the API
+ * @param {Object} info - Turn metadata
+ * @param {string} info.requestId - Request identifier
+ * @param {Array<string>} [info.images] - Saved output image paths
+ * @returns {boolean} Whether the exchange was appended
+ */
+export function appendSessionTurn(session, userContent, modelContent, info) {
+  if (!modelContent || !modelContent.parts || modelContent.parts.length === 0) {
+    return false;
+  }
+
+  const timestamp = new Date().toISOString();
+
+  session.turns.push({
+    role: 'user',
+    parts: userContent.parts,
+    requestId: info.requestId,
+    timestamp
+  });
+
+  session.turns.push({
+    role: 'model',
+    parts: modelContent.parts,
+    requestId: info.requestId,
+    images: info.images || [],
+    timestamp
+  });
+
+  return true;
+}
+
+/**
+ * List saved sessions
+ * @param {string} jsonDir - JSON output directory
+ * @returns {Array<Object>} Session summaries
+ */
+export function listSessions(jsonDir) {
+  const sessionDir = getSessionDir(jsonDir);
+  if (!fs.existsSync(sessionDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(sessionDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      const session = JSON.parse(fs.readFileSync(path.join(sessionDir, file), 'utf8'));
+      return {
+        name: session.name,
+        turns: session.turns.filter(turn => turn.role === 'user').length,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt
+      };
+    })
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+/**
+ * Copy a session under a new name
+ * @param {string} jsonDir - JSON output directory
+ * @param {string} name - Source session name
+ * @param {string} target - New session name
+ * @returns {Object} Forked session
+ */
+export function forkSession(jsonDir, name, target) {
+  const session = loadSession(jsonDir, name);
+  if (!session) {
+    throw new Error(t('session.notFound', { name }));
+  }
+  if (loadSession(jsonDir, target)) {
+    throw new Error(t('session.exists', { name: target }));
+  }
+
+  const now = new Date().toISOString();
+  const forked = { ...session, name: target, forkedFrom: name, createdAt: now };
+  saveSession(jsonDir, forked);
+  return forked;
+}
+
+/**
+ * Delete a session
+ * @param {string} jsonDir - JSON output directory
+ * @param {string} name - Session name
+ * @returns {boolean} Whether a session was deleted
+ */
+export function deleteSession(jsonDir, name) {
+  const sessionPath = getSessionPath(jsonDir, name);
+  if (!fs.existsSync(sessionPath)) {
+    return false;
+  }
+  fs.unlinkSync(sessionPath);
+  return true;
+}
+
+/**
+ * Run the `session` command (list, show, fork, delete)
+ * @param {Object} argv - Command line arguments
+ * @param {string} jsonDir - JSON output directory
+ * @returns {boolean} Whether the command succeeded
+ */
+export function runSessionCommand(argv, jsonDir) {
+  const { action, name, target } = argv;
+
+  try {
+    switch (action) {
+      case 'list': {
+        const sessions = listSessions(jsonDir);
+        if (sessions.length === 0) {
+          console.log(t('session.none', { dir: getSessionDir(jsonDir) }));
+          return true;
+        }
+        sessions.forEach(item => {
+          console.log(t('session.listItem', { name: item.name, turns: item.turns, updatedAt: item.updatedAt }));
+        });
+        return true;
+      }
+
+      case 'show': {
+        const session = requireName(name) && loadSession(jsonDir, name);
+        if (!session) {
+          console.error(t('common.error', { message: t('session.notFound', { name }) }));
+          return false;
+        }
+        printSession(session);
+        return true;
+      }
+
+      case 'fork': {
+        if (!requireName(name) || !requireName(target, t('session.targetLabel'))) {
+          return false;
+        }
+        forkSession(jsonDir, name, target);
+        console.log(t('session.forked', { name, target }));
+        return true;
+      }
+
+      case 'delete': {
+        if (!requireName(name)) {
+          return false;
+        }
+        if (!deleteSession(jsonDir, name)) {
+          console.error(t('common.error', { message: t('session.notFound', { name }) }));
+          return false;
+        }
+        console.log(t('session.deleted', { name }));
+        return true;
+      }
+
+      default:
+        console.error(t('common.error', { message: t('session.unknownAction', { action }) }));
+        return false;
+    }
+  } catch (error) {
+    console.error(t('common.error', { message: error.message }));
+    return false;
+  }
+}
+
+/**
+ * Report a missing session name argument
+ * @param {string} value - Argument value
+ * @param {string} [label] - Argument label
+ * @returns {boolean} Whether the value is present
+ */
+function requireName(value, label = t('session.nameLabel')) {
+  if (!value) {
+    console.error(t('common.error', { message: t('session.required', { label }) }));
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Print a session's turns without image data
+ * @param {Object} session - Session
+ */
+function printSession(session) {
+  console.log(t('session.name', { name: session.name }));
+  console.log(t('session.createdAt', { time: session.createdAt }));
+  console.log(t('session.updatedAt', { time: session.updatedAt }));
+  if (session.forkedFrom) {
+    console.log(t('session.forkedFrom', { name: session.forkedFrom }));
+  }
+
+  session.turns.forEach((turn, index) => {
+    console.log('');
+    console.log(t('session.turn', { number: index + 1, role: t(turn.role === 'user' ? 'session.roleUser' : 'session.roleModel'), time: turn.timestamp }));
+
+    turn.parts.forEach(part => {
+      const inline = part.inlineData || part.inline_data;
+      if (part.text) {
+        console.log(`  ${part.text}`);
+      } else if (inline) {
+        const sizeKb = Math.floor((inline.data || '').length / 4 * 3 / 1024);
+        console.log(`  ${t('session.inlineImage', { mimeType: inline.mimeType || inline.mime_type, size: sizeKb })}`);
+      }
+    });
+
+    if (turn.images && turn.images.length > 0) {
+      turn.images.forEach(image => console.log(`  → ${image}`));
+    }
+  });
+}
@@ -0,0 +1,211 @@
+import fs from 'fs';
+import path from 'path';
+import { GLYPH_HEIGHT } from './font.js';
+import {
+  decodeImage,
+  encodePng,
+  createBitmap,
+  fillRect,
+  resizeBitmap,
+  blendBitmap,
+  drawText,
+  measureText
+} from './image.js';
+import { readImageMetadataFile } from './metadata.js';
+import { saveFile } from './utils.js';
+import { t } from './i18n.js';
+
+const BACKGROUND = [255, 255, 255, 255];
+const TILE_BACKGROUND = [238, 238, 238, 255];
+const TEXT_COLOR = [34, 34, 34, 255];
+const MUTED_TEXT_COLOR = [110, 110, 110, 255];
+
+const TEXT_SCALE = 2;
+const LINE_HEIGHT = (GLYPH_HEIGHT + 3) * TEXT_SCALE;
+const GAP = 16;
+const CAPTION_LINES = 4;
+const MAX_COLUMNS = 6;
+
+/**
+ * Compose a contact sheet: a PNG grid of thumbnails, each captioned with its file name and the
+ * prompt, seed and model embedded in the image. Pure JavaScript (PNG and JPEG sources).
+ * @param {Array<string>} files - Image paths
+ * @param {Object} options - Sheet options
+ * @param {string} options.output - Output PNG path
+ * @param {number} [options.columns] - Number of columns (default: roughly square, at most 6)
+ * @param {number} [options.thumbSize=384] - Thumbnail box size in pixels
+ * @param {string} [options.title] - Title drawn above the grid
+ * @param {Object} [options.logger=console] - Logger
+ * @returns {{ path: string, width: number, height: number, count: number }} Saved sheet
+ */
+export function createContactSheet(files, options) {
+  const { output, title, logger = console } = options;
+
+  if (files.length === 0) {
+    throw new Error(t('sheet.noImages'));
+  }
+
+  const thumbSize = Math.max(64, parseInt(options.thumbSize, 10) || 384);
+  const columns = Math.max(1, Math.min(files.length,
+    parseInt(options.columns, 10) || Math.min(MAX_COLUMNS, Math.ceil(Math.sqrt(files.length)))));
+  const rows = Math.ceil(files.length / columns);
+
+  const cellHeight = thumbSize + GAP / 2 + CAPTION_LINES * LINE_HEIGHT;
+  const headerHeight = title ? LINE_HEIGHT + GAP : 0;
+  const width = columns * thumbSize + (columns + 1) * GAP;
+  const height = headerHeight + rows * cellHeight + (rows + 1) * GAP;
+  const sheet = createBitmap(width, height, BACKGROUND);
+  const charsPerLine = Math.floor((thumbSize + TEXT_SCALE) / (6 * TEXT_SCALE));
+
+  if (title) {
+    drawText(sheet, fitText(title, Math.floor((width - 2 * GAP) / (6 * TEXT_SCALE))), GAP, GAP, {
+      color: TEXT_COLOR,
+      scale: TEXT_SCALE
+    });
+  }
+
+  files.forEach((file, index) => {
+    const left = GAP + (index % columns) * (thumbSize + GAP);
+    const top = headerHeight + GAP + Math.floor(index / columns) * (cellHeight + GAP);
+
+    fillRect(sheet, left, top, thumbSize, thumbSize, TILE_BACKGROUND);
+
+    try {
+      const bitmap = decodeImage(fs.readFileSync(file));
+      const scale = Math.min(thumbSize / bitmap.width, thumbSize / bitmap.height);
+      const thumbWidth = Math.max(1, Math.round(bitmap.width * scale));
+      const thumbHeight = Math.max(1, Math.round(bitmap.height * scale));
+      const thumb = resizeBitmap(bitmap, thumbWidth, thumbHeight);
+      blendBitmap(sheet, thumb, left + Math.floor((thumbSize - thumbWidth) / 2), top + Math.floor((thumbSize - thumbHeight) / 2));
+    } catch (error) {
+      logger.warn(t('sheet.unreadable', { file, message: error.message }));
+      const message = fitText('(unsupported image)', charsPerLine);
+      drawText(sheet, message, left + Math.floor((thumbSize - measureText(message, TEXT_SCALE)) / 2), top + Math.floor(thumbSize / 2) - LINE_HEIGHT / 2, {
+        color: MUTED_TEXT_COLOR,
+        scale: TEXT_SCALE
+      });
+    }
+
+    buildCaption(file, charsPerLine).forEach((line, lineIndex) => {
+      drawText(sheet, line.text, left, top + thumbSize + GAP / 2 + lineIndex * LINE_HEIGHT, {
+        color: line.muted ? MUTED_TEXT_COLOR : TEXT_COLOR,
+        scale: TEXT_SCALE
+      });
+    });
+  });
+
+  saveFile(output, encodePng(sheet), { logger });
+
+  return { path: output, width, height, count: files.length };
+}
+
+/**
+ * Run the `sheet` command: compose a contact sheet from image files
+ * @param {Object} argv - Command line arguments
+ * @returns {boolean} Whether the command succeeded
+ */
+export function runSheetCommand(argv) {
+  const files = argv.images || [];
+  const missing = files.filter(file => !fs.existsSync(file));
+
+  if (files.length === 0) {
+    console.error(t('common.error', { message: t('sheet.imagesRequired') }));
+    return false;
+  }
+  if (missing.length > 0) {
+    console.error(t('common.error', { message: t('runner.imagesNotFound', { paths: missing.join(', ') }) }));
+    return false;
+  }
+
+  const output = argv.output || path.join(path.dirname(files[0]), `contact_sheet_${Date.now()}.png`);
+
+  try {
+    const sheet = createContactSheet(files, {
+      output,
+      columns: argv.columns,
+      thumbSize: argv.thumbSize,
+      title: argv.title
+    });
+    console.log(t('sheet.created', { count: sheet.count, width: sheet.width, height: sheet.height }));
+    return true;
+  } catch (error) {
+    console.error(t('common.error', { message: error.message }));
+    return false;
+  }
+}
+
+/**
+ * Build the caption lines for one image: file name, prompt (two lines), then seed and model
+ * @param {string} file - Image path
+ * @param {number} charsPerLine - Characters that fit in one line
+ * @returns {Array<{ text: string, muted?: boolean }>} Caption lines
+ */
+function buildCaption(file, charsPerLine) {
+  const metadata = readImageMetadataFile(file);
+  const lines = [{ text: fitText(path.basename(file), charsPerLine), muted: true }];
+
+  if (metadata.prompt) {
+    wrapText(metadata.prompt, charsPerLine, 2).forEach(text => lines.push({ text }));
+  }
+
+  const details = [
+    metadata.seed !== undefined ? `seed ${metadata.seed}` : null,
+    metadata.model || null
+  ].filter(Boolean).join(' | ');
+  if (details) {
+    lines.push({ text: fitText(details, charsPerLine), muted: true });
+  }
+
+  return lines.slice(0, CAPTION_LINES);
+}
+
+/**
+ * Wrap text on spaces into at most `maxLines` lines, ending with "..." when cut short
+ * @param {string} text - Text
+ * @param {number} width - Characters per line
+ * @param {number} maxLines - Maximum number of lines
+ * @returns {Array<string>} Lines
+ */
+function wrapText(text, width, maxLines) {
+  const words = String(text).replace(/\s+/g, ' ').trim().split(' ');
+  const lines = [];
+  let current = '';
+
+  for (const word of words) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (Array.from(candidate).length <= width) {
+      current = candidate;
+      continue;
+    }
+    if (current) {
+      lines.push(current);
+    }
+    current = word;
+    // Break words longer than a line (e.g. unspaced CJK text)
+    while (Array.from(current).length > width) {
+      lines.push(Array.from(current).slice(0, width).join(''));
+      current = Array.from(current).slice(width).join('');
+    }
+  }
+  if (current) {
+    lines.push(current);
+  }
+
+  if (lines.length > maxLines) {
+    const kept = lines.slice(0, maxLines);
+    kept[maxLines - 1] = fitText(`${kept[maxLines - 1]}...`, width);
+    return kept;
+  }
+  return lines;
+}
+
+/**
+ * Shorten text to a number of characters, ending with "..." when cut
+ * @param {string} text - Text
+ * @param {number} width - Maximum characters
+ * @returns {string} Text
+ */
+function fitText(text, width) {
+  const chars = Array.from(String(text));
+  return chars.length > width ? `${chars.slice(0, Math.max(0, width - 3)).join('')}...` : chars.join('');
+}
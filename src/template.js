@@ -0,0 +1,211 @@
+import { toCamelCase } from './utils.js';
+import { t } from './i18n.js';
+
+/**
+ * Generation parameters that can be expanded with `--matrix`, by camelCase option name
+ */
+export const MATRIX_PARAMETERS = ['aspectRatio', 'negativePrompt', 'safety', 'model'];
+
+/**
+ * Short names used for matrix parameters in output file names
+ */
+const LABEL_NAMES = {
+  aspectRatio: 'ar',
+  negativePrompt: 'neg',
+  safety: 'safety',
+  model: 'model'
+};
+
+/**
+ * Longest combination label used in request IDs and file names
+ */
+const MAX_LABEL_LENGTH = 80;
+
+/**
+ * Collect template variables from the config file (`vars` object) and `--var name=a|b` flags.
+ * A variable given on the command line replaces the config file's values for that variable.
+ * @param {Object} options - Generation options
+ * @returns {Object<string, Array<string>>} Values per variable
+ */
+export function collectVariables(options) {
+  const variables = {};
+
+  if (options.vars && typeof options.vars === 'object') {
+    for (const [name, value] of Object.entries(options.vars)) {
+      variables[name] = toValueList(value);
+    }
+  }
+
+  Object.assign(variables, parseAssignments(options.var, '--var'));
+
+  return variables;
+}
+
+/**
+ * Collect matrix parameters from the config file (`matrix` object) or `--matrix key=a|b` flags
+ * @param {Object} options - Generation options
+ * @returns {Object<string, Array<string>>} Values per camelCase parameter
+ */
+export function collectMatrix(options) {
+  const entries = options.matrix && typeof options.matrix === 'object' && !Array.isArray(options.matrix)
+    ? Object.fromEntries(Object.entries(options.matrix).map(([key, value]) => [key, toValueList(value)]))
+    : parseAssignments(options.matrix, '--matrix');
+
+  const matrix = {};
+  for (const [key, values] of Object.entries(entries)) {
+    const parameter = toCamelCase(key);
+    if (!MATRIX_PARAMETERS.includes(parameter)) {
+      throw new Error(t('template.unsupportedMatrixOption', { key }));
+    }
+    matrix[parameter] = values;
+  }
+
+  return matrix;
+}
+
+/**
+ * Whether the options ask for template or matrix expansion
+ * @param {Object} options - Generation options
+ * @returns {boolean} Whether expansion applies
+ */
+export function hasExpansion(options) {
+  return Object.keys(collectVariables(options)).length > 0 || Object.keys(collectMatrix(options)).length > 0;
+}
+
+/**
+ * Expand a templated prompt and matrix parameters into every combination
+ * @param {Object} options - Generation options (prompt, vars/var, matrix)
+ * @returns {Array<{ combination: Object, label: string, prompt: string, overrides: Object }>} Combinations
+ */
+export function expandCombinations(options) {
+  const variables = collectVariables(options);
+  const matrix = collectMatrix(options);
+
+  // Only variables the prompt actually uses multiply the runs
+  const used = findTemplateVariables(options.prompt || '');
+  const missing = used.filter(name => !(name in variables));
+  if (missing.length > 0) {
+    throw new Error(t('template.missingVariables', { names: missing.join(', '), first: missing[0] }));
+  }
+
+  const axes = [
+    ...used.map(name => ({ key: name, values: variables[name] })),
+    ...Object.entries(matrix).map(([key, values]) => ({ key, values }))
+  ];
+
+  let combinations = [{}];
+  for (const axis of axes) {
+    combinations = combinations.flatMap(combination =>
+      axis.values.map(value => ({ ...combination, [axis.key]: value })));
+  }
+
+  return combinations.map(combination => {
+    const overrides = {};
+    Object.keys(matrix).forEach(key => {
+      overrides[key] = combination[key];
+    });
+
+    return {
+      combination,
+      label: buildLabel(combination),
+      prompt: renderTemplate(options.prompt || '', combination),
+      overrides
+    };
+  });
+}
+
+/**
+ * Replace `{name}` placeholders in a prompt
+ * @param {string} template - Prompt template
+ * @param {Object<string, string>} values - Variable values
+ * @returns {string} Prompt
+ */
+export function renderTemplate(template, values) {
+  return template.replace(/\{([A-Za-z_][\w-]*)\}/g, (placeholder, name) =>
+    (name in values ? values[name] : placeholder));
+}
+
+/**
+ * List the distinct `{name}` placeholders of a prompt template
+ * @param {string} template - Prompt template
+ * @returns {Array<string>} Variable names in order of appearance
+ */
+function findTemplateVariables(template) {
+  const names = [];
+  for (const match of template.matchAll(/\{([A-Za-z_][\w-]*)\}/g)) {
+    if (!names.includes(match[1])) {
+      names.push(match[1]);
+    }
+  }
+  return names;
+}
+
+/**
+ * Parse `name=a|b` assignments from one or more flags (repeated names accumulate values)
+ * @param {string|Array<string>} input - Flag values
+ * @param {string} flag - Flag name for error messages
+ * @returns {Object<string, Array<string>>} Values per name
+ */
+function parseAssignments(input, flag) {
+  const result = {};
+  if (input === undefined || input === null || input === '') {
+    return result;
+  }
+
+  for (const item of Array.isArray(input) ? input : [input]) {
+    const text = String(item);
+    const separator = text.indexOf('=');
+    if (separator <= 0) {
+      throw new Error(t('template.invalidValue', { flag, text }));
+    }
+
+    const name = text.slice(0, separator).trim();
+    const values = toValueList(text.slice(separator + 1).split('|'));
+    result[name] = [...(result[name] || []), ...values];
+  }
+
+  return result;
+}
+
+/**
+ * Normalize a config value (string, number or array) into a list of non-empty strings
+ * @param {any} value - Value
+ * @returns {Array<string>} Values
+ */
+function toValueList(value) {
+  const values = (Array.isArray(value) ? value : [value])
+    .map(item => String(item).trim())
+    .filter(item => item !== '');
+
+  if (values.length === 0) {
+    throw new Error(t('template.emptyValues'));
+  }
+  return values;
+}
+
+/**
+ * Build a file-name-safe label such as `animal-cat_style-oil-painting_ar-16x9`
+ * @param {Object<string, string>} combination - Combination
+ * @returns {string} Label
+ */
+function buildLabel(combination) {
+  const label = Object.entries(combination)
+    .map(([key, value]) => `${LABEL_NAMES[key] || key}-${slugify(value)}`)
+    .join('_');
+
+  return label.length > MAX_LABEL_LENGTH ? label.slice(0, MAX_LABEL_LENGTH) : label;
+}
+
+/**
+ * Make a value safe for file names
+ * @param {string} value - Value
+ * @returns {string} Slug
+ */
+function slugify(value) {
+  return String(value)
+    .trim()
+    .replace(/:/g, 'x')
+    .replace(/[^\p{L}\p{N}.]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40) || 'empty';
+}
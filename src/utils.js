@@ -1,6 +1,9 @@
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import { embedImageMetadata } from './metadata.js';
+import { createValidationError } from './outcome.js';
+import { t } from './i18n.js';
 
 /**
  * 调试信息记录器
@@ -9,10 +12,19 @@ import os from 'os';
  */
 export function debug(argv, message) {
   if (argv.debug) {
-    console.log(`[DEBUG] ${message}`);
+    getLogger(argv).log(`[DEBUG] ${message}`);
   }
 }
 
+/**
+ * 获取运行时使用的日志记录器（库调用方可以通过 argv.logger 提供自己的记录器）
+ * @param {Object} argv - 命令行参数或库运行时选项
+ * @returns {Object} 具有 log、warn、error 方法的记录器
+ */
+export function getLogger(argv) {
+  return (argv && argv.logger) || console;
+}
+
 /**
  * 根据文件扩展名获取 MIME 类型的辅助函数
  * @param {String} filePath - 文件路径
@@ -31,6 +43,81 @@ export function getMimeType(filePath) {
   return mimeTypes[ext] || 'image/jpeg';
 }
 
+/**
+ * 将 API 域名转换为基础 URL；已包含协议的值（如模拟服务器的 http://127.0.0.1:8787）保持不变
+ * @param {String} domain - 域名或基础 URL
+ * @returns {String} 不带结尾斜杠的基础 URL
+ */
+export function getApiBaseUrl(domain) {
+  return /^https?:\/\//i.test(domain) ? domain.replace(/\/+$/, '') : `https://${domain}`;
+}
+
+/**
+ * 获取 Vertex AI 的基础 URL（Imagen 与 Vertex 上的 Gemini 共用）；IMAGEN_API_DOMAIN 可将请求重定向到其他主机
+ * @param {String} location - 区域，global 使用不带区域前缀的主机
+ * @returns {String} 不带结尾斜杠的基础 URL
+ */
+export function getVertexBaseUrl(location) {
+  const domain = location === 'global' ? 'aiplatform.googleapis.com' : `${location}-aiplatform.googleapis.com`;
+  return getApiBaseUrl(process.env.IMAGEN_API_DOMAIN || domain);
+}
+
+/**
+ * 根据 MIME 类型获取保存图像时使用的文件扩展名（不含点）
+ * @param {String} mimeType - MIME 类型
+ * @returns {String} 文件扩展名
+ */
+export function getImageExtension(mimeType) {
+  const extensions = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif'
+  };
+  return extensions[mimeType] || (mimeType && mimeType.split('/')[1]) || 'png';
+}
+
+/**
+ * 解析输出格式选项（png、jpeg/jpg 或完整的 MIME 类型）
+ * @param {String} [outputFormat] - 输出格式
+ * @returns {String|null} MIME 类型；未指定时返回 null
+ */
+export function resolveOutputFormat(outputFormat) {
+  if (outputFormat === undefined || outputFormat === null || outputFormat === '') {
+    return null;
+  }
+
+  const formats = {
+    'png': 'image/png',
+    'image/png': 'image/png',
+    'jpeg': 'image/jpeg',
+    'jpg': 'image/jpeg',
+    'image/jpeg': 'image/jpeg'
+  };
+  const mimeType = formats[String(outputFormat).toLowerCase()];
+  if (!mimeType) {
+    throw createValidationError(t('utils.unsupportedFormat', { format: outputFormat }));
+  }
+  return mimeType;
+}
+
+/**
+ * 校验 JPEG 压缩质量
+ * @param {Number|String} [quality] - 压缩质量（0-100）
+ * @returns {Number|undefined} 压缩质量；未指定时返回 undefined
+ */
+export function parseCompressionQuality(quality) {
+  if (quality === undefined || quality === null || quality === '') {
+    return undefined;
+  }
+
+  const value = Number(quality);
+  if (!Number.isInteger(value) || value < 0 || value > 100) {
+    throw createValidationError(t('utils.invalidQuality', { quality }));
+  }
+  return value;
+}
+
 /**
  * 将图像转换为 base64 的辅助函数
  * @param {String} imagePath - 图像路径
@@ -42,9 +129,10 @@ export function imageToBase64(imagePath) {
 
 /**
  * 确保平台的配置目录存在
+ * @param {Object} [argv] - 命令行参数或库运行时选项（创建目录的调试信息通过其日志记录器输出）
  * @returns {String} 配置目录的路径
  */
-export function ensureConfigDirectory() {
+export function ensureConfigDirectory(argv = {}) {
   let configDir;
   
   if (os.platform() === 'win32') {
@@ -57,7 +145,7 @@ export function ensureConfigDirectory() {
   
   if (!fs.existsSync(configDir)) {
     fs.mkdirSync(configDir, { recursive: true });
-    debug({ debug: true }, `已创建配置目录：${configDir}`);
+    debug(argv, t('utils.configDirCreated', { dir: configDir }));
   }
   
   return configDir;
@@ -83,6 +171,12 @@ export function maskBase64Content(obj) {
     } else if (masked.candidates && Array.isArray(masked.candidates)) {
       // Gemini API
       paths.push(...findGeminiBase64Paths(masked));
+    } else if (masked.instances && Array.isArray(masked.instances)) {
+      // Imagen API 请求（编辑和放大时包含输入图像）
+      paths.push(...findImagenRequestBase64Paths(masked));
+    } else if (masked.contents && Array.isArray(masked.contents)) {
+      // Gemini API 请求（参考图像和会话历史）
+      paths.push(...findGeminiRequestBase64Paths(masked));
     }
     
     // Apply masking to all identified paths
@@ -114,6 +208,30 @@ export function maskBase64Content(obj) {
     return paths;
   }
   
+  /**
+   * 在 Imagen API 请求中查找所有潜在 base64 内容的路径
+   * @param {Object} obj - Imagen API 请求对象
+   * @returns {Array<string>} 路径字符串数组
+   */
+  export function findImagenRequestBase64Paths(obj) {
+    const paths = [];
+    
+    if (obj.instances && Array.isArray(obj.instances)) {
+      obj.instances.forEach((instance, i) => {
+        if (instance.image) {
+          paths.push(`instances[${i}].image.bytesBase64Encoded`);
+        }
+        if (instance.referenceImages && Array.isArray(instance.referenceImages)) {
+          instance.referenceImages.forEach((_, j) => {
+            paths.push(`instances[${i}].referenceImages[${j}].referenceImage.bytesBase64Encoded`);
+          });
+        }
+      });
+    }
+    
+    return paths;
+  }
+  
   /**
    * 在 Gemini API 响应中查找所有潜在 base64 内容的路径
    * @param {Object} obj - Gemini API 响应对象
@@ -135,6 +253,31 @@ export function maskBase64Content(obj) {
     return paths;
   }
   
+  /**
+   * 在 Gemini API 请求中查找所有潜在 base64 内容的路径
+   * @param {Object} obj - Gemini API 请求对象
+   * @returns {Array<string>} 路径字符串数组
+   */
+  export function findGeminiRequestBase64Paths(obj) {
+    const paths = [];
+    
+    if (obj.contents && Array.isArray(obj.contents)) {
+      obj.contents.forEach((content, i) => {
+        if (content.parts && Array.isArray(content.parts)) {
+          content.parts.forEach((part, j) => {
+            if (part.inline_data) {
+              paths.push(`contents[${i}].parts[${j}].inline_data.data`);
+            } else if (part.inlineData) {
+              paths.push(`contents[${i}].parts[${j}].inlineData.data`);
+            }
+          });
+        }
+      });
+    }
+    
+    return paths;
+  }
+  
   // 辅助函数（未导出）
   
   /**
@@ -180,10 +323,12 @@ export function maskBase64Content(obj) {
  * @param {Object} options - 保存选项
  * @param {Boolean} options.isBase64 - 数据是否为需要转换的 base64 字符串
  * @param {Boolean} options.silent - 是否禁止日志记录
+ * @param {Object} options.logger - 日志记录器（默认为 console）
+ * @param {Object} options.metadata - 写入图像的生成元数据（PNG 文本块，JPEG/WebP XMP）
  * @returns {String} 保存文件的路径
  */
 export function saveFile(filePath, data, options = {}) {
-  const { isBase64 = false, silent = false } = options;
+  const { isBase64 = false, silent = false, logger = console, metadata } = options;
   
   // 确保目录存在
   const dir = path.dirname(filePath);
@@ -192,14 +337,23 @@ export function saveFile(filePath, data, options = {}) {
   }
   
   // 如果需要，从 base64 转换
-  const fileData = isBase64 ? Buffer.from(data, 'base64') : data;
+  let fileData = isBase64 ? Buffer.from(data, 'base64') : data;
+  
+  // 将生成元数据嵌入图像；失败时仍保存原始数据
+  if (metadata && Buffer.isBuffer(fileData)) {
+    try {
+      fileData = embedImageMetadata(fileData, metadata);
+    } catch (error) {
+      logger.warn(t('utils.metadataWriteFailed', { message: error.message }));
+    }
+  }
   
   // 保存文件
   fs.writeFileSync(filePath, fileData);
   
   // 除非静默，否则记录日志
   if (!silent) {
-    console.log(`文件已保存到：${filePath}`);
+    logger.log(t('utils.fileSaved', { path: filePath }));
   }
   
   return filePath;
@@ -212,10 +366,11 @@ export function saveFile(filePath, data, options = {}) {
  * @param {Object} options - 保存选项
  * @param {Boolean} options.silent - 是否禁止日志记录
  * @param {Number} options.indent - JSON 缩进（默认值：2）
+ * @param {Object} options.logger - 日志记录器（默认为 console）
  * @returns {String} 保存文件的路径
  */
 export function maskAndSaveJson(obj, filePath, options = {}) {
-  const { silent = false, indent = 2 } = options;
+  const { silent = false, indent = 2, logger = console } = options;
   
   // 创建屏蔽副本
   const maskedObj = maskBase64Content(obj);
@@ -224,5 +379,29 @@ export function maskAndSaveJson(obj, filePath, options = {}) {
   const jsonData = JSON.stringify(maskedObj, null, indent);
   
   // 保存到文件
-  return saveFile(filePath, jsonData, { silent });
+  return saveFile(filePath, jsonData, { silent, logger });
+}
+
+/**
+ * 将 kebab-case 键名转换为 camelCase（与 yargs 的行为一致）
+ * @param {String} key - 键名
+ * @returns {String} camelCase 键名
+ */
+export function toCamelCase(key) {
+  return key.replace(/[-_]+([a-z0-9])/gi, (_, char) => char.toUpperCase());
+}
+
+/**
+ * 规范化选项对象的键名，使配置文件和批处理文件中的 `output-dir` 等键与 CLI 选项一致
+ * @param {Object} obj - 原始选项对象
+ * @returns {Object} 使用 camelCase 键名的新对象
+ */
+export function normalizeOptionKeys(obj) {
+  const normalized = {};
+  
+  for (const [key, value] of Object.entries(obj || {})) {
+    normalized[toCamelCase(key)] = value;
+  }
+  
+  return normalized;
 }
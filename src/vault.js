@@ -0,0 +1,593 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import inquirer from 'inquirer';
+import { getConfig, saveConfig } from './config.js';
+import { ensureConfigDirectory } from './utils.js';
+import { createValidationError } from './outcome.js';
+import { t } from './i18n.js';
+
+/**
+ * Names of the vault entries the CLI looks up credentials under
+ */
+export const VAULT_ENTRY_NAMES = ['gemini-api-key', 'service-account'];
+
+const VAULT_VERSION = 1;
+
+// scrypt cost parameters; N = 2^15 takes roughly 100 ms, once per process
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const SCRYPT_MAX_MEMORY = 64 * 1024 * 1024;
+
+// Known plaintext encrypted with the vault key, so a wrong passphrase is detected before any entry is touched
+const CHECK_VALUE = 'imagen-gemini-cli-vault';
+
+const MAX_PASSPHRASE_ATTEMPTS = 3;
+
+// Key derived in this process (from a prompt, an environment variable or a key file)
+let unlockedKey = null;
+
+/**
+ * Check whether the vault holds an entry, without decrypting anything
+ * @param {string} name - Entry name
+ * @returns {boolean} True if the entry exists
+ */
+export function hasVaultEntry(name) {
+  const vault = readVault();
+  return !!(vault && vault.entries[name]);
+}
+
+/**
+ * Check whether vault entries can be decrypted without asking for a passphrase
+ * @param {Object} [options] - Options (`vaultKeyFile`)
+ * @returns {boolean} True if a key was derived already or a key file or passphrase is configured
+ */
+export function canUnlockVault(options = {}) {
+  return !!(unlockedKey || getSecretSource(options));
+}
+
+/**
+ * Name of a credential that belongs to a profile
+ * @param {string} name - Entry name (`gemini-api-key` or `service-account`)
+ * @param {string} profile - Profile name
+ * @returns {string} Entry name, `<name>@<profile>`
+ */
+export function getProfileEntryName(name, profile) {
+  return `${name}@${profile}`;
+}
+
+/**
+ * Delete a vault entry; entry names are not encrypted, so no passphrase is needed
+ * @param {string} name - Entry name
+ * @returns {boolean} True if an entry was removed
+ */
+export function removeVaultEntry(name) {
+  const vault = readVault();
+  if (!vault || !vault.entries[name]) {
+    return false;
+  }
+
+  delete vault.entries[name];
+  writeVault(vault);
+  return true;
+}
+
+/**
+ * Read and decrypt a vault entry
+ * @param {string} name - Entry name
+ * @param {Object} [options] - Options (`vaultKeyFile`)
+ * @returns {string|null} Secret, or null if there is no such entry
+ * @throws {Error} If the vault is locked or the passphrase is wrong (`category: 'auth'`)
+ */
+export function readVaultSecret(name, options = {}) {
+  const vault = readVault();
+  if (!vault || !vault.entries[name]) {
+    return null;
+  }
+
+  const key = getVaultKey(vault, options);
+  if (!key) {
+    throw createAuthError(t('vault.locked'));
+  }
+
+  return decrypt(key, vault.entries[name], name);
+}
+
+/**
+ * Prompt for the vault passphrase in a terminal and keep the derived key for this process
+ * @returns {Promise<void>}
+ * @throws {Error} After too many wrong passphrases (`category: 'auth'`)
+ */
+export async function unlockVaultInteractively() {
+  const vault = readVault();
+  if (!vault || unlockedKey) {
+    return;
+  }
+
+  for (let attempt = 1; attempt <= MAX_PASSPHRASE_ATTEMPTS; attempt++) {
+    const { passphrase } = await inquirer.prompt([
+      { type: 'password', name: 'passphrase', message: t('vault.enterPassphrase'), mask: '*' }
+    ]);
+
+    const key = deriveKey(passphrase, vault.kdf);
+    if (verifyKey(vault, key)) {
+      unlockedKey = key;
+      return;
+    }
+
+    console.error(t('common.error', { message: t('vault.wrongPassphrase') }));
+  }
+
+  throw createAuthError(t('vault.wrongPassphrase'));
+}
+
+/**
+ * Encrypt and store a secret, creating the vault on first use
+ * @param {string} name - Entry name
+ * @param {string} value - Secret
+ * @param {Object} [options] - Options (`vaultKeyFile`)
+ * @returns {Promise<void>}
+ */
+export async function storeVaultSecret(name, value, options = {}) {
+  const vault = readVault() || await createVault(options);
+  const key = getVaultKey(vault, options) || await promptForKey(vault);
+  const existing = vault.entries[name];
+  const now = new Date().toISOString();
+
+  vault.entries[name] = {
+    ...encrypt(key, value, name),
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+  writeVault(vault);
+}
+
+/**
+ * Run a `vault` subcommand (add, list, rotate, remove, migrate)
+ * @param {Object} argv - Command line arguments (`action`, `name`, `value`, `vaultKeyFile`, and `profile` to
+ * manage a profile's own credentials)
+ * @returns {Promise<boolean>} True on success
+ * @throws {Error} If the vault cannot be unlocked (`category: 'auth'`)
+ */
+export async function runVaultCommand(argv) {
+  const { action, value } = argv;
+
+  try {
+    if (argv.profile && !getConfig().profiles[argv.profile]) {
+      throw createValidationError(t('vault.unknownProfile', { name: argv.profile }));
+    }
+
+    const name = argv.name && argv.profile ? getProfileEntryName(argv.name, argv.profile) : argv.name;
+
+    switch (action) {
+      case 'add':
+      case 'rotate': {
+        if (!VAULT_ENTRY_NAMES.includes(argv.name)) {
+          console.error(t('common.error', { message: t('vault.addUsage', { action, names: VAULT_ENTRY_NAMES.join('|') }) }));
+          return false;
+        }
+
+        // Rotating replaces an existing entry; adding never silently overwrites one
+        const exists = hasVaultEntry(name);
+        if (action === 'add' && exists) {
+          console.error(t('common.error', { message: t('vault.entryExists', { name }) }));
+          return false;
+        }
+        if (action === 'rotate' && !exists) {
+          console.error(t('common.error', { message: t('vault.entryNotFound', { name }) }));
+          return false;
+        }
+
+        const secret = await readSecretInput(argv.name, value);
+        await storeVaultSecret(name, secret, argv);
+        console.log(t(action === 'add' ? 'vault.entryAdded' : 'vault.entryRotated', { name, value: maskSecret(name, secret) }));
+        return true;
+      }
+
+      case 'list':
+        printVaultEntries(argv);
+        return true;
+
+      case 'remove':
+        if (!name || !removeVaultEntry(name)) {
+          console.error(t('common.error', { message: t('vault.entryNotFound', { name: name || '' }) }));
+          return false;
+        }
+
+        console.log(t('vault.entryRemoved', { name }));
+        return true;
+
+      case 'migrate':
+        return await migratePlaintextSecrets(argv);
+
+      default:
+        console.error(t('common.error', { message: t('vault.unknownAction', { action }) }));
+        return false;
+    }
+  } catch (error) {
+    // Categorized errors carry their own exit code; the caller reports them
+    if (error.category) {
+      throw error;
+    }
+    console.error(t('common.error', { message: error.message }));
+    return false;
+  }
+}
+
+/**
+ * Path of the vault file in the config directory
+ * @returns {string} Vault path
+ */
+function getVaultPath() {
+  return path.join(ensureConfigDirectory(), 'vault.json');
+}
+
+/**
+ * Read the vault file, tightening its permissions if another user could read it
+ * @returns {Object|null} Vault, or null if it does not exist yet
+ */
+function readVault() {
+  const vaultPath = getVaultPath();
+  if (!fs.existsSync(vaultPath)) {
+    return null;
+  }
+
+  if (os.platform() !== 'win32' && (fs.statSync(vaultPath).mode & 0o077) !== 0) {
+    fs.chmodSync(vaultPath, 0o600);
+    console.warn(t('common.warning', { message: t('vault.permissionsFixed', { path: vaultPath }) }));
+  }
+
+  const vault = JSON.parse(fs.readFileSync(vaultPath, 'utf8'));
+  if (vault.version !== VAULT_VERSION) {
+    throw createValidationError(t('vault.unsupportedVersion', { version: vault.version }));
+  }
+
+  return vault;
+}
+
+/**
+ * Write the vault atomically, readable by the current user only
+ * @param {Object} vault - Vault
+ */
+function writeVault(vault) {
+  const vaultPath = getVaultPath();
+  const tempPath = `${vaultPath}.${process.pid}.tmp`;
+
+  fs.writeFileSync(tempPath, JSON.stringify(vault, null, 2), { mode: 0o600 });
+  fs.chmodSync(tempPath, 0o600);
+  fs.renameSync(tempPath, vaultPath);
+}
+
+/**
+ * Create a new, empty vault with a fresh salt; the key comes from a key file,
+ * IMAGEN_VAULT_PASSPHRASE, or a passphrase entered twice in the terminal
+ * @param {Object} options - Options (`vaultKeyFile`)
+ * @returns {Promise<Object>} Vault
+ */
+async function createVault(options) {
+  const kdf = { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...SCRYPT_PARAMS };
+  let secret = getSecretSource(options);
+
+  if (!secret) {
+    if (!process.stdin.isTTY) {
+      throw createAuthError(t('vault.noPassphrase'));
+    }
+
+    console.log(t('vault.creating', { path: getVaultPath() }));
+    const answers = await inquirer.prompt([
+      {
+        type: 'password',
+        name: 'passphrase',
+        message: t('vault.newPassphrase'),
+        mask: '*',
+        validate: input => input.length >= 8 || t('vault.passphraseTooShort')
+      },
+      { type: 'password', name: 'confirmation', message: t('vault.confirmPassphrase'), mask: '*' }
+    ]);
+
+    if (answers.passphrase !== answers.confirmation) {
+      throw createValidationError(t('vault.passphraseMismatch'));
+    }
+    secret = answers.passphrase;
+  }
+
+  const key = deriveKey(secret, kdf);
+  unlockedKey = key;
+
+  return { version: VAULT_VERSION, kdf, check: encrypt(key, CHECK_VALUE, 'check'), entries: {} };
+}
+
+/**
+ * Get the vault key from this process's cache, a key file or IMAGEN_VAULT_PASSPHRASE
+ * @param {Object} vault - Vault
+ * @param {Object} options - Options (`vaultKeyFile`)
+ * @returns {Buffer|null} Key, or null if no secret is available
+ * @throws {Error} If the configured secret does not open the vault
+ */
+function getVaultKey(vault, options) {
+  if (unlockedKey) {
+    return unlockedKey;
+  }
+
+  const secret = getSecretSource(options);
+  if (!secret) {
+    return null;
+  }
+
+  const key = deriveKey(secret, vault.kdf);
+  if (!verifyKey(vault, key)) {
+    throw createAuthError(t('vault.wrongPassphrase'));
+  }
+
+  unlockedKey = key;
+  return key;
+}
+
+/**
+ * Ask for the passphrase of an existing vault in the terminal
+ * @param {Object} vault - Vault
+ * @returns {Promise<Buffer>} Key
+ */
+async function promptForKey(vault) {
+  if (!process.stdin.isTTY) {
+    throw createAuthError(t('vault.locked'));
+  }
+
+  await unlockVaultInteractively();
+  return unlockedKey;
+}
+
+/**
+ * Find the configured vault secret: `--vault-key-file`, IMAGEN_VAULT_KEY_FILE, then IMAGEN_VAULT_PASSPHRASE
+ * @param {Object} options - Options (`vaultKeyFile`)
+ * @returns {string|Buffer|null} Key file contents or passphrase
+ */
+function getSecretSource(options) {
+  const keyFile = options.vaultKeyFile || process.env.IMAGEN_VAULT_KEY_FILE;
+
+  if (keyFile) {
+    if (!fs.existsSync(keyFile)) {
+      throw createValidationError(t('vault.keyFileNotFound', { path: keyFile }));
+    }
+    return fs.readFileSync(keyFile);
+  }
+
+  return process.env.IMAGEN_VAULT_PASSPHRASE || null;
+}
+
+/**
+ * Derive the 256-bit vault key
+ * @param {string|Buffer} secret - Passphrase or key file contents
+ * @param {Object} kdf - Stored KDF parameters
+ * @returns {Buffer} Key
+ */
+function deriveKey(secret, kdf) {
+  return crypto.scryptSync(secret, Buffer.from(kdf.salt, 'base64'), 32, {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    maxmem: SCRYPT_MAX_MEMORY
+  });
+}
+
+/**
+ * Check a key against the vault's known plaintext
+ * @param {Object} vault - Vault
+ * @param {Buffer} key - Key
+ * @returns {boolean} True if the key opens the vault
+ */
+function verifyKey(vault, key) {
+  try {
+    return decrypt(key, vault.check, 'check') === CHECK_VALUE;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Encrypt with AES-256-GCM; the entry name is authenticated so entries cannot be swapped
+ * @param {Buffer} key - Key
+ * @param {string} value - Plaintext
+ * @param {string} name - Entry name (additional authenticated data)
+ * @returns {{ iv: string, tag: string, data: string }} Encrypted value (base64)
+ */
+function encrypt(key, value, name) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(name));
+  const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt an AES-256-GCM value
+ * @param {Buffer} key - Key
+ * @param {Object} encrypted - `{ iv, tag, data }`
+ * @param {string} name - Entry name (additional authenticated data)
+ * @returns {string} Plaintext
+ */
+function decrypt(key, encrypted, name) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(encrypted.iv, 'base64'));
+  decipher.setAAD(Buffer.from(name));
+  decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+
+  return Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Get the secret to store: a Gemini key as the argument or a hidden prompt, a service account as a key file path
+ * @param {string} name - Entry name
+ * @param {string} [value] - Command line value
+ * @returns {Promise<string>} Secret
+ */
+async function readSecretInput(name, value) {
+  if (name === 'service-account') {
+    if (!value || !fs.existsSync(value)) {
+      throw createValidationError(t('vault.serviceAccountFileRequired'));
+    }
+    return readServiceAccountFile(value);
+  }
+
+  if (value) {
+    return value.trim();
+  }
+  if (!process.stdin.isTTY) {
+    throw createValidationError(t('vault.valueRequired', { name }));
+  }
+
+  const { secret } = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'secret',
+      message: t('vault.enterGeminiKey'),
+      mask: '*',
+      validate: input => input.trim() !== '' || t('interactive.geminiKeyRequired')
+    }
+  ]);
+  return secret.trim();
+}
+
+/**
+ * Read and validate a service account key file
+ * @param {string} filePath - Key file path
+ * @returns {string} Key JSON
+ */
+function readServiceAccountFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  let key;
+
+  try {
+    key = JSON.parse(content);
+  } catch (error) {
+    throw createValidationError(t('vault.serviceAccountInvalid', { path: filePath }));
+  }
+  if (key.type !== 'service_account' || !key.client_email || !key.private_key) {
+    throw createValidationError(t('vault.serviceAccountInvalid', { path: filePath }));
+  }
+
+  return content;
+}
+
+/**
+ * Print vault entries with masked values; without a key only names and dates are shown
+ * @param {Object} options - Options (`vaultKeyFile`)
+ */
+function printVaultEntries(options) {
+  const vault = readVault();
+  const names = vault ? Object.keys(vault.entries) : [];
+
+  if (names.length === 0) {
+    console.log(t('vault.empty'));
+    return;
+  }
+
+  const key = getVaultKey(vault, options);
+  const width = Math.max(...names.map(name => name.length));
+  console.log(t('vault.listHeading', { path: getVaultPath() }));
+
+  names.forEach(name => {
+    const entry = vault.entries[name];
+    const value = key ? maskSecret(name, decrypt(key, entry, name)) : t('vault.lockedValue');
+    console.log(`  ${name.padEnd(width)}  ${value}  ${t('vault.updatedAt', { time: new Date(entry.updatedAt).toLocaleString() })}`);
+  });
+
+  if (!key) {
+    console.log(t('vault.unlockHint'));
+  }
+}
+
+/**
+ * Mask a secret for display
+ * @param {string} name - Entry name
+ * @param {string} secret - Secret
+ * @returns {string} Masked value
+ */
+function maskSecret(name, secret) {
+  // Profile credentials are named `<name>@<profile>`
+  if (name.split('@')[0] === 'service-account') {
+    const key = JSON.parse(secret);
+    return t('vault.maskedServiceAccount', { email: key.client_email, keyId: maskString(key.private_key_id || '') });
+  }
+
+  return maskString(secret);
+}
+
+/**
+ * Keep the first and last four characters of a string
+ * @param {string} value - Value
+ * @returns {string} Masked value
+ */
+function maskString(value) {
+  return value.length > 12 ? `${value.slice(0, 4)}…${value.slice(-4)}` : '****';
+}
+
+/**
+ * Move the plaintext Gemini key in the `conf` store and the service account copy in the config
+ * directory into the vault, removing the plaintext once the encrypted copy has been verified
+ * @param {Object} options - Options (`vaultKeyFile`)
+ * @returns {Promise<boolean>} True unless something could not be migrated
+ */
+async function migratePlaintextSecrets(options) {
+  const plaintext = [];
+  const storedKey = getConfig().geminiApiKey;
+  const keyFilePath = path.join(ensureConfigDirectory(), 'service-account.json');
+
+  if (storedKey) {
+    plaintext.push({ name: 'gemini-api-key', value: storedKey, source: t('vault.sourceConfig'), remove: () => saveConfig({ geminiApiKey: null }) });
+  }
+  if (fs.existsSync(keyFilePath)) {
+    plaintext.push({ name: 'service-account', value: readServiceAccountFile(keyFilePath), source: keyFilePath, remove: () => shredFile(keyFilePath) });
+  }
+
+  if (plaintext.length === 0) {
+    console.log(t('vault.nothingToMigrate'));
+    return true;
+  }
+
+  let ok = true;
+
+  for (const item of plaintext) {
+    // A different secret already in the vault wins; the plaintext copy is left for the user to check
+    if (hasVaultEntry(item.name) && readVaultSecret(item.name, options) !== item.value) {
+      console.warn(t('common.warning', { message: t('vault.migrateConflict', { name: item.name, source: item.source }) }));
+      ok = false;
+      continue;
+    }
+
+    await storeVaultSecret(item.name, item.value, options);
+    if (readVaultSecret(item.name, options) !== item.value) {
+      throw new Error(t('vault.verifyFailed', { name: item.name }));
+    }
+
+    item.remove();
+    console.log(t('vault.migrated', { name: item.name, source: item.source }));
+  }
+
+  return ok;
+}
+
+/**
+ * Overwrite a file with zeros before deleting it
+ * @param {string} filePath - File path
+ */
+function shredFile(filePath) {
+  const { size } = fs.statSync(filePath);
+  fs.writeFileSync(filePath, Buffer.alloc(size));
+  fs.unlinkSync(filePath);
+}
+
+/**
+ * Create an error for a locked vault or a wrong passphrase
+ * @param {string} message - Error message
+ * @returns {Error} Error with `category: 'auth'`
+ */
+function createAuthError(message) {
+  const error = new Error(message);
+  error.category = 'auth';
+  return error;
+}